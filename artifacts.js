@@ -0,0 +1,50 @@
+// --- 📎 SCAN ARTIFACTS ---
+// Scan records keep object paths (`pdf_path`, ...), never permanent links. Downloads go through
+// GET /scan/:id/artifacts/:type, which checks ownership and redirects to a short-lived signed URL.
+//
+// ARTIFACT_URL_TTL_SECONDS : lifetime of a signed download link (default 300)
+// PUBLIC_BASE_URL          : absolute base for the API links in webhook payloads
+
+const ARTIFACT_TYPES = {
+    pdf: { column: 'pdf_path', legacyColumn: 'pdf_url', filename: scanId => `code-passport-${scanId}.pdf` },
+    sbom: { column: 'sbom_path', legacyColumn: 'sbom_url', filename: scanId => `sbom-${scanId}.cdx.json` },
+    sarif: { column: 'sarif_path', legacyColumn: 'sarif_url', filename: scanId => `code-passport-${scanId}.sarif` },
+    vex: { column: 'vex_path', legacyColumn: null, filename: scanId => `vex-${scanId}.openvex.json` },
+    spdx: { column: 'spdx_path', legacyColumn: null, filename: scanId => `sbom-${scanId}.spdx.json` },
+    notices: { column: 'notices_path', legacyColumn: null, filename: scanId => `THIRD_PARTY_NOTICES-${scanId}.txt` },
+};
+
+const urlTtlSeconds = () => parseInt(process.env.ARTIFACT_URL_TTL_SECONDS, 10) || 300;
+
+/**
+ * Object path of one artifact of a scan
+ * @param {Object} scan - The scan record
+ * @param {string} type - A key of ARTIFACT_TYPES
+ * @returns {string|null}
+ */
+function artifactPath(scan, type) {
+    // Own keys only: "constructor" or "toString" is not an artifact type.
+    if (!Object.hasOwn(ARTIFACT_TYPES, type)) return null;
+    const spec = ARTIFACT_TYPES[type];
+    if (scan[spec.column]) return scan[spec.column];
+    if (!spec.legacyColumn) return null;
+    // Scans stored before artifacts went private only have the old public URL.
+    const match = /\/(?:object\/public\/[^/]+|artifacts)\/([^?#]+)$/.exec(scan[spec.legacyColumn] || '');
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * API links for the artifacts a scan has (null for the ones it doesn't)
+ * @param {Object} scan - The scan record
+ * @param {string} [baseUrl] - Prefix for absolute links; relative when omitted
+ * @returns {Object} - { pdf_url, sbom_url, sarif_url, vex_url, spdx_url, notices_url }
+ */
+function artifactLinks(scan, baseUrl = '') {
+    const base = String(baseUrl || '').replace(/\/$/, '');
+    return Object.fromEntries(Object.keys(ARTIFACT_TYPES).map(type => [
+        `${type}_url`,
+        artifactPath(scan, type) ? `${base}/scan/${scan.id}/artifacts/${type}` : null,
+    ]));
+}
+
+module.exports = { ARTIFACT_TYPES, urlTtlSeconds, artifactPath, artifactLinks };
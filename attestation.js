@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+// --- 🔏 ATTESTATION SIGNING (Ed25519) ---
+// ATTESTATION_SIGNING_KEY : active private key (PEM, or base64 of the PEM)
+// ATTESTATION_KEY_ID      : id published with every signature (default "default")
+// ATTESTATION_PUBLIC_KEYS : JSON { "<keyId>": "<PEM>" } of retired keys still accepted for verification
+
+const ALGORITHM = 'Ed25519';
+const ATTESTATION_VERSION = 1;
+
+function decodePem(value) {
+    if (!value) return null;
+    const text = value.includes('-----BEGIN') ? value : Buffer.from(value, 'base64').toString('utf8');
+    return text.replace(/\\n/g, '\n');
+}
+
+let keyring = null;
+
+// Built in full before it is cached: a bad key throws on every call instead of leaving a half-built
+// keyring behind that silently turns signing off.
+function loadKeyring() {
+    if (keyring) return keyring;
+    // No prototype: key ids come from requests, and "constructor" is not a key.
+    const ring = { activeKeyId: null, privateKey: null, publicKeys: Object.create(null) };
+
+    if (process.env.ATTESTATION_PUBLIC_KEYS) {
+        let retired;
+        try { retired = JSON.parse(process.env.ATTESTATION_PUBLIC_KEYS); } catch (e) { throw new Error('ATTESTATION_PUBLIC_KEYS must be a JSON object of key id => PEM'); }
+        if (!retired || typeof retired !== 'object' || Array.isArray(retired)) throw new Error('ATTESTATION_PUBLIC_KEYS must be a JSON object of key id => PEM');
+        Object.entries(retired).forEach(([kid, pem]) => {
+            const publicKey = crypto.createPublicKey(decodePem(String(pem)));
+            if (publicKey.asymmetricKeyType !== 'ed25519') throw new Error(`ATTESTATION_PUBLIC_KEYS: key ${kid} must be an Ed25519 key`);
+            ring.publicKeys[kid] = publicKey;
+        });
+    }
+
+    const signingPem = decodePem(process.env.ATTESTATION_SIGNING_KEY);
+    if (signingPem) {
+        const privateKey = crypto.createPrivateKey(signingPem);
+        if (privateKey.asymmetricKeyType !== 'ed25519') throw new Error('ATTESTATION_SIGNING_KEY must be an Ed25519 key');
+        ring.activeKeyId = process.env.ATTESTATION_KEY_ID || 'default';
+        ring.privateKey = privateKey;
+        ring.publicKeys[ring.activeKeyId] = crypto.createPublicKey(privateKey);
+    }
+    keyring = ring;
+    return keyring;
+}
+
+function isSigningEnabled() {
+    return Boolean(loadKeyring().privateKey);
+}
+
+/**
+ * Lists the public keys accepted for verification (for offline verifiers)
+ * @returns {Array<Object>} - [{ key_id, algorithm, active, public_key }]
+ */
+function listPublicKeys() {
+    const ring = loadKeyring();
+    return Object.entries(ring.publicKeys).map(([kid, key]) => ({
+        key_id: kid,
+        algorithm: ALGORITHM,
+        active: kid === ring.activeKeyId,
+        public_key: key.export({ type: 'spki', format: 'pem' }),
+    }));
+}
+
+// --- 📐 CANONICAL JSON ---
+// Keys sorted recursively, no whitespace: the same attestation always produces the same bytes.
+function canonicalize(value) {
+    if (value === null || typeof value !== 'object') return JSON.stringify(value === undefined ? null : value);
+    if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalize(value[k])}`).join(',')}}`;
+}
+
+/**
+ * Builds the attestation statement for a finished scan
+ * @param {Object} scan - { scanId, repo, commitHash, grade, riskScore, policy, counts, scanners }
+ * @returns {Object}
+ */
+function buildAttestation({ scanId, repo, commitHash, grade, riskScore, policy, counts, scanners }) {
+    return {
+        version: ATTESTATION_VERSION,
+        scan_id: scanId,
+        repo,
+        commit_hash: commitHash || null,
+        grade,
+        risk_score: riskScore ?? null,
+        license_policy: policy || 'default',
+        findings: counts,
+        scanners: scanners || {},
+        issued_at: new Date().toISOString(),
+    };
+}
+
+/**
+ * Signs an attestation with the active key
+ * @param {Object} attestation - Output of buildAttestation()
+ * @returns {Object} - { attestation, signature, key_id, algorithm }
+ */
+function signAttestation(attestation) {
+    const ring = loadKeyring();
+    if (!ring.privateKey) throw new Error('ATTESTATION_SIGNING_KEY is not configured');
+    const signature = crypto.sign(null, Buffer.from(canonicalize(attestation)), ring.privateKey);
+    return {
+        attestation,
+        signature: signature.toString('base64url'),
+        key_id: ring.activeKeyId,
+        algorithm: ALGORITHM,
+    };
+}
+
+/**
+ * Verifies a signed attestation envelope
+ * @param {Object} envelope - { attestation, signature, key_id }
+ * @returns {Object} - { valid, reason, key_id }
+ */
+function verifyAttestation(envelope) {
+    const { attestation, signature, key_id: keyId } = envelope || {};
+    if (!attestation || typeof attestation !== 'object' || !signature) {
+        return { valid: false, reason: 'attestation and signature are required', key_id: keyId || null };
+    }
+    const { publicKeys } = loadKeyring();
+    const publicKey = typeof keyId === 'string' && Object.hasOwn(publicKeys, keyId) ? publicKeys[keyId] : null;
+    if (!publicKey) return { valid: false, reason: `Unknown key id: ${keyId}`, key_id: keyId || null };
+
+    let valid = false;
+    try {
+        valid = crypto.verify(null, Buffer.from(canonicalize(attestation)), publicKey, Buffer.from(String(signature), 'base64url'));
+    } catch (e) { valid = false; }
+    return { valid, reason: valid ? 'Signature matches' : 'Signature does not match attestation', key_id: keyId };
+}
+
+/**
+ * Public URL where a certificate can be checked
+ * @param {string} scanId
+ * @returns {string}
+ */
+function verificationUrl(scanId) {
+    const base = process.env.PUBLIC_BASE_URL || process.env.RENDER_EXTERNAL_URL || 'https://code-passport.onrender.com';
+    return `${base.replace(/\/$/, '')}/verify/${scanId}`;
+}
+
+/**
+ * Renders the verification URL as a PNG QR code for the PDF
+ * @param {string} url
+ * @returns {Promise<Buffer>}
+ */
+function verificationQr(url) {
+    return QRCode.toBuffer(url, { type: 'png', margin: 1, width: 240, errorCorrectionLevel: 'M' });
+}
+
+module.exports = {
+    canonicalize,
+    buildAttestation,
+    signAttestation,
+    verifyAttestation,
+    isSigningEnabled,
+    listPublicKeys,
+    verificationUrl,
+    verificationQr,
+};
@@ -0,0 +1,281 @@
+const fs = require('fs');
+const path = require('path');
+const spdxLicenseIds = require('spdx-license-ids');
+const deprecatedSpdxLicenseIds = require('spdx-license-ids/deprecated');
+const spdxExceptionIds = require('spdx-exceptions');
+const { parseSpdxExpression, categorize } = require('./licensePolicy');
+
+// --- 📜 LICENSE ATTRIBUTION ---
+// THIRD_PARTY_NOTICES and an SPDX 2.3 SBOM, both built from the package inventory of the Trivy
+// report (--list-all-pkgs). License texts come from the scanned checkout: the LICENSE / COPYING /
+// NOTICE files next to each package's metadata (node_modules/<pkg>/package.json, *.dist-info/METADATA,
+// vendor/<module>, ...). The repository is untrusted, so symlinks are never followed and nothing
+// outside the checkout is read.
+//
+// SPDX_CREATOR : organization named as the creator of the SPDX document (default "CodePassport.io")
+
+const NOASSERTION = 'NOASSERTION';
+const LICENSE_FILE_RE = /^(licen[cs]e|copying|notice|unlicense|copyright)([-_.][\w.-]*)?$/i;
+const LICENSE_SUBDIRS = ['licenses', 'LICENSES'];
+// Metadata files whose folder belongs to exactly one package (unlike a jar in a shared lib/ folder).
+const METADATA_FILES = ['package.json', 'METADATA', 'PKG-INFO', 'Cargo.toml', 'composer.json', 'go.mod'];
+const MAX_TEXT_BYTES = 64 * 1024;
+const MAX_FILES_PER_PACKAGE = 3;
+const NOTICE_RULE = '='.repeat(80);
+// SPDX matches ids case-insensitively; deprecated ids (GPL-2.0, LGPL-2.1+) are still valid in expressions.
+const SPDX_LICENSES = new Set([...spdxLicenseIds, ...deprecatedSpdxLicenseIds].map(id => id.toLowerCase()));
+const SPDX_EXCEPTIONS = new Set(spdxExceptionIds.map(id => id.toLowerCase()));
+
+// --- 📦 INVENTORY ---
+function licenseLabel(licenses) {
+    const unique = [...new Set(licenses.map(l => String(l).trim()).filter(Boolean))];
+    if (!unique.length) return NOASSERTION;
+    if (unique.length === 1) return unique[0];
+    // Several licenses found for one package: all of them apply.
+    return unique.map(l => (/\s(OR|AND)\s/i.test(l) ? `(${l})` : l)).join(' AND ');
+}
+
+// A single word parses as an expression too ("BSD", "GPL"), so every id is looked up in the SPDX license list.
+function isSpdxAtom({ id, exception }) {
+    const known = /^LicenseRef-[A-Za-z0-9.-]+$/.test(id) || SPDX_LICENSES.has(id.replace(/\+$/, '').toLowerCase());
+    return known && (!exception || SPDX_EXCEPTIONS.has(exception.toLowerCase()));
+}
+
+function licenseAtoms(label) {
+    try {
+        const atoms = [];
+        const walk = node => (node.type === 'license' ? atoms.push(node) : (walk(node.left), walk(node.right)));
+        walk(parseSpdxExpression(label));
+        return atoms;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Lists the third-party packages of a Trivy report with their licenses (and license texts)
+ * @param {Object} report - Trivy JSON report made with --list-all-pkgs
+ * @param {string} [repoDir] - Checkout to collect license texts from
+ * @returns {Array<Object>} - [{ name, version, purl, type, license, location, licenseFiles: [{ path, text }] }]
+ */
+function collectPackages(report, repoDir = null) {
+    const results = (report && report.Results) || [];
+    // The license scanner's findings, for packages whose metadata declares no license.
+    const scanned = new Map();
+    results.forEach(target => (target.Licenses || []).forEach(l => {
+        if (l.PkgName) scanned.set(l.PkgName, [...(scanned.get(l.PkgName) || []), l.Name]);
+    }));
+
+    const packages = new Map();
+    results.forEach(target => (target.Packages || []).forEach(pkg => {
+        const purl = (pkg.Identifier && pkg.Identifier.PURL) || null;
+        const key = purl || `${target.Type}:${pkg.Name}@${pkg.Version || ''}`;
+        if (!pkg.Name || packages.has(key)) return;
+        packages.set(key, {
+            name: pkg.Name,
+            version: pkg.Version || null,
+            purl,
+            type: target.Type || null,
+            license: licenseLabel(pkg.Licenses && pkg.Licenses.length ? pkg.Licenses : scanned.get(pkg.Name) || []),
+            location: pkg.FilePath || target.Target || null,
+            licenseFiles: [],
+        });
+    }));
+
+    const list = [...packages.values()].sort((a, b) => a.name.localeCompare(b.name) || String(a.version).localeCompare(String(b.version)));
+    if (repoDir && fs.existsSync(repoDir)) {
+        const reader = licenseFileReader(repoDir);
+        list.forEach(pkg => { pkg.licenseFiles = reader(pkg); });
+    }
+    return list;
+}
+
+/**
+ * Counts packages per license, most used first
+ * @param {Array<Object>} packages - From collectPackages()
+ * @returns {Array<Object>} - [{ license, category, packages }]
+ */
+function licenseInventory(packages) {
+    const counts = new Map();
+    packages.forEach(p => counts.set(p.license, (counts.get(p.license) || 0) + 1));
+    return [...counts.entries()]
+        .map(([license, count]) => {
+            const atoms = license === NOASSERTION ? [] : licenseAtoms(license) || [{ id: license, exception: null }];
+            const categories = [...new Set(atoms.map(a => categorize(a.id, a.exception)))];
+            return { license, category: categories.length === 1 ? categories[0] : categories.length ? 'multiple' : 'unknown', packages: count };
+        })
+        .sort((a, b) => b.packages - a.packages || a.license.localeCompare(b.license));
+}
+
+// --- 📄 LICENSE TEXTS ---
+// Returns pkg => [{ path, text }], caching per folder (many packages can share a vendor folder).
+function licenseFileReader(repoDir) {
+    const root = fs.realpathSync(repoDir);
+    const cache = new Map();
+
+    const inside = (dir) => {
+        try {
+            const real = fs.realpathSync(dir);
+            return real === root || real.startsWith(root + path.sep) ? real : null;
+        } catch (e) { return null; }
+    };
+
+    const readDir = (dir) => {
+        if (cache.has(dir)) return cache.get(dir);
+        const found = [];
+        const real = inside(dir);
+        if (real) {
+            const scan = (folder, depth) => {
+                let entries;
+                try { entries = fs.readdirSync(folder, { withFileTypes: true }); } catch (e) { return; }
+                entries.sort((a, b) => a.name.localeCompare(b.name)).forEach(entry => {
+                    const file = path.join(folder, entry.name);
+                    // Dirent types come from lstat: symlinks are neither files nor directories here.
+                    if (entry.isFile() && LICENSE_FILE_RE.test(entry.name)) {
+                        if (fs.lstatSync(file).size > MAX_TEXT_BYTES) return;
+                        found.push({ path: path.relative(root, file), text: fs.readFileSync(file, 'utf8').trim() });
+                    } else if (entry.isDirectory() && depth === 0 && LICENSE_SUBDIRS.includes(entry.name)) {
+                        scan(file, 1);
+                    }
+                });
+            };
+            scan(real, 0);
+        }
+        const texts = found.filter(f => f.text).slice(0, MAX_FILES_PER_PACKAGE);
+        cache.set(dir, texts);
+        return texts;
+    };
+
+    return (pkg) => {
+        const dirs = [];
+        if (pkg.location && METADATA_FILES.includes(path.basename(pkg.location))) dirs.push(path.dirname(pkg.location));
+        if (['npm', 'yarn', 'pnpm', 'node-pkg'].includes(pkg.type)) dirs.push(path.join('node_modules', pkg.name));
+        if (['gomod', 'composer', 'cargo'].includes(pkg.type)) dirs.push(path.join('vendor', pkg.name));
+        for (const dir of dirs) {
+            // Package names are untrusted too: "../.." must not climb out of the checkout.
+            const abs = path.resolve(root, dir);
+            if (!abs.startsWith(root + path.sep)) continue;
+            const texts = readDir(abs);
+            if (texts.length) return texts;
+        }
+        return [];
+    };
+}
+
+// --- 🧾 THIRD_PARTY_NOTICES ---
+const describe = (p) => `${p.name}${p.version ? ` ${p.version}` : ''}`;
+
+/**
+ * Renders the third-party notices: every package grouped by license, with the license texts found
+ * @param {Object} input - { repo, commitHash, packages } where packages come from collectPackages()
+ * @returns {string} - Plain text
+ */
+function buildNotices({ repo, commitHash, packages }) {
+    const lines = [
+        'THIRD-PARTY SOFTWARE NOTICES',
+        `${repo}${commitHash ? ` @ ${commitHash}` : ''}`,
+        `Generated by CodePassport.io on ${new Date().toISOString().split('T')[0]}`,
+        '',
+        packages.length
+            ? `This software includes the ${packages.length} third-party packages below, grouped by license.`
+            : 'No third-party packages were found.',
+    ];
+
+    licenseInventory(packages).forEach(({ license, packages: count }) => {
+        const group = packages.filter(p => p.license === license);
+        lines.push('', NOTICE_RULE, `${license === NOASSERTION ? 'No license declared' : license} (${count} package${count === 1 ? '' : 's'})`, NOTICE_RULE, '');
+        group.forEach(p => lines.push(`  - ${describe(p)}${p.purl ? ` (${p.purl})` : ''}`));
+
+        // Identical texts (the same LICENSE copied into many packages) are printed once.
+        const texts = new Map();
+        group.forEach(p => p.licenseFiles.forEach(f => {
+            const entry = texts.get(f.text) || { files: [], packages: new Set() };
+            entry.files.push(f.path);
+            entry.packages.add(describe(p));
+            texts.set(f.text, entry);
+        }));
+        texts.forEach((entry, text) => {
+            lines.push('', `--- ${[...entry.packages].join(', ')} (${entry.files[0]}) ---`, '', text);
+        });
+
+        const missing = group.filter(p => !p.licenseFiles.length);
+        if (missing.length && license !== NOASSERTION) {
+            const atoms = licenseAtoms(license);
+            const links = atoms && atoms.every(a => isSpdxAtom(a) && !a.id.startsWith('LicenseRef-')) ? atoms.map(a => `https://spdx.org/licenses/${a.id.replace(/\+$/, '')}.html`) : [];
+            lines.push('', `No license text was found in the repository for: ${missing.map(describe).join(', ')}.`);
+            if (links.length) lines.push(`Standard text: ${[...new Set(links)].join(', ')}`);
+        }
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+// --- 🧩 SPDX 2.3 ---
+const spdxIdPart = (value) => String(value).replace(/[^A-Za-z0-9.-]+/g, '-').replace(/^-+|-+$/g, '') || 'x';
+
+/**
+ * Builds an SPDX 2.3 JSON document: the scanned repository, which depends on every package
+ * @param {Object} input - { scanId, repo, commitHash, packages, tool } where tool names the generator version
+ * @returns {Object} - The SPDX document
+ */
+function buildSpdxDocument({ scanId, repo, commitHash, packages, tool = 'CodePassport.io' }) {
+    // Free-text licenses ("Apache License 2.0") and names outside the SPDX list ("BSD") become LicenseRefs.
+    const extracted = new Map();
+    const spdxLicense = (pkg) => {
+        if (pkg.license === NOASSERTION) return NOASSERTION;
+        const atoms = licenseAtoms(pkg.license);
+        if (atoms && atoms.every(isSpdxAtom)) return pkg.license;
+        const ref = `LicenseRef-${spdxIdPart(pkg.license)}`;
+        if (!extracted.has(ref)) extracted.set(ref, { licenseId: ref, name: pkg.license, extractedText: pkg.licenseFiles.length ? pkg.licenseFiles[0].text : pkg.license });
+        return ref;
+    };
+
+    const root = {
+        SPDXID: 'SPDXRef-Repository',
+        name: repo,
+        versionInfo: commitHash || NOASSERTION,
+        downloadLocation: /^https?:\/\//.test(repo) ? `git+${repo}${commitHash ? `@${commitHash}` : ''}` : NOASSERTION,
+        filesAnalyzed: false,
+        licenseConcluded: NOASSERTION,
+        licenseDeclared: NOASSERTION,
+        copyrightText: NOASSERTION,
+        primaryPackagePurpose: 'SOURCE',
+    };
+    const dependencies = packages.map((pkg, i) => ({
+        SPDXID: `SPDXRef-Package-${i + 1}-${spdxIdPart(pkg.name)}`,
+        name: pkg.name,
+        versionInfo: pkg.version || NOASSERTION,
+        downloadLocation: NOASSERTION,
+        filesAnalyzed: false,
+        licenseConcluded: NOASSERTION,
+        licenseDeclared: spdxLicense(pkg),
+        copyrightText: NOASSERTION,
+        primaryPackagePurpose: 'LIBRARY',
+        ...(pkg.location ? { sourceInfo: `Found in ${pkg.location}` } : {}),
+        ...(pkg.purl ? { externalRefs: [{ referenceCategory: 'PACKAGE-MANAGER', referenceType: 'purl', referenceLocator: pkg.purl }] } : {}),
+    }));
+
+    return {
+        spdxVersion: 'SPDX-2.3',
+        dataLicense: 'CC0-1.0',
+        SPDXID: 'SPDXRef-DOCUMENT',
+        name: `${repo}${commitHash ? `@${commitHash}` : ''}`,
+        documentNamespace: `https://codepassport.io/spdx/${encodeURIComponent(scanId)}`,
+        creationInfo: {
+            created: new Date().toISOString().replace(/\.\d{3}Z$/, 'Z'),
+            creators: [`Tool: ${tool}`, `Organization: ${process.env.SPDX_CREATOR || 'CodePassport.io'}`],
+        },
+        packages: [root, ...dependencies],
+        relationships: [
+            { spdxElementId: 'SPDXRef-DOCUMENT', relationshipType: 'DESCRIBES', relatedSpdxElement: root.SPDXID },
+            ...dependencies.map(d => ({ spdxElementId: root.SPDXID, relationshipType: 'DEPENDS_ON', relatedSpdxElement: d.SPDXID })),
+        ],
+        ...(extracted.size ? { hasExtractedLicensingInfos: [...extracted.values()] } : {}),
+    };
+}
+
+module.exports = {
+    collectPackages,
+    licenseInventory,
+    buildNotices,
+    buildSpdxDocument,
+};
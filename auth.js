@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+
+// --- 🪪 AUTHENTICATION ---
+// Requests carry `Authorization: Bearer <credential>`, either:
+//   - an API key (`cpk_...`): belongs to an organization, carries scopes, stored only as a SHA-256 hash;
+//   - a user JWT, HS256-signed with AUTH_JWT_SECRET. Supabase access tokens work as-is when AUTH_JWT_SECRET
+//     is the project's JWT secret. The user id is `sub`, the organization `org_id` (or app_metadata.org_id).
+//
+// AUTH_JWT_SECRET : shared secret the tokens are signed with (without it no JWT authenticates)
+
+const API_KEY_PREFIX = 'cpk_';
+const SCOPES = ['scans:write', 'scans:read', 'webhooks:manage', 'keys:manage'];
+const DEFAULT_KEY_SCOPES = ['scans:write', 'scans:read'];
+
+function base64urlJson(part) {
+    return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+}
+
+/**
+ * Verifies an HS256 JWT
+ * @param {string} token
+ * @param {string} secret
+ * @param {number} [now] - Unix seconds
+ * @returns {Object|null} - The claims, or null if the token is malformed, forged or expired
+ */
+function verifyToken(token, secret, now = Math.floor(Date.now() / 1000)) {
+    if (!token || !secret) return null;
+    const parts = String(token).split('.');
+    if (parts.length !== 3) return null;
+    try {
+        const header = base64urlJson(parts[0]);
+        if (header.alg !== 'HS256') return null; // never "none", never an algorithm picked by the caller
+        const expected = crypto.createHmac('sha256', secret).update(`${parts[0]}.${parts[1]}`).digest();
+        const actual = Buffer.from(parts[2], 'base64url');
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+        const claims = base64urlJson(parts[1]);
+        if (typeof claims.exp === 'number' && claims.exp <= now) return null;
+        if (typeof claims.nbf === 'number' && claims.nbf > now) return null;
+        return claims.sub ? claims : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// --- 🔑 API KEYS ---
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Mints a new API key; only the hash and a display prefix are ever stored
+ * @returns {Object} - { key, key_prefix, key_hash }
+ */
+function generateApiKey() {
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    return { key, key_prefix: key.slice(0, API_KEY_PREFIX.length + 8), key_hash: hashApiKey(key) };
+}
+
+async function authenticateApiKey(key, scanStore) {
+    const record = await scanStore.findApiKeyByHash(hashApiKey(key));
+    if (!record || record.revoked_at) return null;
+    scanStore.touchApiKey(record.id).catch(() => {}); // last_used_at is informational, never blocks a request
+    return {
+        // Keys minted by a user act as that user; others get a stable id of their own.
+        id: record.user_id ? String(record.user_id) : `apikey:${record.id}`,
+        orgId: String(record.org_id),
+        scopes: record.scopes || [],
+        apiKeyId: record.id,
+    };
+}
+
+/**
+ * Works out who sent a request
+ * @param {Object} req - Express request
+ * @param {Object} scanStore - stores.scans (API key lookups)
+ * @returns {Promise<Object|null>} - { id, orgId, scopes, apiKeyId?, claims? } or null for anonymous requests
+ */
+async function authenticate(req, scanStore) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    if (!match) return null;
+    if (match[1].startsWith(API_KEY_PREFIX)) return authenticateApiKey(match[1], scanStore);
+
+    const claims = verifyToken(match[1], process.env.AUTH_JWT_SECRET);
+    if (!claims) return null;
+    const orgId = claims.org_id || (claims.app_metadata && claims.app_metadata.org_id) || null;
+    // Signed-in users act with every scope inside their own organization.
+    return { id: String(claims.sub), orgId: orgId ? String(orgId) : null, scopes: SCOPES, claims };
+}
+
+/**
+ * Express middleware: 401 without valid credentials, 403 without the scope; sets req.user
+ * @param {Object} scanStore - stores.scans
+ * @param {string} [scope] - One of SCOPES
+ */
+function requireAuth(scanStore, scope) {
+    return async (req, res, next) => {
+        let user;
+        try {
+            user = await authenticate(req, scanStore);
+        } catch (error) {
+            console.error('Authentication failed:', error.message);
+            return res.status(500).json({ error: 'Could not verify credentials' });
+        }
+        if (!user) return res.status(401).json({ error: 'Authentication required: send an API key or user token as a Bearer token' });
+        if (scope && !user.scopes.includes(scope)) return res.status(403).json({ error: `Credential lacks the ${scope} scope` });
+        req.user = user;
+        next();
+    };
+}
+
+module.exports = {
+    API_KEY_PREFIX,
+    SCOPES,
+    DEFAULT_KEY_SCOPES,
+    verifyToken,
+    hashApiKey,
+    generateApiKey,
+    authenticate,
+    requireAuth,
+};
@@ -0,0 +1,340 @@
+#!/usr/bin/env node
+// CODE-PASSPORT CLI: offline scans of local directories / repos, for CI gating.
+// Needs `git` plus the selected scanners (default `trivy`, `gitleaks`) on PATH. No Supabase, no DATABASE_URL.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { runCommand, withAbortSignal, isAbortError } = require('./commands');
+const engine = require('./engine');
+const { listPolicies, validatePolicy } = require('./licensePolicy');
+const { resolveScanners, runScanners, listScanners, IncompleteScanError } = require('./scanners');
+const { resolveCommit, checkoutCommit, buildGitAuth, validateGitAuth, validateRef, PROVIDERS } = require('./git');
+const { countFindings, maskSecret } = require('./findings');
+const { validateVexDocuments } = require('./vex');
+const generateCertificate = require('./generateCertificate');
+const attestation = require('./attestation');
+
+const EXIT_OK = 0;
+const EXIT_GRADE_FAILED = 1;
+const EXIT_ERROR = 2;
+const EXIT_INTERRUPTED = 130;
+
+const USAGE = `Usage: code-passport <command> [options]
+
+Commands:
+  scan <path|repo-url>   Scan a local directory or clone a repository and scan it
+  report                 Re-render the PDF certificate from a results file
+  check                  Print a results file summary and exit by grade
+
+Options:
+  --out <dir|file>       scan: output folder (default ./codepassport-report)
+                         report: PDF path (default <input dir>/certificate.pdf)
+  --input <file>         report/check: results file (default ./codepassport-report/scan_results.json)
+  --policy <name>        License policy (${listPolicies().join(', ')}; default "default")
+  --scanners <list>      Comma-separated scanners (${listScanners().map(s => s.name).join(', ')}; default ${resolveScanners().join(',')})
+  --baseline <file>      scan: previous scan_results.json, adds a "Changes since last scan" page
+  --vex <files>          scan: comma-separated OpenVEX / CycloneDX VEX files (on top of the repo's own)
+  --fail-on <grade>      Exit ${EXIT_GRADE_FAILED} when the grade is <grade> or worse (A-F)
+  --ref <ref>            scan: branch, tag or full commit SHA of a repository URL (default HEAD)
+  --token <token>        Access token for private repositories (or CODEPASSPORT_TOKEN)
+  --username <name>      Username to pair with --token (Bitbucket app passwords, generic HTTPS)
+  --ssh-key <file>       Deploy key for SSH repository URLs
+  --provider <name>      Override provider detection (${PROVIDERS.join(', ')})
+  -h, --help             Show this help
+
+Exit codes: ${EXIT_OK} passed, ${EXIT_GRADE_FAILED} grade at or below --fail-on, ${EXIT_ERROR} usage or scan error
+(including a selected scanner that was skipped or failed: its grade would not mean anything).`;
+
+class UsageError extends Error {}
+
+const DEFAULT_OUT = 'codepassport-report';
+const RESULTS_FILE = 'scan_results.json';
+
+// --- 🧰 ARGUMENT PARSING ---
+function parseArgs(argv) {
+    const args = { _: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') args.help = true;
+        else if (arg.startsWith('--')) {
+            const eq = arg.indexOf('=');
+            if (eq !== -1) args[arg.slice(2, eq)] = arg.slice(eq + 1);
+            else args[arg.slice(2)] = argv[++i];
+        } else args._.push(arg);
+    }
+    return args;
+}
+
+function validateFailOn(failOn) {
+    if (failOn === undefined) return null;
+    const grade = String(failOn).toUpperCase();
+    if (!engine.GRADES.includes(grade)) throw new UsageError(`--fail-on must be one of ${engine.GRADES.join(', ')}`);
+    return grade;
+}
+
+function isRemote(target) {
+    return /^(https?|ssh|git):\/\//.test(target) || /^[\w.-]+@[\w.-]+:/.test(target);
+}
+
+function printSummary(results) {
+    const counts = results.counts || {};
+    const vulns = counts.vulnerabilities || {};
+    console.log(`\n📜 ${results.repo}${results.commit_hash ? ` @ ${results.commit_hash.slice(0, 12)}` : ''}`);
+    const score = typeof results.risk_score === 'number' ? `, risk score ${results.risk_score}/100` : '';
+    console.log(`   Grade: ${results.grade}${score}   (policy: ${results.license_policy})`);
+    console.log(`   Vulnerabilities: ${vulns.CRITICAL || 0} critical, ${vulns.HIGH || 0} high, ${vulns.MEDIUM || 0} medium, ${vulns.LOW || 0} low`);
+    if (counts.misconfigurations) {
+        const m = counts.misconfigurations;
+        console.log(`   Misconfigurations: ${m.CRITICAL || 0} critical, ${m.HIGH || 0} high, ${m.MEDIUM || 0} medium, ${m.LOW || 0} low`);
+    }
+    console.log(`   License violations: ${counts.license_violations || 0}   Secrets: ${counts.secrets || 0}   Accepted risks: ${(results.accepted_risks || []).length}   Not affected (VEX): ${(results.vex_findings || []).length}`);
+    const inventory = results.license_inventory || [];
+    if (inventory.length) console.log(`   Third-party packages: ${inventory.reduce((sum, l) => sum + l.packages, 0)} under ${inventory.length} licenses (see THIRD_PARTY_NOTICES.txt)`);
+}
+
+// Names of the selected scanners that did not run (results files written before scans failed on them).
+function incompleteScanners(results) {
+    return Object.entries(results.scanners || {}).filter(([, run]) => run.status !== 'ok').map(([name, run]) => `${name} (${run.status})`);
+}
+
+function gate(results, failOn) {
+    const incomplete = incompleteScanners(results);
+    if (incomplete.length) {
+        console.log(`❌ Not graded: ${incomplete.join(', ')} did not run. Install the scanner or leave it out of --scanners.`);
+        return EXIT_ERROR;
+    }
+    if (failOn && engine.gradeAtOrBelow(results.grade, failOn)) {
+        console.log(`❌ Grade ${results.grade} is at or below the --fail-on threshold (${failOn}).`);
+        return EXIT_GRADE_FAILED;
+    }
+    if (failOn) console.log(`✅ Grade ${results.grade} passes the --fail-on threshold (${failOn}).`);
+    return EXIT_OK;
+}
+
+// A previous results file, shaped like a stored scan + its findings for scanDiff.
+function loadBaseline(file) {
+    const input = path.resolve(file);
+    if (!fs.existsSync(input)) throw new UsageError(`Baseline file not found: ${input}`);
+    const previous = JSON.parse(fs.readFileSync(input, 'utf8'));
+    return {
+        scan: { id: previous.scan_id, commit_hash: previous.commit_hash, risk_grade: previous.grade, risk_score: previous.risk_score, completed_at: previous.scanned_at },
+        findings: previous.findings || [],
+    };
+}
+
+function loadVexFiles(list) {
+    if (!list) return [];
+    const docs = String(list).split(',').filter(Boolean).map(file => {
+        const input = path.resolve(file.trim());
+        if (!fs.existsSync(input)) throw new UsageError(`VEX file not found: ${input}`);
+        try { return JSON.parse(fs.readFileSync(input, 'utf8')); } catch (e) { throw new UsageError(`${file}: invalid JSON (${e.message})`); }
+    });
+    const error = validateVexDocuments(docs);
+    if (error) throw new UsageError(`--vex ${error}`);
+    return docs;
+}
+
+// --- 🔍 scan ---
+async function scanCommand(args) {
+    const target = args._[1];
+    if (!target) throw new UsageError('scan needs a directory or repository URL');
+    const policy = args.policy || 'default';
+    const policyError = validatePolicy(policy);
+    if (policyError) throw new UsageError(policyError);
+    let scanners;
+    try { scanners = resolveScanners(args.scanners); } catch (e) { throw new UsageError(e.message); }
+    const failOn = validateFailOn(args['fail-on']);
+    const baseline = args.baseline ? loadBaseline(args.baseline) : null;
+    const vex = loadVexFiles(args.vex);
+    const outDir = path.resolve(args.out || DEFAULT_OUT);
+    fs.mkdirSync(outDir, { recursive: true });
+
+    const scanId = crypto.randomUUID();
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codepassport-'));
+    const timer = engine.phaseTimer();
+    let workspace;
+    let repoLabel;
+    let commitHash = null;
+    let gitRef = null;
+
+    try {
+        if (isRemote(target)) {
+            gitRef = args.ref || 'HEAD';
+            const credentials = {
+                repoUrl: target,
+                token: args.token || process.env.CODEPASSPORT_TOKEN,
+                username: args.username,
+                sshKey: args['ssh-key'] ? fs.readFileSync(path.resolve(args['ssh-key']), 'utf8') : undefined,
+                provider: args.provider,
+            };
+            const gitError = validateGitAuth(credentials) || (gitRef !== 'HEAD' && validateRef(gitRef));
+            if (gitError) throw new UsageError(gitError);
+            const gitAuth = buildGitAuth(credentials, workDir);
+
+            console.log(`📥 Fetching ${target} (${gitRef})...`);
+            workspace = path.join(workDir, 'repo_clone');
+            commitHash = await timer.time('resolve', () => resolveCommit(target, gitRef, gitAuth));
+            if (!commitHash) throw new UsageError(`Ref "${gitRef}" was not found in ${target}`);
+            commitHash = await timer.time('clone', () => checkoutCommit(target, commitHash, workspace, gitAuth));
+            repoLabel = target;
+        } else {
+            workspace = path.resolve(target);
+            if (!fs.existsSync(workspace) || !fs.statSync(workspace).isDirectory()) throw new UsageError(`Not a directory: ${target}`);
+            repoLabel = workspace;
+            try { commitHash = await runCommand('git', ['rev-parse', 'HEAD'], workspace); } catch (e) { /* not a git checkout */ }
+        }
+
+        console.log(`🧩 Scanners: ${scanners.join(', ')}`);
+        const { report, secrets, runs } = await timer.time('scanners', () => runScanners(scanners, workspace, { workDir }));
+
+        console.log('📦 Generating SBOM...');
+        const sbomOut = path.join(outDir, 'sbom.cdx.json');
+        let sbomWritten = null;
+        try {
+            sbomWritten = await timer.time('sbom', () => engine.generateSbom({ workspace, workDir, sbomPath: sbomOut }));
+        } catch (e) {
+            if (isAbortError(e)) throw e;
+            console.log('   SBOM failed:', e.message);
+        }
+        // Never leave the SBOM of an earlier scan next to this scan's results.
+        if (!sbomWritten) fs.rmSync(sbomOut, { force: true });
+
+        const analysis = await timer.time('analyze', async () => engine.analyze({ trivy: report, gitleaks: secrets, repoDir: workspace, policy, vex, sbomReport: engine.readSbomReport(workDir) }));
+        analysis.vexSummary.errors.forEach(e => console.log(`   VEX warning: ${e}`));
+        analysis.waiverSummary.errors.forEach(e => console.log(`   Waiver warning: ${e}`));
+
+        console.log('🎨 Generating certificate...');
+        const { findingRows, signedAttestation, pdf, sarif, vex: vexDocument, spdx, notices, changes } = await timer.time('render', () => engine.renderArtifacts({ scanId, repo: repoLabel, commitHash, analysis, baseline }));
+
+        // Raw secrets never leave the scanner: the results file only carries masked values.
+        const safeSecrets = analysis.secrets.map(({ Secret, Match, ...rest }) => ({ ...rest, Secret: maskSecret(Secret) }));
+        const results = {
+            scan_id: scanId,
+            repo: repoLabel,
+            git_ref: gitRef,
+            commit_hash: commitHash,
+            grade: analysis.grade,
+            risk_score: analysis.riskScore,
+            grade_breakdown: analysis.gradeBreakdown,
+            license_policy: analysis.policy,
+            scanned_at: new Date().toISOString(),
+            scanner_version: engine.SCANNER_VERSION,
+            scanners: runs,
+            phase_timings: timer.finish(),
+            counts: countFindings(findingRows),
+            viral_licenses: analysis.viralLicenses,
+            critical_vulns: analysis.criticalVulns,
+            misconfigurations: analysis.misconfigurations,
+            leaked_secrets: safeSecrets,
+            accepted_risks: analysis.acceptedRisks,
+            expired_waivers: analysis.expiredWaivers,
+            waiver_summary: analysis.waiverSummary,
+            vex_findings: analysis.vexFindings,
+            vex_summary: analysis.vexSummary,
+            license_inventory: analysis.licenseInventory,
+            attestation: signedAttestation,
+            changes,
+            findings: findingRows,
+        };
+
+        const outputs = {
+            [RESULTS_FILE]: JSON.stringify(results, null, 2),
+            'certificate.pdf': pdf,
+            'results.sarif': JSON.stringify(sarif, null, 2),
+            'sbom.spdx.json': JSON.stringify(spdx, null, 2),
+            'vex.openvex.json': JSON.stringify(vexDocument, null, 2),
+            'THIRD_PARTY_NOTICES.txt': notices,
+        };
+        Object.entries(outputs).forEach(([file, content]) => fs.writeFileSync(path.join(outDir, file), content));
+        const written = Object.keys(outputs);
+        if (sbomWritten) written.splice(3, 0, 'sbom.cdx.json');
+        console.log(`💾 Wrote ${written.slice(0, -1).join(', ')} and ${written[written.length - 1]} to ${outDir}`);
+
+        printSummary(results);
+        return gate(results, failOn);
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+// --- 📄 report / check ---
+function readResults(args) {
+    const input = path.resolve(args.input || path.join(DEFAULT_OUT, RESULTS_FILE));
+    if (!fs.existsSync(input)) throw new UsageError(`Results file not found: ${input} (run "code-passport scan" first)`);
+    return { input, results: JSON.parse(fs.readFileSync(input, 'utf8')) };
+}
+
+async function reportCommand(args) {
+    const { input, results } = readResults(args);
+    let verification = null;
+    if (results.attestation) {
+        const url = attestation.verificationUrl(results.scan_id);
+        verification = { ...results.attestation, url, qr: await attestation.verificationQr(url) };
+    }
+    const pdf = await generateCertificate({ ...results, verification }, results.scan_id, results.repo);
+    const out = path.resolve(args.out || path.join(path.dirname(input), 'certificate.pdf'));
+    fs.writeFileSync(out, pdf);
+    console.log(`📄 PDF saved as ${out}`);
+    return EXIT_OK;
+}
+
+async function checkCommand(args) {
+    const failOn = validateFailOn(args['fail-on'] || 'F');
+    const { results } = readResults(args);
+    printSummary(results);
+    return gate(results, failOn);
+}
+
+// --- 🛑 CTRL-C ---
+// The first Ctrl-C stops git and the scanners (whole process groups) and lets the scan clean up
+// its temp folder; a second one exits right away.
+async function interruptible(fn) {
+    const controller = new AbortController();
+    const onSigint = () => {
+        if (controller.signal.aborted) process.exit(EXIT_INTERRUPTED);
+        console.error('\n🛑 Stopping the scan (Ctrl-C again to quit immediately)...');
+        controller.abort();
+    };
+    process.on('SIGINT', onSigint);
+    try {
+        return await withAbortSignal(controller.signal, fn);
+    } catch (err) {
+        if (controller.signal.aborted && isAbortError(err)) {
+            console.error('🛑 Scan cancelled');
+            return EXIT_INTERRUPTED;
+        }
+        throw err;
+    } finally {
+        process.removeListener('SIGINT', onSigint);
+    }
+}
+
+// --- 🚀 MAIN ---
+async function main(argv) {
+    const args = parseArgs(argv);
+    const command = args._[0];
+    if (args.help || !command) {
+        console.log(USAGE);
+        return command || args.help ? EXIT_OK : EXIT_ERROR;
+    }
+    switch (command) {
+        case 'scan': return interruptible(() => scanCommand(args));
+        case 'report': return reportCommand(args);
+        case 'check': return checkCommand(args);
+        default: throw new UsageError(`Unknown command: ${command}`);
+    }
+}
+
+main(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(err => {
+        if (err instanceof IncompleteScanError) {
+            console.error(`❌ Not graded: ${err.message}. Install the scanner or leave it out of --scanners.`);
+            process.exitCode = EXIT_ERROR;
+            return;
+        }
+        console.error(`❌ ${err instanceof UsageError ? err.message : `Scan failed: ${err.message}`}`);
+        if (err instanceof UsageError) console.error(`\n${USAGE}`);
+        process.exitCode = EXIT_ERROR;
+    });
@@ -0,0 +1,138 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+const metrics = require('./metrics');
+
+const KILL_GRACE_MS = 5000;
+
+// --- 🔒 HELPER: Sanitize Logs ---
+function sanitizeLog(str) {
+    if (!str) return '';
+    return str.replace(/:\/\/[^@]+@/g, '://***@');
+}
+
+// --- 🪓 HELPER: PROCESS LIFECYCLE ---
+// Children run in their own process group (detached), so a kill reaches everything they started
+// too (git-remote-https, ssh, scanner plugins). Commands spawned inside withAbortSignal() are
+// killed as soon as that signal aborts (scan cancelled, worker shutting down).
+const abortScope = new AsyncLocalStorage();
+
+/**
+ * Runs fn with every command it spawns (at any depth) tied to `signal`
+ * @param {AbortSignal} signal
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>} - What fn returns
+ */
+function withAbortSignal(signal, fn) {
+    return abortScope.run(signal, fn);
+}
+
+function abortError(command) {
+    const err = new Error(`Command aborted: ${command}`);
+    err.name = 'AbortError';
+    return err;
+}
+
+function isAbortError(err) {
+    return Boolean(err) && err.name === 'AbortError';
+}
+
+function killProcessGroup(proc) {
+    const signalGroup = (signal) => {
+        try { process.kill(-proc.pid, signal); } catch (e) { try { proc.kill(signal); } catch (ignored) { /* already gone */ } }
+    };
+    signalGroup('SIGTERM');
+    // Whatever ignores SIGTERM (or outlives its parent) gets SIGKILL after a grace period.
+    setTimeout(() => signalGroup('SIGKILL'), KILL_GRACE_MS).unref();
+}
+
+// Wires the timeout and the scope's abort signal to the child; returns the cleanup for 'close'.
+function superviseProcess(proc, command, timeoutMs, timeoutMessage, reject) {
+    const signal = abortScope.getStore();
+    const timer = setTimeout(() => {
+        killProcessGroup(proc);
+        metrics.commandTimeouts.inc({ command });
+        reject(new Error(timeoutMessage));
+    }, timeoutMs);
+    const onAbort = () => {
+        killProcessGroup(proc);
+        reject(abortError(command));
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    return () => {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+    };
+}
+
+// --- 🛡️ HELPER 1: SIMPLE COMMAND RUNNER ---
+// okExitCodes: some scanners (osv-scanner) exit non-zero just to say "found something".
+// env: extra variables for this process only (git credentials travel this way, never in args).
+function runCommand(command, args, cwd = null, timeoutMs = 1800000, okExitCodes = [0], env = null) { 
+    return new Promise((resolve, reject) => {
+        const signal = abortScope.getStore();
+        if (signal && signal.aborted) return reject(abortError(command));
+        const proc = spawn(command, args, { cwd, shell: false, detached: true, env: env ? { ...process.env, ...env } : process.env });
+        let stdout = '';
+        let stderr = '';
+        
+        const release = superviseProcess(proc, command, timeoutMs, `Command timed out after ${timeoutMs}ms: ${command}`, reject);
+
+        proc.stdout.on('data', (data) => { stdout += data; });
+        proc.stderr.on('data', (data) => { stderr += data; });
+
+        proc.on('close', (code) => {
+            release();
+            if (okExitCodes.includes(code)) resolve(stdout.trim());
+            else {
+                const safeCommand = sanitizeLog(`${command} ${args.join(' ')}`);
+                const safeStderr = sanitizeLog(stderr);
+                reject(new Error(`Command failed: ${safeCommand}\nStderr: ${safeStderr}`));
+            }
+        });
+        proc.on('error', (err) => { release(); reject(err); });
+    });
+}
+
+// --- 🌊 HELPER 2: STREAMING COMMAND RUNNER ---
+function runCommandToFile(command, args, filePath, cwd = null, timeoutMs = 1800000) {
+    return new Promise((resolve, reject) => {
+        const signal = abortScope.getStore();
+        if (signal && signal.aborted) return reject(abortError(command));
+        const fileStream = fs.createWriteStream(filePath);
+        const proc = spawn(command, args, { cwd, shell: false, detached: true });
+        
+        const release = superviseProcess(proc, command, timeoutMs, `Stream command timed out after ${timeoutMs}ms`, reject);
+
+        proc.stdout.pipe(fileStream);
+
+        let stderr = '';
+        proc.stderr.on('data', (data) => { stderr += data; });
+
+        proc.on('close', (code) => {
+            release();
+            if (code === 0) resolve(filePath);
+            else {
+                const safeStderr = sanitizeLog(stderr);
+                reject(new Error(`Stream Command failed: ${command}\nStderr: ${safeStderr}`));
+            }
+        });
+        proc.on('error', (err) => { release(); reject(err); });
+    });
+}
+
+// --- 🔎 HELPER 3: BINARY PROBE ---
+// Only a successful probe is cached: a binary installed (or a probe that timed out) after the
+// first check is picked up by the next one. Concurrent checks share one probe.
+const availability = new Map();
+function binaryAvailable(command, args = ['--version']) {
+    if (!availability.has(command)) {
+        availability.set(command, runCommand(command, args, null, 30000).then(() => true, () => {
+            availability.delete(command);
+            return false;
+        }));
+    }
+    return availability.get(command);
+}
+
+module.exports = { sanitizeLog, runCommand, runCommandToFile, binaryAvailable, withAbortSignal, isAbortError };
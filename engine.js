@@ -0,0 +1,259 @@
+const fs = require('fs');
+const path = require('path');
+const { runCommand } = require('./commands');
+const trivyAdapter = require('./scanners/trivy');
+const generateCertificate = require('./generateCertificate');
+const { evaluateLicenses } = require('./licensePolicy');
+const { normalizeFindings, countFindings } = require('./findings');
+const generateSarif = require('./sarif');
+const attestation = require('./attestation');
+const { loadWaivers, applyWaivers, listAcceptedRisks } = require('./waivers');
+const { loadVex, applyVex, listVexFindings, buildVexDocument } = require('./vex');
+const { scoreRisk } = require('./riskScore');
+const { diffScans } = require('./scanDiff');
+const { collectPackages, licenseInventory, buildNotices, buildSpdxDocument } = require('./attribution');
+
+// --- ⚙️ SCAN ENGINE ---
+// Everything between "the scanners have run" and "we have a grade + artifacts".
+// Shared by the worker (scan.js) and the offline CLI (cli.js); no Supabase in here.
+//
+// SCANNER_FIXTURES_DIR : no binary runs at all; the SBOM is <dir>/sbom.cdx.json (none when it is missing)
+
+const SCANNER_VERSION = 'v12.2-Hardened';
+const GRADES = ['A', 'B', 'C', 'D', 'F'];
+
+// --- 🏷️ SCANNER VERSIONS (for attestations) ---
+let scannerVersions = null;
+async function getScannerVersions() {
+    if (scannerVersions) return scannerVersions;
+    if (process.env.SCANNER_FIXTURES_DIR) return { engine: SCANNER_VERSION, trivy: 'fixture', gitleaks: 'fixture' };
+    const versionOf = async (command, args) => {
+        try {
+            const output = await runCommand(command, args, null, 30000);
+            const match = /(\d+\.\d+\.\d+)/.exec(output);
+            return match ? match[1] : output.split('\n')[0];
+        } catch (e) { return 'unknown'; }
+    };
+    scannerVersions = {
+        engine: SCANNER_VERSION,
+        trivy: await versionOf('trivy', ['--version']),
+        gitleaks: await versionOf('gitleaks', ['version']),
+    };
+    return scannerVersions;
+}
+
+// --- 📦 SBOM ---
+/**
+ * Generates a CycloneDX SBOM, converting the Trivy report of this scan when there is one
+ * @param {Object} input - { workspace, workDir, sbomPath, fixturesDir }
+ * @returns {Promise<string|null>} - sbomPath, or null if nothing was written
+ */
+async function generateSbom({ workspace, workDir, sbomPath, fixturesDir = process.env.SCANNER_FIXTURES_DIR }) {
+    if (fixturesDir) {
+        const fixture = path.join(fixturesDir, 'sbom.cdx.json');
+        if (!fs.existsSync(fixture)) return null;
+        fs.copyFileSync(fixture, sbomPath);
+        return sbomPath;
+    }
+    const report = path.join(workDir, trivyAdapter.reportFile);
+    if (!fs.existsSync(report)) {
+        // Trivy was not part of this scan: one extra (local) pass over the workspace, kept as the
+        // package inventory of the SPDX SBOM and the third-party notices (see readSbomReport).
+        await runCommand('trivy', ['fs', workspace, '--scanners', 'license', '--format', 'json', '--list-all-pkgs', '--output', report, '--quiet']);
+    }
+    await runCommand('trivy', ['convert', '--format', 'cyclonedx', '--output', sbomPath, '--quiet', report]);
+    return fs.existsSync(sbomPath) ? sbomPath : null;
+}
+
+/**
+ * The Trivy report generateSbom() converted (the package inventory of the scan)
+ * @param {string} workDir
+ * @returns {Object|null} - Parsed report, or null when there is none
+ */
+function readSbomReport(workDir) {
+    const report = path.join(workDir, trivyAdapter.reportFile);
+    try {
+        return fs.existsSync(report) ? JSON.parse(fs.readFileSync(report, 'utf8')) : null;
+    } catch (e) { return null; }
+}
+
+// --- ⏱️ PHASE TIMINGS ---
+/**
+ * Records how long each phase of a scan takes (milliseconds)
+ * @returns {Object} - { timings, time(phase, fn), finish() }
+ */
+function phaseTimer() {
+    const started = Date.now();
+    const timings = {};
+    return {
+        timings,
+        async time(phase, fn) {
+            const t = Date.now();
+            try { return await fn(); } finally { timings[phase] = Date.now() - t; }
+        },
+        finish() {
+            timings.total = Date.now() - started;
+            return timings;
+        },
+    };
+}
+
+// --- 🎓 GRADING ---
+/**
+ * Applies VEX statements, license policy and waivers to raw scanner output, then grades it
+ * @param {Object} input - { trivy, gitleaks, repoDir, policy, vex, sbomReport } where vex lists the VEX documents
+ *                         attached to the scan and sbomReport is readSbomReport()'s (defaults to trivy)
+ * @returns {Object} - The analysis consumed by renderArtifacts() and stored on the scan
+ */
+function analyze({ trivy = {}, gitleaks = [], repoDir = null, policy = 'default', vex = [], sbomReport = null }) {
+    const licenseReport = evaluateLicenses(trivy, policy);
+    const packages = collectPackages(sbomReport || trivy, repoDir);
+    // VEX first: a vulnerability that doesn't affect the product needs no waiver.
+    const vexConfig = loadVex(repoDir, vex);
+    const vexed = applyVex(vexConfig.statements, trivy);
+    const vexFindings = listVexFindings(vexed.suppressed);
+    const waiverConfig = repoDir && fs.existsSync(repoDir) ? loadWaivers(repoDir) : { file: null, waivers: [], errors: [] };
+    const { active, accepted, expired } = applyWaivers(waiverConfig.waivers, {
+        trivy: vexed.active,
+        gitleaks,
+        licenseDecisions: licenseReport.decisions,
+    }, { repoDir });
+    const acceptedRisks = listAcceptedRisks(accepted);
+    const liveExpiries = waiverConfig.waivers.map(w => w.expires).filter(d => d >= new Date()).sort((a, b) => a - b);
+
+    // Graded findings plus the waived and VEX-suppressed ones, which are still stored and exported (as suppressed).
+    const allFindings = {
+        trivy: { ...trivy, Results: [...active.trivy.Results, ...accepted.trivy.Results, ...vexed.suppressed.Results] },
+        gitleaks: [...active.gitleaks, ...accepted.gitleaks],
+        licenseDecisions: [...active.licenseDecisions, ...accepted.licenseDecisions],
+    };
+
+    const viralLicenses = active.licenseDecisions.filter(d => d.decision === 'deny');
+    const criticalVulns = [];
+    const misconfigurations = [];
+    active.trivy.Results.forEach(target => {
+        (target.Vulnerabilities || []).forEach(vuln => {
+            if (vuln.Severity === 'CRITICAL') criticalVulns.push(vuln);
+        });
+        (target.Misconfigurations || []).forEach(m => {
+            if (m.Severity === 'CRITICAL' || m.Severity === 'HIGH') misconfigurations.push({ ...m, Target: target.Target });
+        });
+    });
+
+    const { score, grade, breakdown } = scoreRisk(active);
+
+    return {
+        grade,
+        riskScore: score,
+        gradeBreakdown: breakdown,
+        policy: licenseReport.policy,
+        licenseReviewCount: licenseReport.review.length,
+        viralLicenses,
+        criticalVulns,
+        misconfigurations,
+        secrets: active.gitleaks,
+        acceptedRisks,
+        expiredWaivers: expired,
+        vexFindings,
+        packages,
+        licenseInventory: licenseInventory(packages),
+        allFindings,
+        waiverSummary: {
+            file: waiverConfig.file,
+            accepted: acceptedRisks.length,
+            expired,
+            errors: waiverConfig.errors,
+            next_expiry: liveExpiries.length ? liveExpiries[0].toISOString() : null,
+        },
+        vexSummary: {
+            documents: vexConfig.documents,
+            attached: (vex || []).length,
+            suppressed: vexFindings.length,
+            errors: vexConfig.errors,
+        },
+    };
+}
+
+/**
+ * Builds every per-scan artifact in memory: findings rows, signed attestation, PDF, SARIF, OpenVEX,
+ * SPDX SBOM and third-party notices
+ * @param {Object} input - { scanId, repo, commitHash, analysis, baseline } where baseline is the
+ *                         previous scan of the repo ({ scan, findings }) for the "changes" page
+ * @returns {Promise<Object>} - { findingRows, signedAttestation, pdf, sarif, vex, spdx, notices, changes }
+ */
+async function renderArtifacts({ scanId, repo, commitHash, analysis, baseline = null }) {
+    const findingRows = normalizeFindings(scanId, analysis.allFindings);
+    const changes = baseline ? diffScans(baseline, {
+        scan: { id: scanId, commit_hash: commitHash, risk_grade: analysis.grade, risk_score: analysis.riskScore, completed_at: new Date().toISOString() },
+        findings: findingRows,
+    }) : null;
+
+    let signedAttestation = null;
+    let verification = null;
+    if (attestation.isSigningEnabled()) {
+        signedAttestation = attestation.signAttestation(attestation.buildAttestation({
+            scanId,
+            repo,
+            commitHash,
+            grade: analysis.grade,
+            riskScore: analysis.riskScore,
+            policy: analysis.policy,
+            counts: countFindings(findingRows),
+            scanners: await getScannerVersions(),
+        }));
+        const url = attestation.verificationUrl(scanId);
+        verification = { ...signedAttestation, url, qr: await attestation.verificationQr(url) };
+    }
+
+    const pdf = await generateCertificate({
+        grade: analysis.grade,
+        risk_score: analysis.riskScore,
+        grade_breakdown: analysis.gradeBreakdown,
+        viral_licenses: analysis.viralLicenses,
+        critical_vulns: analysis.criticalVulns,
+        misconfigurations: analysis.misconfigurations,
+        leaked_secrets: analysis.secrets,
+        accepted_risks: analysis.acceptedRisks,
+        expired_waivers: analysis.expiredWaivers,
+        vex_findings: analysis.vexFindings,
+        license_inventory: analysis.licenseInventory,
+        changes,
+        verification,
+    }, scanId, repo);
+
+    const sarif = generateSarif({
+        ...analysis.allFindings,
+        policy: analysis.policy,
+        repo,
+        commitHash,
+        scanId,
+    });
+
+    const vex = buildVexDocument({ scanId, repo, commitHash, trivy: analysis.allFindings.trivy });
+    const spdx = buildSpdxDocument({ scanId, repo, commitHash, packages: analysis.packages, tool: `CodePassport.io-${SCANNER_VERSION}` });
+    const notices = buildNotices({ repo, commitHash, packages: analysis.packages });
+
+    return { findingRows, signedAttestation, pdf, sarif, vex, spdx, notices, changes };
+}
+
+/**
+ * True when `grade` is `threshold` or worse (A best, F worst)
+ * @param {string} grade
+ * @param {string} threshold
+ * @returns {boolean}
+ */
+function gradeAtOrBelow(grade, threshold) {
+    return GRADES.indexOf(String(grade).toUpperCase()) >= GRADES.indexOf(String(threshold).toUpperCase());
+}
+
+module.exports = {
+    SCANNER_VERSION,
+    GRADES,
+    getScannerVersions,
+    generateSbom,
+    readSbomReport,
+    phaseTimer,
+    analyze,
+    renderArtifacts,
+    gradeAtOrBelow,
+};
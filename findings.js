@@ -0,0 +1,120 @@
+// --- 🗂️ FINDINGS NORMALIZER ---
+// Flattens scanner (Trivy-schema + Gitleaks-schema) and license-policy output into uniform rows for the `scan_findings` table.
+// Items carrying a `Waiver` (see waivers.js) or a not_affected / fixed `Vex` statement (see vex.js) are stored as suppressed.
+
+const LICENSE_SEVERITY = { deny: 'HIGH', review: 'MEDIUM', allow: 'LOW' };
+
+/**
+ * Masks a secret so only the first 4 characters are ever stored or printed
+ * @param {string} secret - The raw secret from Gitleaks
+ * @returns {string}
+ */
+function maskSecret(secret) {
+    return secret ? `${String(secret).substring(0, 4)}...[REDACTED]` : '[HIDDEN]';
+}
+
+/**
+ * Builds normalized finding rows for one scan
+ * @param {string} scanId - The scan the findings belong to
+ * @param {Object} sources - { trivy, gitleaks, licenseDecisions }
+ * @returns {Array<Object>} - Rows ready to be inserted into `scan_findings`
+ */
+function normalizeFindings(scanId, { trivy = {}, gitleaks = [], licenseDecisions = [] }) {
+    const rows = [];
+
+    (trivy.Results || []).forEach(target => {
+        (target.Vulnerabilities || []).forEach(vuln => {
+            rows.push({
+                scan_id: scanId,
+                type: 'vulnerability',
+                severity: vuln.Severity || 'UNKNOWN',
+                rule_id: vuln.VulnerabilityID,
+                package: vuln.PkgName,
+                installed_version: vuln.InstalledVersion || null,
+                fixed_version: vuln.FixedVersion || null,
+                file: target.Target,
+                line: null,
+                title: vuln.Title || null,
+                suppressed: Boolean(vuln.Waiver || vuln.Vex),
+                details: { scanner: target.Scanner || 'trivy', ...(vuln.Waiver ? { waiver: vuln.Waiver } : {}), ...(vuln.Vex ? { vex: vuln.Vex } : {}) },
+            });
+        });
+        (target.Misconfigurations || []).forEach(m => {
+            rows.push({
+                scan_id: scanId,
+                type: 'misconfiguration',
+                severity: m.Severity || 'UNKNOWN',
+                rule_id: m.ID,
+                package: null,
+                installed_version: null,
+                fixed_version: null,
+                file: target.Target,
+                line: (m.CauseMetadata && m.CauseMetadata.StartLine) || null,
+                title: m.Title || m.ID,
+                suppressed: Boolean(m.Waiver),
+                details: { scanner: target.Scanner || null, message: m.Message || null, ...(m.Waiver ? { waiver: m.Waiver } : {}) },
+            });
+        });
+    });
+
+    licenseDecisions.forEach(lic => {
+        rows.push({
+            scan_id: scanId,
+            type: 'license',
+            severity: LICENSE_SEVERITY[lic.decision] || 'UNKNOWN',
+            rule_id: lic.license,
+            package: lic.pkg,
+            installed_version: null,
+            fixed_version: null,
+            file: lic.file || null,
+            line: null,
+            title: lic.reason,
+            suppressed: Boolean(lic.Waiver),
+            details: { category: lic.category, decision: lic.decision, ...(lic.Waiver ? { waiver: lic.Waiver } : {}) },
+        });
+    });
+
+    (gitleaks || []).forEach(secret => {
+        rows.push({
+            scan_id: scanId,
+            type: 'secret',
+            severity: 'CRITICAL',
+            rule_id: secret.RuleID,
+            package: null,
+            installed_version: null,
+            fixed_version: null,
+            file: secret.File,
+            line: secret.StartLine || null,
+            title: secret.Description || secret.RuleID,
+            suppressed: Boolean(secret.Waiver),
+            details: { masked_secret: maskSecret(secret.Secret), commit: secret.Commit || null, ...(secret.Waiver ? { waiver: secret.Waiver } : {}) },
+        });
+    });
+
+    return rows;
+}
+
+/**
+ * Summarizes normalized, non-suppressed findings into the counts published on certificates
+ * @param {Array<Object>} rows - Output of normalizeFindings()
+ * @returns {Object} - { vulnerabilities: { CRITICAL, HIGH, ... }, misconfigurations: {...}, secrets, license_violations, license_reviews }
+ */
+function countFindings(rows) {
+    const counts = {
+        vulnerabilities: { CRITICAL: 0, HIGH: 0, MEDIUM: 0, LOW: 0, UNKNOWN: 0 },
+        misconfigurations: { CRITICAL: 0, HIGH: 0, MEDIUM: 0, LOW: 0, UNKNOWN: 0 },
+        secrets: 0,
+        license_violations: 0,
+        license_reviews: 0,
+    };
+    rows.filter(row => !row.suppressed).forEach(row => {
+        if (row.type === 'vulnerability') counts.vulnerabilities[row.severity in counts.vulnerabilities ? row.severity : 'UNKNOWN']++;
+        else if (row.type === 'misconfiguration') counts.misconfigurations[row.severity in counts.misconfigurations ? row.severity : 'UNKNOWN']++;
+        else if (row.type === 'secret') counts.secrets++;
+        else if (row.type === 'license' && row.details.decision === 'deny') counts.license_violations++;
+        else if (row.type === 'license' && row.details.decision === 'review') counts.license_reviews++;
+    });
+    return counts;
+}
+
+module.exports = { normalizeFindings, countFindings, maskSecret };
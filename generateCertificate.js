@@ -1,8 +1,13 @@
 const PDFDocument = require('pdfkit');
+const { maskSecret } = require('./findings');
+
+// Badge colour per grade (green -> red).
+const GRADE_COLORS = { A: '#008000', B: '#689F38', C: '#F9A825', D: '#EF6C00', F: '#FF0000' };
+const CATEGORY_LABELS = { vulnerabilities: 'Vulnerabilities', misconfigurations: 'Misconfigurations', secrets: 'Secrets', licenses: 'Licenses' };
 
 /**
  * Generates a Compliance Certificate PDF in memory
- * @param {Object} scanData - The results (grade, viral_licenses, critical_vulns, leaked_secrets)
+ * @param {Object} scanData - The results (grade, risk_score, grade_breakdown, viral_licenses, critical_vulns, misconfigurations, leaked_secrets, accepted_risks, expired_waivers, vex_findings, license_inventory, changes, verification)
  * @param {string} scanId - The unique ID
  * @param {string} repoUrl - The repository URL
  * @returns {Promise<Buffer>} - Returns the PDF file as a binary buffer
@@ -35,17 +40,24 @@ function generateCertificate(scanData, scanId, repoUrl) {
 
             // 2. The "Grade" Badge
             const grade = scanData.grade || 'A'; 
+            const gradeColor = GRADE_COLORS[grade] || GRADE_COLORS.F;
             
             // Draw Box
             doc.lineWidth(2);
             doc.roundedRect(250, 160, 100, 100, 10)
-               .strokeColor(grade === 'A' ? '#008000' : '#FF0000')
+               .strokeColor(gradeColor)
                .stroke();
             
             // Draw Letter
             doc.fontSize(60)
-               .fillColor(grade === 'A' ? '#008000' : '#FF0000') // Green for A, Red for others
+               .fillColor(gradeColor)
                .text(grade, 250, 175, { width: 100, align: 'center' });
+
+            // Risk score under the badge
+            if (typeof scanData.risk_score === 'number') {
+                doc.fontSize(10).fillColor('#555')
+                   .text(`Risk score ${scanData.risk_score}/100`, 200, 266, { width: 200, align: 'center' });
+            }
             
             doc.moveDown(5);
 
@@ -73,14 +85,67 @@ function generateCertificate(scanData, scanId, repoUrl) {
             // Extract counts safely
             const viralCount = scanData.viral_licenses ? scanData.viral_licenses.length : 0;
             const vulnCount = scanData.critical_vulns ? scanData.critical_vulns.length : 0;
+            const misconfigCount = scanData.misconfigurations ? scanData.misconfigurations.length : 0;
             const secretCount = scanData.leaked_secrets ? scanData.leaked_secrets.length : 0;
+            const acceptedCount = scanData.accepted_risks ? scanData.accepted_risks.length : 0;
+            const vexCount = scanData.vex_findings ? scanData.vex_findings.length : 0;
+            const expiredWaivers = (scanData.expired_waivers || []).filter(w => w.matched > 0);
 
             doc.text(`• Viral Licenses Found: ${viralCount}`);
             doc.text(`• Critical Vulnerabilities: ${vulnCount}`);
             doc.text(`• Hardcoded Secrets: ${secretCount}`); 
+            if (misconfigCount > 0) doc.text(`• High/Critical Misconfigurations: ${misconfigCount}`);
+            if (acceptedCount > 0) doc.text(`• Accepted Risks (waived, not graded): ${acceptedCount}`);
+            if (vexCount > 0) doc.text(`• Not Affected per VEX (not graded): ${vexCount}`);
 
             doc.moveDown(2);
 
+            // 4b. Verification (signed attestation + QR code)
+            const verification = scanData.verification;
+            if (verification) {
+                doc.font('Helvetica-Bold').fontSize(14).fillColor('#000').text('Verify This Certificate', 50);
+                doc.moveDown(0.5);
+                const blockY = doc.y;
+                if (verification.qr) doc.image(verification.qr, 50, blockY, { width: 90 });
+                doc.font('Helvetica').fontSize(9).fillColor('#333');
+                doc.text(`Scan the code or visit: ${verification.url}`, 155, blockY, { width: 390 });
+                doc.text(`Signed with ${verification.algorithm} (key: ${verification.key_id})`, 155, doc.y + 4, { width: 390 });
+                doc.font('Courier').fontSize(7).fillColor('#555')
+                   .text(`Signature: ${verification.signature}`, 155, doc.y + 4, { width: 390 });
+                doc.font('Helvetica').text('', 50, Math.max(doc.y, blockY + 95));
+                doc.moveDown(1);
+            }
+
+            // 4c. WHY THIS GRADE (risk score breakdown)
+            const breakdown = scanData.grade_breakdown;
+            if (breakdown) {
+                doc.addPage();
+                doc.font('Helvetica-Bold').fontSize(16).fillColor('#002B5B').text('📊 WHY THIS GRADE');
+                doc.font('Helvetica').fontSize(10).fillColor('#555')
+                   .text(`Every finding subtracts points from 100; each category is capped. Score ${breakdown.score}/100 = grade ${breakdown.grade}.`);
+                if (breakdown.failed_by) doc.text(`Grade F regardless of score: ${breakdown.failed_by}.`);
+                const t = breakdown.thresholds || {};
+                doc.text(`Thresholds: A >= ${t.A}, B >= ${t.B}, C >= ${t.C}, D >= ${t.D}, otherwise F.`);
+                doc.moveDown(1);
+
+                doc.font('Helvetica-Bold').fontSize(12).fillColor('#000').text('Points deducted by category');
+                doc.font('Helvetica').fontSize(10).fillColor('#333');
+                Object.entries(breakdown.categories || {}).forEach(([name, c]) => {
+                    const capped = c.uncapped > c.penalty ? ` (capped, ${c.uncapped} before cap)` : '';
+                    doc.text(`• ${CATEGORY_LABELS[name] || name}: ${c.count} finding(s), -${c.penalty}${capped}`);
+                });
+                doc.moveDown(1);
+
+                if ((breakdown.top_contributors || []).length > 0) {
+                    doc.font('Helvetica-Bold').fontSize(12).fillColor('#000').text('Largest contributors');
+                    doc.font('Helvetica').fontSize(10).fillColor('#333');
+                    breakdown.top_contributors.forEach((c) => {
+                        doc.text(`-${c.penalty}  ${c.label}`);
+                        doc.fontSize(8).fillColor('#777').text(`        ${c.reason}`).fontSize(10).fillColor('#333');
+                    });
+                }
+            }
+
             // ---------------------------------------------------------
             // 5. DETAILED FINDINGS (The Value Prop)
             // ---------------------------------------------------------
@@ -98,27 +163,64 @@ function generateCertificate(scanData, scanId, repoUrl) {
                     doc.text(`File: ${secret.File}`);
                     doc.text(`Line: ${secret.StartLine}`);
                     // MASK THE SECRET for safety (Show first 4 chars only)
-                    const safeSecret = secret.Secret ? `${secret.Secret.substring(0, 4)}...[REDACTED]` : '[HIDDEN]';
-                    doc.text(`Snippet: ${safeSecret}`);
+                    doc.text(`Snippet: ${maskSecret(secret.Secret)}`);
                     doc.moveDown(1);
                 });
             }
 
-            // B. VULNERABILITIES (Trivy)
-            if (vulnCount > 0) {
+            // B. VULNERABILITIES (Trivy), then the ones VEX statements rule out
+            if (vulnCount > 0 || vexCount > 0) {
                 if (secretCount === 0) doc.addPage(); // New page if we haven't already
                 else doc.moveDown(2);
 
-                doc.font('Helvetica-Bold').fontSize(16).fillColor('#D32F2F').text('🔥 CRITICAL VULNERABILITIES');
-                doc.fontSize(10).fillColor('#555').text('These packages have known critical CVEs.');
+                if (vulnCount > 0) {
+                    doc.font('Helvetica-Bold').fontSize(16).fillColor('#D32F2F').text('🔥 CRITICAL VULNERABILITIES');
+                    doc.fontSize(10).fillColor('#555').text('These packages have known critical CVEs.');
+                    doc.moveDown(1);
+
+                    scanData.critical_vulns.forEach((vuln, index) => {
+                        doc.font('Helvetica-Bold').fontSize(12).fillColor('#000').text(`${vuln.PkgName} (${vuln.VulnerabilityID})`);
+                        doc.font('Helvetica').fontSize(10).fillColor('#333');
+                        doc.text(`Installed: ${vuln.InstalledVersion}`);
+                        doc.text(`Fixed In: ${vuln.FixedVersion || 'No Fix Available'}`);
+                        doc.text(`Title: ${vuln.Title || 'N/A'}`);
+                        doc.moveDown(1);
+                    });
+                }
+
+                if (vexCount > 0) {
+                    if (vulnCount > 0) doc.moveDown(1);
+                    doc.font('Helvetica-Bold').fontSize(14).fillColor('#2E7D32').text('🧾 NOT AFFECTED (VEX)');
+                    doc.fontSize(10).fillColor('#555').text('VEX statements mark these vulnerabilities as not affecting this code (or already fixed); they are excluded from the grade.');
+                    doc.moveDown(0.5);
+
+                    scanData.vex_findings.slice(0, 50).forEach((v) => {
+                        doc.font('Helvetica-Bold').fontSize(11).fillColor('#000').text(`[${v.severity}] ${v.package}${v.version ? `@${v.version}` : ''} (${v.id})`);
+                        doc.font('Helvetica').fontSize(9).fillColor('#333');
+                        doc.text(`Status: ${v.status}${v.justification ? ` - ${v.justification.replace(/_/g, ' ')}` : ''}`);
+                        if (v.impact_statement) doc.text(`Statement: ${v.impact_statement}`);
+                        doc.fillColor('#777').text(`Source: ${v.source}`);
+                        doc.moveDown(0.5);
+                    });
+                    if (vexCount > 50) doc.fontSize(9).fillColor('#777').text(`... and ${vexCount - 50} more (see the VEX document)`);
+                }
+            }
+
+            // B2. MISCONFIGURATIONS (IaC / static analysis)
+            if (misconfigCount > 0) {
+                if (secretCount === 0 && vulnCount === 0 && vexCount === 0) doc.addPage();
+                else doc.moveDown(2);
+
+                doc.font('Helvetica-Bold').fontSize(16).fillColor('#D32F2F').text('🛠️ MISCONFIGURATIONS');
+                doc.fontSize(10).fillColor('#555').text('High and critical issues in infrastructure files and source code.');
                 doc.moveDown(1);
 
-                scanData.critical_vulns.forEach((vuln, index) => {
-                    doc.font('Helvetica-Bold').fontSize(12).fillColor('#000').text(`${vuln.PkgName} (${vuln.VulnerabilityID})`);
+                scanData.misconfigurations.forEach((m) => {
+                    const line = m.CauseMetadata && m.CauseMetadata.StartLine ? `:${m.CauseMetadata.StartLine}` : '';
+                    doc.font('Helvetica-Bold').fontSize(12).fillColor('#000').text(`[${m.Severity}] ${m.ID}: ${m.Title || ''}`);
                     doc.font('Helvetica').fontSize(10).fillColor('#333');
-                    doc.text(`Installed: ${vuln.InstalledVersion}`);
-                    doc.text(`Fixed In: ${vuln.FixedVersion || 'No Fix Available'}`);
-                    doc.text(`Title: ${vuln.Title || 'N/A'}`);
+                    doc.text(`File: ${m.Target}${line}`);
+                    if (m.Resolution) doc.text(`Fix: ${m.Resolution}`);
                     doc.moveDown(1);
                 });
             }
@@ -131,7 +233,88 @@ function generateCertificate(scanData, scanId, repoUrl) {
 
                 scanData.viral_licenses.forEach((lic) => {
                     doc.font('Helvetica').fontSize(12).fillColor('#000').text(`• ${lic.pkg} uses ${lic.license}`);
+                    if (lic.reason) doc.fontSize(9).fillColor('#555').text(`   ${lic.reason}`);
+                });
+            }
+
+            // C2. CHANGES SINCE LAST SCAN
+            const changes = scanData.changes;
+            if (changes) {
+                doc.addPage();
+                doc.font('Helvetica-Bold').fontSize(16).fillColor('#002B5B').text('🔀 CHANGES SINCE LAST SCAN');
+                const base = changes.base;
+                doc.font('Helvetica').fontSize(10).fillColor('#555')
+                   .text(`Compared with scan ${base.id}${base.commit_hash ? ` (commit ${base.commit_hash.slice(0, 12)})` : ''}${base.completed_at ? ` from ${String(base.completed_at).split('T')[0]}` : ''}.`);
+                doc.moveDown(1);
+
+                const g = changes.grade_change;
+                const score = changes.score_change === null ? '' : ` (score ${changes.score_change >= 0 ? '+' : ''}${changes.score_change})`;
+                doc.font('Helvetica-Bold').fontSize(12).fillColor(g.direction === 'regressed' ? '#D32F2F' : g.direction === 'improved' ? '#008000' : '#000')
+                   .text(`Grade: ${g.from || '?'} -> ${g.to || '?'} ${g.direction}${score}`);
+                doc.font('Helvetica').fontSize(10).fillColor('#333');
+                const s = changes.summary;
+                doc.text(`• Vulnerabilities: ${s.new_vulnerabilities} new, ${s.fixed_vulnerabilities} fixed, ${s.unchanged_vulnerabilities} unchanged`);
+                doc.text(`• Misconfigurations: ${s.new_misconfigurations} new, ${s.fixed_misconfigurations} fixed`);
+                doc.text(`• Licenses introduced: ${s.new_licenses}`);
+                doc.text(`• Secrets: ${s.new_secrets} new, ${s.removed_secrets} removed`);
+                doc.moveDown(1);
+
+                const listChanges = (title, rows, describe) => {
+                    if (!rows.length) return;
+                    doc.font('Helvetica-Bold').fontSize(11).fillColor('#000').text(title);
+                    doc.font('Helvetica').fontSize(9).fillColor('#333');
+                    rows.slice(0, 25).forEach(f => doc.text(`• ${describe(f)}`));
+                    if (rows.length > 25) doc.text(`  ... and ${rows.length - 25} more`);
+                    doc.moveDown(0.5);
+                };
+                listChanges('New vulnerabilities', changes.vulnerabilities.new, f => `[${f.severity}] ${f.package}@${f.installed_version} (${f.rule_id})`);
+                listChanges('Fixed vulnerabilities', changes.vulnerabilities.fixed, f => `[${f.severity}] ${f.package} (${f.rule_id})`);
+                listChanges('New misconfigurations', changes.misconfigurations.new, f => `[${f.severity}] ${f.rule_id} in ${f.file}`);
+                listChanges('New licenses', changes.licenses.new, f => `${f.package} uses ${f.rule_id} (${(f.details && f.details.decision) || 'allow'})`);
+                listChanges('New secrets', changes.secrets.new, f => `${f.title} in ${f.file}${f.line ? `:${f.line}` : ''}`);
+            }
+
+            // D. ACCEPTED RISKS (.codepassport.yml waivers)
+            if (acceptedCount > 0 || expiredWaivers.length > 0) {
+                doc.addPage();
+                doc.font('Helvetica-Bold').fontSize(16).fillColor('#B26A00').text('📝 ACCEPTED RISKS');
+                doc.fontSize(10).fillColor('#555').text('These findings were waived by the repository owners and excluded from the grade.');
+                doc.moveDown(1);
+
+                (scanData.accepted_risks || []).forEach((risk) => {
+                    doc.font('Helvetica-Bold').fontSize(11).fillColor('#000').text(`[${risk.type}] ${risk.id}`);
+                    doc.font('Helvetica').fontSize(9).fillColor('#333');
+                    if (risk.location) doc.text(`Location: ${risk.location}`);
+                    doc.text(`Justification: ${risk.waiver.justification}`);
+                    doc.text(`Owner: ${risk.waiver.owner}   Expires: ${risk.waiver.expires}`);
+                    doc.moveDown(0.5);
+                });
+
+                if (expiredWaivers.length > 0) {
+                    doc.moveDown(1);
+                    doc.font('Helvetica-Bold').fontSize(12).fillColor('#D32F2F').text('Expired Waivers');
+                    doc.font('Helvetica').fontSize(9).fillColor('#333').text('These waivers have expired; their findings count against the grade again.');
+                    expiredWaivers.forEach((w) => {
+                        doc.text(`• ${w.id} (owner: ${w.owner}, expired: ${w.expires}) - ${w.matched} finding(s)`);
+                    });
+                }
+            }
+
+            // E. APPENDIX: LICENSE INVENTORY (every package, not only the ones the policy flags)
+            const inventory = scanData.license_inventory || [];
+            if (inventory.length > 0) {
+                const packageCount = inventory.reduce((sum, l) => sum + l.packages, 0);
+                doc.addPage();
+                doc.font('Helvetica-Bold').fontSize(16).fillColor('#002B5B').text('📚 APPENDIX: LICENSE INVENTORY');
+                doc.fontSize(10).fillColor('#555').text(`${packageCount} third-party packages under ${inventory.length} licenses. License texts are in the THIRD_PARTY_NOTICES document.`);
+                doc.moveDown(1);
+
+                inventory.slice(0, 60).forEach((l) => {
+                    const label = l.license === 'NOASSERTION' ? 'No license declared' : l.license;
+                    doc.font('Helvetica').fontSize(10).fillColor('#000').text(`• ${label}: ${l.packages} package${l.packages === 1 ? '' : 's'}`, { continued: true })
+                       .fillColor('#777').text(`  (${l.category})`);
                 });
+                if (inventory.length > 60) doc.fontSize(9).fillColor('#777').text(`... and ${inventory.length - 60} more licenses (see THIRD_PARTY_NOTICES)`);
             }
 
             // Footer
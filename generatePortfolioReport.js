@@ -0,0 +1,113 @@
+const PDFDocument = require('pdfkit');
+
+// Same palette as the certificate badge.
+const GRADE_COLORS = { A: '#008000', B: '#689F38', C: '#F9A825', D: '#EF6C00', F: '#FF0000' };
+const MAX_ROWS = 50;
+
+/**
+ * Generates the portfolio summary PDF of a batch in memory
+ * @param {Object} report - Output of buildPortfolio()
+ * @returns {Promise<Buffer>} - Returns the PDF file as a binary buffer
+ */
+function generatePortfolioReport(report) {
+    return new Promise((resolve, reject) => {
+        try {
+            const doc = new PDFDocument({ margin: 50 });
+            let buffers = [];
+
+            doc.on('data', (chunk) => buffers.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(buffers)));
+
+            const more = (rows) => {
+                if (rows.length > MAX_ROWS) doc.fontSize(9).fillColor('#777').text(`  ... and ${rows.length - MAX_ROWS} more (see the JSON report)`);
+            };
+
+            // 1. Header
+            doc.fillColor('#002B5B').fontSize(24).text('CodePassport.io', { align: 'center' }).moveDown(0.5);
+            doc.fontSize(16).text('Portfolio Risk Report', { align: 'center' });
+            doc.moveDown(1);
+
+            const source = report.source || {};
+            doc.font('Helvetica').fontSize(11).fillColor('#333');
+            doc.text(`Organization: ${report.org_id}`);
+            if (source.org) doc.text(`Source: ${source.provider} ${source.org}`);
+            doc.text(`Batch ID: ${report.batch_id}`);
+            doc.text(`Date: ${report.generated_at.split('T')[0]}`);
+            const t = report.totals;
+            doc.text(`Repositories: ${t.repos} (${t.completed} scanned, ${t.failed} failed${t.cancelled ? `, ${t.cancelled} cancelled` : ''}${t.pending ? `, ${t.pending} pending` : ''})`);
+            if (report.average_risk_score !== null) doc.text(`Average risk score: ${report.average_risk_score}/100`);
+            doc.moveDown(1.5);
+
+            // 2. Grade distribution (horizontal bars)
+            doc.font('Helvetica-Bold').fontSize(14).fillColor('#000').text('Grade Distribution');
+            doc.moveDown(0.5);
+            const counts = report.grade_distribution;
+            const highest = Math.max(1, ...Object.values(counts));
+            Object.entries(counts).forEach(([grade, count]) => {
+                const y = doc.y;
+                doc.font('Helvetica-Bold').fontSize(12).fillColor(GRADE_COLORS[grade]).text(grade, 50, y, { width: 20 });
+                if (count > 0) doc.rect(75, y + 1, Math.max(2, (count / highest) * 380), 11).fill(GRADE_COLORS[grade]);
+                doc.font('Helvetica').fontSize(10).fillColor('#333').text(String(count), 465, y, { width: 80 });
+                doc.text('', 50, y + 18);
+            });
+            doc.moveDown(1);
+
+            // 3. Shared vulnerable packages
+            doc.font('Helvetica-Bold').fontSize(14).fillColor('#000').text('Top Shared Vulnerable Packages', 50);
+            doc.fontSize(10).font('Helvetica').fillColor('#555').text('Fixing one of these removes findings from several repositories at once.');
+            doc.moveDown(0.5);
+            if (!report.top_shared_vulnerable_packages.length) {
+                doc.fillColor('#333').text('No vulnerable package is shared by two or more repositories.');
+            }
+            report.top_shared_vulnerable_packages.forEach((p) => {
+                doc.font('Helvetica-Bold').fontSize(11).fillColor('#000').text(`${p.package}: ${p.repo_count} repositories (max ${p.max_severity})`);
+                doc.font('Helvetica').fontSize(9).fillColor('#333').text(`   ${p.vulnerabilities.join(', ')}`);
+            });
+
+            // 4. Viral licenses
+            const viral = report.repos_with_viral_licenses;
+            doc.addPage();
+            doc.font('Helvetica-Bold').fontSize(16).fillColor('#D32F2F').text(`⚖️ REPOSITORIES WITH VIRAL LICENSES (${viral.length})`);
+            doc.moveDown(0.5);
+            if (!viral.length) doc.font('Helvetica').fontSize(10).fillColor('#333').text('None.');
+            viral.slice(0, MAX_ROWS).forEach((r) => {
+                doc.font('Helvetica-Bold').fontSize(11).fillColor('#000').text(`${r.repo} (grade ${r.grade || '?'})`);
+                doc.font('Helvetica').fontSize(9).fillColor('#333');
+                r.licenses.slice(0, 10).forEach(l => doc.text(`   • ${l.package} uses ${l.license}`));
+                if (r.licenses.length > 10) doc.text(`   ... and ${r.licenses.length - 10} more`);
+            });
+            more(viral);
+
+            // 5. Secrets
+            const secrets = report.repos_with_secrets;
+            doc.moveDown(2);
+            doc.font('Helvetica-Bold').fontSize(16).fillColor('#D32F2F').text(`🚨 REPOSITORIES WITH LEAKED SECRETS (${secrets.length})`);
+            doc.moveDown(0.5);
+            if (!secrets.length) doc.font('Helvetica').fontSize(10).fillColor('#333').text('None.');
+            secrets.slice(0, MAX_ROWS).forEach((r) => {
+                doc.font('Helvetica-Bold').fontSize(11).fillColor('#000').text(`${r.repo}: ${r.secrets} secret(s)`);
+                doc.font('Helvetica').fontSize(9).fillColor('#333').text(`   ${r.rules.join(', ')}`);
+            });
+            more(secrets);
+
+            // 6. Every repository
+            doc.addPage();
+            doc.font('Helvetica-Bold').fontSize(16).fillColor('#002B5B').text('📋 ALL REPOSITORIES');
+            doc.moveDown(0.5);
+            report.repos.forEach((r) => {
+                const outcome = r.status === 'COMPLETED' ? `${r.grade || '?'}${r.risk_score !== null ? ` (${r.risk_score})` : ''}` : r.status;
+                doc.font('Helvetica').fontSize(9).fillColor(GRADE_COLORS[r.grade] && r.status === 'COMPLETED' ? GRADE_COLORS[r.grade] : '#555')
+                   .text(`${outcome.padEnd(10)} ${r.repo}`);
+            });
+
+            doc.moveDown(2);
+            doc.fontSize(8).fillColor('#999').text('Generated by CodePassport.io', { align: 'center', baseline: 'bottom' });
+
+            doc.end();
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+module.exports = generatePortfolioReport;
@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const { runCommand } = require('./commands');
+
+// --- 🌿 GIT WORKSPACE ---
+// One network round-trip to resolve the ref, one shallow fetch of exactly that commit.
+// Every scanner then works on the same checkout, so the graded commit is the one we recorded.
+
+const FULL_SHA_RE = /^[0-9a-f]{40}$/i;
+// Conservative subset of git-check-ref-format; never starts with "-" so it can't become an option.
+const REF_RE = /^(?!-)(?!.*\.\.)(?!.*\/\/)[A-Za-z0-9._\/-]{1,255}$/;
+const GIT_TIMEOUT_MS = 600000;
+
+// --- 🔑 CREDENTIALS ---
+// Credentials never go into the URL or onto a command line: HTTPS tokens are handed to git by a
+// credential helper that reads them from this process' environment, SSH keys by GIT_SSH_COMMAND.
+const PROVIDERS = ['github', 'gitlab', 'bitbucket', 'azure', 'generic', 'ssh'];
+
+// Username that goes with a bare token on each provider.
+const TOKEN_USERNAMES = {
+    github: 'x-access-token',
+    gitlab: 'oauth2',
+    bitbucket: 'x-token-auth', // repository/workspace access tokens; app passwords need the real username
+    azure: 'pat',
+    generic: 'git',
+};
+
+const CREDENTIAL_HELPER = '!f() { test "$1" = get && printf "username=%s\\npassword=%s\\n" "$CODEPASSPORT_GIT_USERNAME" "$CODEPASSPORT_GIT_PASSWORD"; }; f';
+
+function isSshUrl(repoUrl) {
+    return /^ssh:\/\//.test(repoUrl) || /^[\w.-]+@[\w.-]+:/.test(repoUrl);
+}
+
+/**
+ * Works out which provider a repository URL belongs to
+ * @param {string} repoUrl
+ * @param {string} [override] - Explicit provider (self-hosted GitLab, etc.)
+ * @returns {string} - One of PROVIDERS
+ */
+function detectProvider(repoUrl, override) {
+    if (isSshUrl(repoUrl)) return 'ssh';
+    if (override) return override;
+    let host = '';
+    try { host = new URL(repoUrl).hostname.toLowerCase(); } catch (e) { return 'generic'; }
+    if (host === 'github.com' || host.endsWith('.github.com')) return 'github';
+    if (host.includes('gitlab')) return 'gitlab';
+    if (host === 'bitbucket.org') return 'bitbucket';
+    if (host === 'dev.azure.com' || host.endsWith('.visualstudio.com')) return 'azure';
+    return 'generic';
+}
+
+/**
+ * Checks a repository URL + credentials combination before a scan is queued
+ * @param {Object} input - { repoUrl, token, username, sshKey, provider }
+ * @returns {string|null} - An error message, or null when it is usable
+ */
+function validateGitAuth({ repoUrl, token, username, sshKey, provider }) {
+    if (provider && !PROVIDERS.includes(provider)) return `provider must be one of ${PROVIDERS.join(', ')}`;
+    if (String(repoUrl).startsWith('-')) return 'repo must be an https:// or SSH URL';
+    if (isSshUrl(repoUrl)) {
+        if (token) return 'token credentials need an https:// repository URL; use ssh_key for SSH URLs';
+        return null;
+    }
+    let parsed;
+    try { parsed = new URL(repoUrl); } catch (e) { return 'repo must be an https:// or SSH URL'; }
+    if (!['https:', 'http:'].includes(parsed.protocol)) return 'repo must be an https:// or SSH URL';
+    if (parsed.username || parsed.password) return 'repo URL must not contain credentials; pass them as token';
+    // Plain http:// would send the token in the clear; only public repositories may use it.
+    if (parsed.protocol === 'http:' && (token || username)) return 'token credentials need an https:// repository URL';
+    if (sshKey) return 'ssh_key needs an SSH repository URL (git@host:owner/repo.git)';
+    return null;
+}
+
+/**
+ * Prepares the git options and environment that carry the credentials
+ * @param {Object} input - { repoUrl, token, username, sshKey, provider }
+ * @param {string} workDir - Job folder; key material written here is removed with it
+ * @returns {Object} - { provider, configArgs, env } for runGit()
+ */
+function buildGitAuth({ repoUrl, token, username, sshKey, provider }, workDir) {
+    const resolved = detectProvider(repoUrl, provider);
+    // Never fall back to an interactive prompt inside the worker.
+    const env = { GIT_TERMINAL_PROMPT: '0', GCM_INTERACTIVE: 'never' };
+    const configArgs = [];
+
+    if (resolved === 'ssh') {
+        const sshOptions = ['ssh', '-o', 'BatchMode=yes'];
+        if (sshKey) {
+            const keyDir = path.join(workDir, '.ssh');
+            fs.mkdirSync(keyDir, { recursive: true, mode: 0o700 });
+            const keyPath = path.join(keyDir, 'deploy_key');
+            fs.writeFileSync(keyPath, sshKey.endsWith('\n') ? sshKey : `${sshKey}\n`, { mode: 0o600 });
+            sshOptions.push('-i', keyPath, '-o', 'IdentitiesOnly=yes');
+        }
+        // SSH_KNOWN_HOSTS_FILE pins host keys; without it the first key seen is trusted for this job only.
+        if (process.env.SSH_KNOWN_HOSTS_FILE) {
+            sshOptions.push('-o', 'StrictHostKeyChecking=yes', '-o', `UserKnownHostsFile=${process.env.SSH_KNOWN_HOSTS_FILE}`);
+        } else {
+            sshOptions.push('-o', 'StrictHostKeyChecking=accept-new', '-o', `UserKnownHostsFile=${path.join(workDir, 'known_hosts')}`);
+        }
+        env.GIT_SSH_COMMAND = sshOptions.map(o => (/\s/.test(o) ? `"${o}"` : o)).join(' ');
+    } else if (token) {
+        // An empty helper first clears any helpers configured on the host.
+        configArgs.push('-c', 'credential.helper=', '-c', `credential.helper=${CREDENTIAL_HELPER}`);
+        env.CODEPASSPORT_GIT_USERNAME = username || TOKEN_USERNAMES[resolved] || TOKEN_USERNAMES.generic;
+        env.CODEPASSPORT_GIT_PASSWORD = token;
+    }
+
+    return { provider: resolved, configArgs, env };
+}
+
+function runGit(args, auth, cwd = null) {
+    const { configArgs = [], env = null } = auth || {};
+    return runCommand('git', [...configArgs, ...args], cwd, GIT_TIMEOUT_MS, [0], env);
+}
+
+// --- 🎯 REFS & CHECKOUT ---
+/**
+ * Checks a user-supplied branch / tag / SHA before it reaches git
+ * @param {string} ref
+ * @returns {string|null} - An error message, or null when it is usable
+ */
+function validateRef(ref) {
+    if (typeof ref !== 'string' || !REF_RE.test(ref) || ref.endsWith('.lock') || ref.endsWith('/')) {
+        return 'ref must be a branch, tag or full commit SHA';
+    }
+    if (/^[0-9a-f]{7,39}$/i.test(ref)) return 'abbreviated commit SHAs are not supported; use the full 40-character SHA';
+    return null;
+}
+
+/**
+ * Resolves a branch, tag or commit SHA on the remote to a commit hash
+ * @param {string} repoUrl - Clone URL (without credentials)
+ * @param {string} [ref] - Branch, tag, full ref name, full commit SHA or HEAD
+ * @param {Object} [auth] - From buildGitAuth()
+ * @returns {Promise<string|null>} - The commit hash, or null if the ref does not exist
+ */
+async function resolveCommit(repoUrl, ref = 'HEAD', auth = null) {
+    if (FULL_SHA_RE.test(ref)) return ref.toLowerCase();
+    // ls-remote only lists the peeled "^{}" entry of an annotated tag when asked for it by name.
+    const patterns = ref === 'HEAD' ? ['HEAD'] : [ref, `${ref}^{}`];
+    const output = await runGit(['ls-remote', repoUrl, ...patterns], auth);
+    const refs = new Map(output.split('\n').filter(l => l.trim()).map(l => {
+        const [sha, name] = l.split('\t');
+        return [name, sha];
+    }));
+    // Annotated tags are listed twice; the peeled "^{}" entry is the commit.
+    const candidates = ref === 'HEAD' ? ['HEAD']
+        : ref.startsWith('refs/') ? [`${ref}^{}`, ref]
+        : [`refs/heads/${ref}`, `refs/tags/${ref}^{}`, `refs/tags/${ref}`];
+    const hit = candidates.find(c => refs.has(c));
+    return hit ? refs.get(hit) : null;
+}
+
+/**
+ * Checks out a single commit into `dir` with a depth-1 fetch
+ * @param {string} repoUrl - Clone URL (without credentials; nothing is written to .git/config)
+ * @param {string|null} commitHash - From resolveCommit(); null = remote HEAD
+ * @param {string} dir - Target directory (must not exist yet)
+ * @param {Object} [auth] - From buildGitAuth()
+ * @returns {Promise<string>} - The commit checked out
+ */
+async function checkoutCommit(repoUrl, commitHash, dir, auth = null) {
+    fs.mkdirSync(dir, { recursive: true });
+    await runGit(['init', '--quiet', dir], null);
+    try {
+        // Fetching by SHA needs uploadpack.allowReachableSHA1InWant (GitHub, GitLab and Bitbucket allow it).
+        await runGit(['-C', dir, 'fetch', '--depth', '1', '--quiet', repoUrl, commitHash || 'HEAD'], auth);
+    } catch (e) {
+        if (!commitHash) throw e;
+        console.log(`   ⚠️ Server refused a fetch by commit, fetching all branches and tags: ${e.message.split('\n')[0]}`);
+        await runGit(['-C', dir, 'fetch', '--quiet', repoUrl, '+refs/heads/*:refs/remotes/origin/*', '+refs/tags/*:refs/tags/*'], auth);
+        if (!(await hasCommit(dir, commitHash))) throw new Error(`Commit ${commitHash} was not found in the repository`);
+    }
+    await runGit(['-C', dir, 'checkout', '--quiet', commitHash || 'FETCH_HEAD'], null);
+    return runGit(['-C', dir, 'rev-parse', 'HEAD'], null);
+}
+
+async function hasCommit(dir, commitHash) {
+    try {
+        await runGit(['-C', dir, 'cat-file', '-e', `${commitHash}^{commit}`], null);
+        return true;
+    } catch (e) { return false; }
+}
+
+module.exports = {
+    PROVIDERS,
+    detectProvider,
+    validateGitAuth,
+    validateRef,
+    buildGitAuth,
+    resolveCommit,
+    checkoutCommit,
+};
@@ -0,0 +1,60 @@
+const { binaryAvailable } = require('./commands');
+const { getScanner, resolveScanners } = require('./scanners');
+
+// --- 🩺 HEALTH CHECKS ---
+// Shared by GET /healthz (always 200 while the process answers, with the details) and GET /readyz
+// (503 until every check passes, so a load balancer only routes to instances that can run scans).
+// Binaries: git, trivy (SBOMs and monitoring) and every default scanner (DEFAULT_SCANNERS, by
+// default trivy + gitleaks). With SCANNER_FIXTURES_DIR set, recorded output replaces the scanners.
+
+const CHECK_TIMEOUT_MS = 5000;
+
+function withTimeout(promise, what) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`${what} did not answer within ${CHECK_TIMEOUT_MS}ms`)), CHECK_TIMEOUT_MS);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function timed(what, fn) {
+    const started = Date.now();
+    try {
+        const details = await withTimeout(fn(), what);
+        return { status: 'ok', duration_ms: Date.now() - started, ...details };
+    } catch (e) {
+        return { status: 'fail', duration_ms: Date.now() - started, error: e.message };
+    }
+}
+
+async function checkBinaries() {
+    if (process.env.SCANNER_FIXTURES_DIR) return { skipped: 'SCANNER_FIXTURES_DIR replays recorded scanner output' };
+    const scanners = [...new Set(['trivy', ...resolveScanners()])];
+    const probes = [
+        ['git', binaryAvailable('git', ['--version'])],
+        ...scanners.map(name => [name, getScanner(name).isAvailable()]),
+    ];
+    const available = await Promise.all(probes.map(([, probe]) => probe));
+    const missing = probes.filter((_, i) => !available[i]).map(([name]) => name);
+    if (missing.length) throw new Error(`Missing binaries: ${missing.join(', ')}`);
+    return { binaries: probes.map(([name]) => name) };
+}
+
+/**
+ * Runs every health check in parallel
+ * @param {Object} input - { stores, worker } where worker() reports the job worker's state ({ running, error })
+ * @returns {Promise<Object>} - { status: 'ok' | 'fail', checks: { database, storage, binaries, worker } }
+ */
+async function runHealthChecks({ stores, worker }) {
+    const [database, storage, binaries] = await Promise.all([
+        timed('Scan store', async () => { await stores.scans.ping(); return { store: stores.kinds.scans }; }),
+        timed('Artifact store', async () => { await stores.artifacts.ping(); return { store: stores.kinds.artifacts }; }),
+        timed('Binary probe', checkBinaries),
+    ]);
+    const state = worker();
+    const workerCheck = state.running ? { status: 'ok' } : { status: 'fail', error: state.error || 'Job worker is not running' };
+    const checks = { database, storage, binaries, worker: workerCheck };
+    return { status: Object.values(checks).every(c => c.status === 'ok') ? 'ok' : 'fail', checks };
+}
+
+module.exports = { runHealthChecks };
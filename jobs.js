@@ -0,0 +1,176 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { isAbortError } = require('./commands');
+
+// --- 🧵 SCAN JOB LIFECYCLE ---
+// Cancellation, retry policy and scratch workspaces of scan_repo jobs.
+//  - Every running job has an AbortController. POST /scan/:id/cancel aborts it right away when the
+//    job runs in this process, and every job polls its own status so a cancel handled by another
+//    instance still lands. Aborting kills the job's child processes (see commands.withAbortSignal).
+//  - Transient failures (network, timeouts) are retried by graphile-worker up to SCAN_MAX_ATTEMPTS;
+//    permanent ones (repository or ref not found, bad credentials) fail the scan on the first attempt.
+//  - Workspaces live in the OS temp dir, named after the owning process so a restart can tell
+//    orphans from the workspaces of other workers sharing the same temp dir.
+//
+// SCAN_MAX_ATTEMPTS      : attempts per scan, the first one included (default 3)
+// SCAN_CANCEL_POLL_MS    : how often a running job re-reads its status (default 5000)
+
+const WORKDIR_PREFIX = 'codepassport-';
+const LEGACY_DIR_RE = /^temp_(job|monitor)_/;
+
+const scanMaxAttempts = () => parseInt(process.env.SCAN_MAX_ATTEMPTS, 10) || 3;
+const cancelPollMs = () => parseInt(process.env.SCAN_CANCEL_POLL_MS, 10) || 5000;
+
+/**
+ * graphile-worker options for a scan_repo job: one job per scan (a retry replaces a pending one)
+ * @param {string} scanId
+ * @returns {Object} - { jobKey, maxAttempts }
+ */
+function scanJobOptions(scanId) {
+    return { jobKey: `scan_${scanId}`, maxAttempts: scanMaxAttempts() };
+}
+
+// --- 🚦 ERROR CLASSIFICATION ---
+/** A failure that another attempt cannot fix. */
+class PermanentError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PermanentError';
+    }
+}
+
+// git / provider messages meaning "this repository, ref or credential is wrong".
+const PERMANENT_PATTERNS = [
+    /repository .*not found/i,
+    /not found in .*\.git|was not found in/i,
+    /does not appear to be a git repository/i,
+    /authentication failed/i,
+    /could not read (username|password)/i,
+    /permission denied \(publickey/i,
+    /the requested url returned error: (401|403|404)/i,
+    /invalid username or password/i,
+    /unknown scanner/i,
+    // A scanner binary or fixture that is missing now will still be missing on the next attempt.
+    /selected scanners did not run: .*skipped/i,
+];
+
+/**
+ * Decides whether a failed attempt is worth retrying
+ * @param {Error} err
+ * @returns {string} - 'permanent' or 'transient' (anything unrecognized is retried)
+ */
+function classifyError(err) {
+    if (err instanceof PermanentError) return 'permanent';
+    if (isAbortError(err)) return 'transient';
+    const message = String((err && err.message) || err);
+    return PERMANENT_PATTERNS.some(re => re.test(message)) ? 'permanent' : 'transient';
+}
+
+// --- 🛑 CANCELLATION ---
+const running = new Map();
+
+/**
+ * Registers a running scan job
+ * @param {string} scanId
+ * @param {Object} options - { shutdownSignal, isCancelled } where isCancelled() re-reads the scan's status
+ * @returns {Object} - { signal, cancelled, cancel(), checkpoint(), finish() }
+ */
+function startJob(scanId, { shutdownSignal = null, isCancelled = null } = {}) {
+    const controller = new AbortController();
+    const job = {
+        signal: controller.signal,
+        cancelled: false,
+        cancel() {
+            job.cancelled = true;
+            controller.abort();
+        },
+        // Throws between phases that run no child process (rendering, uploads) once aborted.
+        checkpoint() {
+            if (!controller.signal.aborted) return;
+            const err = new Error(job.cancelled ? 'Scan was cancelled' : 'Worker is shutting down');
+            err.name = 'AbortError';
+            throw err;
+        },
+        finish() {
+            clearInterval(poll);
+            if (shutdownSignal) shutdownSignal.removeEventListener('abort', onShutdown);
+            if (running.get(scanId) === job) running.delete(scanId);
+        },
+    };
+    const onShutdown = () => controller.abort();
+    if (shutdownSignal) shutdownSignal.addEventListener('abort', onShutdown, { once: true });
+    const poll = setInterval(async () => {
+        try {
+            if (!job.cancelled && isCancelled && await isCancelled()) job.cancel();
+        } catch (e) { /* the next poll tries again */ }
+    }, cancelPollMs());
+    poll.unref();
+    running.set(scanId, job);
+    return job;
+}
+
+/**
+ * Aborts a scan job running in this process
+ * @param {string} scanId
+ * @returns {boolean} - false when no such job runs here
+ */
+function cancelJob(scanId) {
+    const job = running.get(scanId);
+    if (!job) return false;
+    job.cancel();
+    return true;
+}
+
+// --- 📁 WORKSPACES ---
+/**
+ * Creates a private scratch folder in the OS temp dir
+ * @param {string} kind - 'job' (scan_repo) or 'monitor' (reevaluate_sbom)
+ * @param {string} id - The scan ID
+ * @returns {string} - Absolute path
+ */
+function createWorkDir(kind, id) {
+    return fs.mkdtempSync(path.join(os.tmpdir(), `${WORKDIR_PREFIX}${kind}-${process.pid}-${id}-`));
+}
+
+function processAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (e) {
+        return e.code === 'EPERM';
+    }
+}
+
+/**
+ * Removes workspaces left behind by crashed or killed workers (run once at startup)
+ * @param {string} [legacyDir] - Folder that held temp_job_* / temp_monitor_* before they moved to the temp dir
+ * @returns {number} - How many folders were removed
+ */
+function cleanupOrphanedWorkDirs(legacyDir = process.cwd()) {
+    const orphans = [];
+    const ours = new RegExp(`^${WORKDIR_PREFIX}(?:job|monitor)-(\\d+)-`);
+    try {
+        fs.readdirSync(os.tmpdir()).forEach(name => {
+            const match = ours.exec(name);
+            // Our own PID can only be a leftover here: in containers PIDs repeat across restarts.
+            if (match && (Number(match[1]) === process.pid || !processAlive(Number(match[1])))) orphans.push(path.join(os.tmpdir(), name));
+        });
+    } catch (e) { /* unreadable temp dir: nothing we can clean */ }
+    try {
+        fs.readdirSync(legacyDir).filter(name => LEGACY_DIR_RE.test(name)).forEach(name => orphans.push(path.join(legacyDir, name)));
+    } catch (e) { /* ditto */ }
+    orphans.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+    return orphans.length;
+}
+
+module.exports = {
+    scanMaxAttempts,
+    scanJobOptions,
+    PermanentError,
+    classifyError,
+    startJob,
+    cancelJob,
+    createWorkDir,
+    cleanupOrphanedWorkDirs,
+};
@@ -0,0 +1,370 @@
+const fs = require('fs');
+
+// --- 📚 LICENSE CATEGORIES ---
+// Known SPDX ids (lowercased, without -only / -or-later / + suffixes) mapped to a category.
+const CATEGORY_BY_ID = {
+    'mit': 'permissive', 'mit-0': 'permissive', 'isc': 'permissive', '0bsd': 'permissive',
+    'bsd-2-clause': 'permissive', 'bsd-3-clause': 'permissive', 'bsd-4-clause': 'permissive',
+    'apache-1.1': 'permissive', 'apache-2.0': 'permissive', 'zlib': 'permissive',
+    'unlicense': 'permissive', 'cc0-1.0': 'permissive', 'wtfpl': 'permissive',
+    'python-2.0': 'permissive', 'psf-2.0': 'permissive', 'bsl-1.0': 'permissive',
+    'artistic-2.0': 'permissive', 'cc-by-3.0': 'permissive', 'cc-by-4.0': 'permissive',
+    'blueoak-1.0.0': 'permissive', 'x11': 'permissive', 'postgresql': 'permissive',
+    'lgpl-2.0': 'weak-copyleft', 'lgpl-2.1': 'weak-copyleft', 'lgpl-3.0': 'weak-copyleft',
+    'mpl-1.1': 'weak-copyleft', 'mpl-2.0': 'weak-copyleft', 'epl-1.0': 'weak-copyleft',
+    'epl-2.0': 'weak-copyleft', 'cddl-1.0': 'weak-copyleft', 'cddl-1.1': 'weak-copyleft',
+    'cpl-1.0': 'weak-copyleft', 'ms-rl': 'weak-copyleft', 'cc-by-sa-4.0': 'weak-copyleft',
+    'gpl-1.0': 'strong-copyleft', 'gpl-2.0': 'strong-copyleft', 'gpl-3.0': 'strong-copyleft',
+    'osl-3.0': 'strong-copyleft', 'eupl-1.1': 'strong-copyleft', 'eupl-1.2': 'strong-copyleft',
+    'agpl-1.0': 'network-copyleft', 'agpl-3.0': 'network-copyleft', 'sspl-1.0': 'network-copyleft',
+};
+
+// Exceptions that relax a copyleft license to "link freely" semantics.
+const LINKING_EXCEPTIONS = [
+    'classpath-exception-2.0', 'gcc-exception-3.1', 'gcc-exception-2.0',
+    'llvm-exception', 'autoconf-exception-3.0', 'bison-exception-2.2',
+];
+
+// Trivy's own license classification, used when we don't recognise the id.
+const TRIVY_CATEGORY_MAP = {
+    forbidden: 'network-copyleft',
+    restricted: 'strong-copyleft',
+    reciprocal: 'weak-copyleft',
+    notice: 'permissive',
+    permissive: 'permissive',
+    unencumbered: 'permissive',
+};
+
+// --- 📜 BUILT-IN POLICIES ---
+const BUILTIN_POLICIES = {
+    default: {
+        name: 'default',
+        description: 'Blocks strong and network copyleft, allows weak copyleft.',
+        allow: [], deny: [], review: [],
+        categories: {
+            'permissive': 'allow',
+            'weak-copyleft': 'allow',
+            'strong-copyleft': 'deny',
+            'network-copyleft': 'deny',
+            'unknown': 'review',
+        },
+    },
+    strict: {
+        name: 'strict',
+        description: 'Permissive licenses only. Weak copyleft needs legal review.',
+        allow: [], deny: [], review: [],
+        categories: {
+            'permissive': 'allow',
+            'weak-copyleft': 'review',
+            'strong-copyleft': 'deny',
+            'network-copyleft': 'deny',
+            'unknown': 'deny',
+        },
+    },
+    saas: {
+        name: 'saas',
+        description: 'For hosted services that are never distributed: only network copyleft is blocked.',
+        allow: [], deny: [], review: [],
+        categories: {
+            'permissive': 'allow',
+            'weak-copyleft': 'allow',
+            'strong-copyleft': 'allow',
+            'network-copyleft': 'deny',
+            'unknown': 'review',
+        },
+    },
+};
+
+const DECISION_RANK = { allow: 0, review: 1, deny: 2 };
+
+// Own keys only: an id such as "constructor" or "toString" is in none of these tables.
+const ownValue = (table, key) => (Object.hasOwn(table, key) ? table[key] : undefined);
+
+// --- 🧩 SPDX EXPRESSION PARSER ---
+function tokenize(expression) {
+    const tokens = [];
+    const re = /\s*(\(|\)|[^\s()]+)/g;
+    let match;
+    while ((match = re.exec(expression)) !== null) {
+        const value = match[1];
+        const upper = value.toUpperCase();
+        if (value === '(' || value === ')') tokens.push({ type: value });
+        else if (upper === 'AND' || upper === 'OR' || upper === 'WITH') tokens.push({ type: upper });
+        else tokens.push({ type: 'ID', value });
+    }
+    return tokens;
+}
+
+/**
+ * Parses an SPDX license expression (e.g. "MIT OR (GPL-2.0-only WITH Classpath-exception-2.0)")
+ * @param {string} expression - The raw expression
+ * @returns {Object} - AST of { type: 'license', id, exception } | { type: 'and'|'or', left, right }
+ * @throws {Error} - When the expression is malformed
+ */
+function parseSpdxExpression(expression) {
+    const tokens = tokenize(String(expression || ''));
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const expect = (type) => {
+        const tok = tokens[pos++];
+        if (!tok || tok.type !== type) throw new Error(`Invalid SPDX expression "${expression}": expected ${type}`);
+        return tok;
+    };
+
+    function parseAtom() {
+        const tok = peek();
+        if (!tok) throw new Error(`Invalid SPDX expression "${expression}": unexpected end`);
+        if (tok.type === '(') {
+            pos++;
+            const node = parseOr();
+            expect(')');
+            return node;
+        }
+        const id = expect('ID').value;
+        let exception = null;
+        if (peek() && peek().type === 'WITH') {
+            pos++;
+            exception = expect('ID').value;
+        }
+        return { type: 'license', id, exception };
+    }
+
+    function parseAnd() {
+        let left = parseAtom();
+        while (peek() && peek().type === 'AND') {
+            pos++;
+            left = { type: 'and', left, right: parseAtom() };
+        }
+        return left;
+    }
+
+    function parseOr() {
+        let left = parseAnd();
+        while (peek() && peek().type === 'OR') {
+            pos++;
+            left = { type: 'or', left, right: parseAnd() };
+        }
+        return left;
+    }
+
+    const ast = parseOr();
+    if (pos !== tokens.length) throw new Error(`Invalid SPDX expression "${expression}": trailing tokens`);
+    return ast;
+}
+
+// --- 🏷️ CLASSIFICATION ---
+function normalizeId(id) {
+    return String(id).toLowerCase()
+        .replace(/\+$/, '')
+        .replace(/-(only|or-later)$/, '');
+}
+
+/**
+ * Works out the category of a single license (optionally with a WITH exception)
+ * @param {string} id - SPDX license id
+ * @param {string|null} exception - SPDX exception id
+ * @param {string} [trivyCategory] - Trivy's classification, used as a fallback
+ * @returns {string} - permissive | weak-copyleft | strong-copyleft | network-copyleft | unknown
+ */
+function categorize(id, exception, trivyCategory) {
+    const key = normalizeId(id);
+    let category = ownValue(CATEGORY_BY_ID, key);
+
+    // Legacy ids such as "GPL-2.0-with-classpath-exception"
+    const legacyException = /-with-(.+-exception)$/.exec(key);
+    if (!category && legacyException) {
+        category = ownValue(CATEGORY_BY_ID, key.slice(0, legacyException.index));
+        exception = exception || legacyException[1];
+    }
+
+    if (!category && trivyCategory) category = ownValue(TRIVY_CATEGORY_MAP, String(trivyCategory).toLowerCase());
+    if (!category) return 'unknown';
+
+    if (exception && category === 'strong-copyleft') {
+        const exc = String(exception).toLowerCase();
+        if (LINKING_EXCEPTIONS.includes(exc) || /classpath|linking/.test(exc)) {
+            return 'weak-copyleft';
+        }
+    }
+    return category;
+}
+
+// --- ⚖️ POLICY LOADING ---
+// LICENSE_POLICIES_FILE: JSON list (or map) of { name, description, allow, deny, review, categories }.
+// A file that is missing or invalid throws on every lookup until it is fixed, like RISK_MODEL_FILE.
+const CATEGORIES = ['permissive', 'weak-copyleft', 'strong-copyleft', 'network-copyleft', 'unknown'];
+let customPolicies = null;
+
+// Returns what is wrong with one custom policy, or null.
+function invalidPolicy(policy) {
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) return 'every policy must be an object';
+    if (typeof policy.name !== 'string' || !policy.name) return 'every policy needs a name';
+    for (const list of ['allow', 'deny', 'review']) {
+        if (policy[list] !== undefined && (!Array.isArray(policy[list]) || policy[list].some(id => typeof id !== 'string'))) {
+            return `policy '${policy.name}': ${list} must be a list of license ids`;
+        }
+    }
+    if (policy.categories !== undefined) {
+        if (!policy.categories || typeof policy.categories !== 'object' || Array.isArray(policy.categories)) return `policy '${policy.name}': categories must be an object`;
+        for (const [category, decision] of Object.entries(policy.categories)) {
+            if (!CATEGORIES.includes(category)) return `policy '${policy.name}': unknown category '${category}' (${CATEGORIES.join(', ')})`;
+            if (!Object.hasOwn(DECISION_RANK, decision)) return `policy '${policy.name}': category '${category}' must be ${Object.keys(DECISION_RANK).join(', ')}`;
+        }
+    }
+    return null;
+}
+
+function loadCustomPolicies() {
+    if (customPolicies) return customPolicies;
+    const file = process.env.LICENSE_POLICIES_FILE;
+    // No prototype: a policy named "__proto__" or "constructor" is just a (custom) policy.
+    const loaded = Object.create(null);
+    if (file) {
+        let parsed;
+        try {
+            parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (e) {
+            throw new Error(`LICENSE_POLICIES_FILE ${file}: ${e instanceof SyntaxError ? `invalid JSON (${e.message})` : e.code === 'ENOENT' ? 'not found' : e.message}`);
+        }
+        if (!parsed || typeof parsed !== 'object') throw new Error(`LICENSE_POLICIES_FILE ${file}: must be a JSON list or object of policies`);
+        const list = Array.isArray(parsed) ? parsed : Object.values(parsed);
+        list.forEach(policy => {
+            const invalid = invalidPolicy(policy);
+            if (invalid) throw new Error(`LICENSE_POLICIES_FILE ${file}: ${invalid}`);
+            loaded[policy.name] = policy;
+        });
+    }
+    customPolicies = loaded;
+    return customPolicies;
+}
+
+/**
+ * Looks up a policy by name. Custom policies (LICENSE_POLICIES_FILE) may override built-ins.
+ * @param {string} [name] - Policy name, defaults to "default"
+ * @returns {Object|null} - The normalized policy, or null if it does not exist
+ */
+function getPolicy(name = 'default') {
+    if (typeof name !== 'string') return null;
+    const custom = loadCustomPolicies();
+    // Own keys only: "toString" or "constructor" are not policies.
+    const raw = ownValue(custom, name) || ownValue(BUILTIN_POLICIES, name);
+    if (!raw) return null;
+    const base = BUILTIN_POLICIES.default;
+    return {
+        name: raw.name || name,
+        description: raw.description || '',
+        allow: (raw.allow || []).map(normalizeId),
+        deny: (raw.deny || []).map(normalizeId),
+        review: (raw.review || []).map(normalizeId),
+        categories: { ...base.categories, ...(raw.categories || {}) },
+    };
+}
+
+function listPolicies() {
+    return [...new Set([...Object.keys(BUILTIN_POLICIES), ...Object.keys(loadCustomPolicies())])];
+}
+
+/**
+ * Checks a requested policy name
+ * @param {string} name - Policy name from a request or the command line
+ * @returns {string|null} - An error message listing the valid policies, or null when it exists
+ */
+function validatePolicy(name) {
+    if (getPolicy(name)) return null;
+    return `Unknown license policy: ${String(name)}. Available: ${listPolicies().join(', ')}`;
+}
+
+// --- 🧮 EVALUATION ---
+function evaluateNode(node, policy, trivyCategory) {
+    if (node.type === 'license') {
+        const label = node.exception ? `${node.id} WITH ${node.exception}` : node.id;
+        const key = normalizeId(node.id);
+        const category = categorize(node.id, node.exception, trivyCategory);
+
+        if (policy.deny.includes(key)) {
+            return { decision: 'deny', category, reason: `${label} is on the deny list of policy '${policy.name}'` };
+        }
+        if (policy.allow.includes(key)) {
+            return { decision: 'allow', category, reason: `${label} is on the allow list of policy '${policy.name}'` };
+        }
+        if (policy.review.includes(key)) {
+            return { decision: 'review', category, reason: `${label} is on the review list of policy '${policy.name}'` };
+        }
+        const decision = policy.categories[category] || 'review';
+        return { decision, category, reason: `${label} is ${category} (${decision} under policy '${policy.name}')` };
+    }
+
+    const left = evaluateNode(node.left, policy, trivyCategory);
+    const right = evaluateNode(node.right, policy, trivyCategory);
+
+    if (node.type === 'or') {
+        // Dual licensing: the consumer may pick the most favourable option.
+        const best = DECISION_RANK[left.decision] <= DECISION_RANK[right.decision] ? left : right;
+        return { ...best, reason: `choice of licenses, best option: ${best.reason}` };
+    }
+    // Conjunction: every license applies, so the most restrictive one wins.
+    const worst = DECISION_RANK[left.decision] >= DECISION_RANK[right.decision] ? left : right;
+    return { ...worst, reason: `all licenses apply, most restrictive: ${worst.reason}` };
+}
+
+/**
+ * Evaluates one license expression against a policy
+ * @param {string} expression - SPDX expression or plain license name
+ * @param {Object} policy - A policy returned by getPolicy()
+ * @param {string} [trivyCategory] - Trivy's category for the license, if known
+ * @returns {Object} - { decision: 'allow'|'review'|'deny', category, reason }
+ */
+function evaluateExpression(expression, policy, trivyCategory) {
+    let ast;
+    try {
+        ast = parseSpdxExpression(expression);
+    } catch (e) {
+        // Free-text license names ("Apache License 2.0") are treated as one opaque id.
+        ast = { type: 'license', id: String(expression).trim(), exception: null };
+    }
+    return evaluateNode(ast, policy, trivyCategory);
+}
+
+/**
+ * Evaluates every license in a Trivy JSON report against a named policy
+ * @param {Object} trivyReport - Parsed `trivy --format json` output
+ * @param {string} [policyName] - Policy to apply
+ * @returns {Object} - { policy, decisions, violations, review }
+ */
+function evaluateLicenses(trivyReport, policyName = 'default') {
+    const policy = getPolicy(policyName);
+    if (!policy) throw new Error(validatePolicy(policyName));
+
+    const decisions = [];
+    (trivyReport && trivyReport.Results || []).forEach(target => {
+        (target.Licenses || []).forEach(lic => {
+            const result = evaluateExpression(lic.Name, policy, lic.Category);
+            decisions.push({
+                pkg: lic.PkgName || lic.FilePath || target.Target,
+                license: lic.Name,
+                file: lic.FilePath || null,
+                category: result.category,
+                decision: result.decision,
+                reason: result.reason,
+            });
+        });
+    });
+
+    return {
+        policy: policy.name,
+        decisions,
+        violations: decisions.filter(d => d.decision === 'deny'),
+        review: decisions.filter(d => d.decision === 'review'),
+    };
+}
+
+module.exports = {
+    parseSpdxExpression,
+    categorize,
+    getPolicy,
+    listPolicies,
+    validatePolicy,
+    evaluateExpression,
+    evaluateLicenses,
+};
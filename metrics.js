@@ -0,0 +1,169 @@
+// --- 📈 PROMETHEUS METRICS ---
+// In-process counters and histograms, rendered in the Prometheus text format by GET /metrics.
+// The API and the worker share one process, so one registry sees both. Gauges are collected
+// at scrape time (e.g. queue depth from the scan store).
+//
+// METRICS_TOKEN : when set, /metrics needs "Authorization: Bearer <token>"
+
+const crypto = require('crypto');
+
+const PREFIX = 'codepassport_';
+const PHASE_BUCKETS = [0.1, 0.5, 1, 5, 15, 30, 60, 120, 300, 600, 1800];
+
+const registry = [];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    return entries.length ? `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '';
+}
+
+const keyOf = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+/**
+ * Registers a monotonically increasing counter
+ * @param {string} name - Without the codepassport_ prefix
+ * @param {string} help
+ * @returns {Object} - { inc(labels, value) }
+ */
+function counter(name, help) {
+    const series = new Map();
+    registry.push({
+        name: PREFIX + name,
+        help,
+        type: 'counter',
+        lines: () => [...series.values()].map(s => `${PREFIX}${name}${formatLabels(s.labels)} ${s.value}`),
+    });
+    return {
+        inc(labels = {}, value = 1) {
+            const key = keyOf(labels);
+            const s = series.get(key) || { labels, value: 0 };
+            s.value += value;
+            series.set(key, s);
+        },
+    };
+}
+
+/**
+ * Registers a histogram (cumulative buckets, sum and count per label set)
+ * @param {string} name - Without the codepassport_ prefix
+ * @param {string} help
+ * @param {Array<number>} buckets - Upper bounds, ascending
+ * @returns {Object} - { observe(labels, value) }
+ */
+function histogram(name, help, buckets) {
+    const series = new Map();
+    registry.push({
+        name: PREFIX + name,
+        help,
+        type: 'histogram',
+        lines: () => [...series.values()].flatMap(s => [
+            ...buckets.map((le, i) => `${PREFIX}${name}_bucket${formatLabels({ ...s.labels, le })} ${s.counts[i]}`),
+            `${PREFIX}${name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`,
+            `${PREFIX}${name}_sum${formatLabels(s.labels)} ${s.sum}`,
+            `${PREFIX}${name}_count${formatLabels(s.labels)} ${s.count}`,
+        ]),
+    });
+    return {
+        observe(labels, value) {
+            const key = keyOf(labels);
+            const s = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+            buckets.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+            s.sum += value;
+            s.count++;
+            series.set(key, s);
+        },
+    };
+}
+
+/**
+ * Registers a gauge whose values are read at scrape time
+ * @param {string} name - Without the codepassport_ prefix
+ * @param {string} help
+ * @param {Function} collect - async () => [{ labels, value }]
+ */
+function gauge(name, help, collect) {
+    registry.push({ name: PREFIX + name, help, type: 'gauge', collect });
+}
+
+/**
+ * Renders every registered metric in the Prometheus text exposition format
+ * @returns {Promise<string>}
+ */
+async function render() {
+    const blocks = await Promise.all(registry.map(async (metric) => {
+        let lines;
+        if (metric.collect) {
+            try {
+                lines = (await metric.collect()).map(s => `${metric.name}${formatLabels(s.labels || {})} ${s.value}`);
+            } catch (e) {
+                // A failing collector must not take the other metrics down with it.
+                lines = [`# ${metric.name} unavailable: ${String(e.message).replace(/\n/g, ' ')}`];
+            }
+        } else {
+            lines = metric.lines();
+        }
+        return [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...lines].join('\n');
+    }));
+    return `${blocks.join('\n')}\n`;
+}
+
+/**
+ * Checks the scraper's bearer token against METRICS_TOKEN (open when it is not set)
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+function authorizeScrape(req) {
+    const token = process.env.METRICS_TOKEN;
+    if (!token) return true;
+    const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(req.headers.authorization || ''), digest(`Bearer ${token}`));
+}
+
+// --- 📊 SCAN METRICS ---
+const scans = counter('scans_total', 'Scans by outcome: queued, completed, failed (final attempt), cancelled');
+const cacheLookups = counter('cache_lookups_total', 'Cache lookups of scan_repo by result: hit or miss');
+const grades = counter('scan_grades_total', 'Completed scans by grade');
+const commandTimeouts = counter('command_timeouts_total', 'Child processes killed by the runCommand / runCommandToFile timeout');
+const phaseDuration = histogram('scan_phase_duration_seconds', 'Duration of each scan phase (clone, scanners, sbom, ...)', PHASE_BUCKETS);
+
+let cacheHits = 0;
+let cacheMisses = 0;
+gauge('cache_hit_ratio', 'Share of cache lookups that were hits since the process started', async () => {
+    const total = cacheHits + cacheMisses;
+    return [{ value: total ? cacheHits / total : 0 }];
+});
+
+/**
+ * Records the outcome of one cache lookup
+ * @param {boolean} hit
+ */
+function recordCacheLookup(hit) {
+    if (hit) cacheHits++;
+    else cacheMisses++;
+    cacheLookups.inc({ result: hit ? 'hit' : 'miss' });
+}
+
+/**
+ * Records a finished scan: its phase timings (ms, as produced by engine.phaseTimer) and grade
+ * @param {Object} timings - { clone: 1200, scanners: 54000, ..., total }
+ * @param {string|null} grade
+ */
+function recordScanCompleted(timings, grade) {
+    scans.inc({ status: 'completed' });
+    if (grade) grades.inc({ grade });
+    Object.entries(timings || {}).forEach(([phase, ms]) => phaseDuration.observe({ phase }, ms / 1000));
+}
+
+module.exports = {
+    counter,
+    histogram,
+    gauge,
+    render,
+    authorizeScrape,
+    scans,
+    commandTimeouts,
+    recordCacheLookup,
+    recordScanCompleted,
+};
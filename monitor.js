@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const { runCommand } = require('./commands');
+
+// --- 🛰️ CONTINUOUS MONITORING ---
+// Vulnerability data changes while commits don't. Monitored scans get their stored CycloneDX SBOM
+// re-matched by `trivy sbom` on a schedule (no clone); new vulnerabilities mark the result stale.
+// The cache also refuses results graded against an outdated vulnerability DB.
+//
+// MONITOR_CRON          : crontab schedule of the sweep (default "0 4 * * *", daily at 04:00 UTC)
+// VULN_DB_MAX_AGE_HOURS : results whose vulnerability data is older than this are re-scanned (default 24)
+// SCANNER_FIXTURES_DIR  : reads <dir>/trivy_sbom.json instead of running `trivy sbom` (and has no DB metadata)
+
+const SBOM_REPORT_FILE = 'trivy_sbom_results.json';
+const DB_INFO_TTL_MS = 10 * 60 * 1000;
+
+const monitorCron = () => process.env.MONITOR_CRON || '0 4 * * *';
+const maxDbAgeMs = () => (parseFloat(process.env.VULN_DB_MAX_AGE_HOURS) || 24) * 3600 * 1000;
+
+// --- 🗓️ VULNERABILITY DB ---
+let dbInfo = null;
+let dbInfoAt = 0;
+
+/**
+ * Metadata of the local Trivy vulnerability DB (cached for a few minutes)
+ * @param {Object} [options] - { refresh: true } after a Trivy run that may have downloaded a new DB
+ * @returns {Promise<Object|null>} - { version, updated_at } or null when Trivy/its DB is unavailable
+ */
+async function getVulnDbInfo({ refresh = false } = {}) {
+    if (process.env.SCANNER_FIXTURES_DIR) return null;
+    if (!refresh && Date.now() - dbInfoAt < DB_INFO_TTL_MS) return dbInfo;
+    try {
+        const output = await runCommand('trivy', ['version', '--format', 'json'], null, 30000);
+        const db = JSON.parse(output).VulnerabilityDB;
+        dbInfo = db && db.UpdatedAt ? { version: db.Version || null, updated_at: new Date(db.UpdatedAt).toISOString() } : null;
+    } catch (e) {
+        dbInfo = null;
+    }
+    dbInfoAt = Date.now();
+    return dbInfo;
+}
+
+/**
+ * Decides whether a completed scan may still be served from the cache
+ * @param {Object} scan - The cached scan record
+ * @param {Object|null} currentDb - From getVulnDbInfo()
+ * @param {Date} [now]
+ * @returns {string|null} - Why it must be re-scanned, or null when it is fresh
+ */
+function staleReason(scan, currentDb, now = new Date()) {
+    if (scan.stale_at) return 'new vulnerabilities were found since it was graded';
+    const gradedAgainst = scan.vuln_db_updated_at ? new Date(scan.vuln_db_updated_at) : null;
+    if (gradedAgainst && currentDb && gradedAgainst < new Date(currentDb.updated_at)) return 'the vulnerability DB was updated since';
+    // Without DB metadata, the completion time is the best bound on the data's age.
+    const dataAge = now - (gradedAgainst || new Date(scan.completed_at || scan.created_at));
+    if (dataAge > maxDbAgeMs()) return `its vulnerability data is older than ${maxDbAgeMs() / 3600000}h`;
+    return null;
+}
+
+// --- 🔁 SBOM RE-EVALUATION ---
+/**
+ * Matches a stored CycloneDX SBOM against the current vulnerability DB
+ * @param {string} sbomPath - Local copy of the SBOM
+ * @param {string} workDir - Scratch folder for the report
+ * @param {string} [fixturesDir] - Recorded output instead of the real binary
+ * @returns {Promise<Object>} - Trivy report ({ Results })
+ */
+async function matchSbom(sbomPath, workDir, fixturesDir = process.env.SCANNER_FIXTURES_DIR) {
+    if (fixturesDir) {
+        const fixture = path.join(fixturesDir, 'trivy_sbom.json');
+        return fs.existsSync(fixture) ? JSON.parse(fs.readFileSync(fixture, 'utf8')) : { Results: [] };
+    }
+    const outPath = path.join(workDir, SBOM_REPORT_FILE);
+    await runCommand('trivy', ['sbom', '--scanners', 'vuln', '--format', 'json', '--output', outPath, '--quiet', sbomPath]);
+    return JSON.parse(fs.readFileSync(outPath, 'utf8'));
+}
+
+// SBOM targets are named after the SBOM file, not the lockfile, so identity ignores the target.
+function vulnIdentity(id, pkg, version) {
+    return `${id}|${pkg}|${version || ''}`;
+}
+
+/**
+ * Vulnerabilities in a fresh report that the stored scan doesn't know about (waived ones count as known)
+ * @param {Object} report - From matchSbom()
+ * @param {Array<Object>} storedFindings - All stored finding rows of the scan
+ * @returns {Array<Object>} - [{ id, package, installed_version, fixed_version, severity, title }]
+ */
+function findNewVulnerabilities(report, storedFindings) {
+    const known = new Set(storedFindings
+        .filter(f => f.type === 'vulnerability')
+        .map(f => vulnIdentity(f.rule_id, f.package, f.installed_version)));
+    const found = new Map();
+    (report.Results || []).forEach(target => {
+        (target.Vulnerabilities || []).forEach(v => {
+            const key = vulnIdentity(v.VulnerabilityID, v.PkgName, v.InstalledVersion);
+            if (known.has(key) || found.has(key)) return;
+            found.set(key, {
+                id: v.VulnerabilityID,
+                package: v.PkgName,
+                installed_version: v.InstalledVersion || null,
+                fixed_version: v.FixedVersion || null,
+                severity: v.Severity || 'UNKNOWN',
+                title: v.Title || null,
+            });
+        });
+    });
+    return [...found.values()];
+}
+
+module.exports = {
+    monitorCron,
+    getVulnDbInfo,
+    staleReason,
+    matchSbom,
+    findNewVulnerabilities,
+};
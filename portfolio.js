@@ -0,0 +1,111 @@
+// --- 🗂️ PORTFOLIO REPORT ---
+// Rolls the scans of one batch up into an organization-level view: how the grades are
+// distributed, which vulnerable packages many repositories share, and every repository
+// with a viral license or a leaked secret. Waived (suppressed) findings are left out.
+
+const GRADES = ['A', 'B', 'C', 'D', 'F'];
+const SEVERITY_RANK = { CRITICAL: 4, HIGH: 3, MEDIUM: 2, LOW: 1, UNKNOWN: 0 };
+const TOP_PACKAGES = 20;
+const MAX_IDS_PER_PACKAGE = 10;
+
+/**
+ * Reduces the findings of one scan to what the portfolio needs (keeps memory flat for big batches)
+ * @param {Array<Object>} findings - Stored finding rows
+ * @returns {Object} - { vulnerablePackages (Map name => { severity, ids }), viralLicenses, secrets }
+ */
+function summarizeFindings(findings) {
+    // A Map: package names such as "constructor" are data, not object keys.
+    const vulnerablePackages = new Map();
+    const viralLicenses = [];
+    const secretRules = [];
+    findings.filter(f => !f.suppressed).forEach(f => {
+        if (f.type === 'vulnerability' && f.package) {
+            if (!vulnerablePackages.has(f.package)) vulnerablePackages.set(f.package, { severity: 'UNKNOWN', ids: new Set() });
+            const pkg = vulnerablePackages.get(f.package);
+            if ((SEVERITY_RANK[f.severity] || 0) > SEVERITY_RANK[pkg.severity]) pkg.severity = f.severity;
+            pkg.ids.add(f.rule_id);
+        } else if (f.type === 'license' && f.details && f.details.decision === 'deny') {
+            viralLicenses.push({ package: f.package, license: f.rule_id });
+        } else if (f.type === 'secret') {
+            secretRules.push(f.rule_id);
+        }
+    });
+    return { vulnerablePackages, viralLicenses, secrets: { count: secretRules.length, rules: [...new Set(secretRules)] } };
+}
+
+/**
+ * Builds the portfolio report of a batch
+ * @param {Object} batch - The batch record
+ * @param {Array<Object>} entries - [{ scan, summary }] (summary from summarizeFindings, null unless COMPLETED)
+ * @returns {Object} - The JSON report
+ */
+function buildPortfolio(batch, entries) {
+    const gradeDistribution = Object.fromEntries(GRADES.map(g => [g, 0]));
+    const packages = new Map();
+    const reposWithViralLicenses = [];
+    const reposWithSecrets = [];
+    const scores = [];
+
+    entries.forEach(({ scan, summary }) => {
+        if (scan.status !== 'COMPLETED' || !summary) return;
+        if (scan.risk_grade in gradeDistribution) gradeDistribution[scan.risk_grade]++;
+        if (typeof scan.risk_score === 'number') scores.push(scan.risk_score);
+
+        summary.vulnerablePackages.forEach((pkg, name) => {
+            const shared = packages.get(name) || { package: name, max_severity: 'UNKNOWN', ids: new Set(), repos: [] };
+            if (SEVERITY_RANK[pkg.severity] > SEVERITY_RANK[shared.max_severity]) shared.max_severity = pkg.severity;
+            pkg.ids.forEach(id => shared.ids.add(id));
+            shared.repos.push(scan.repo_url);
+            packages.set(name, shared);
+        });
+        if (summary.viralLicenses.length) {
+            reposWithViralLicenses.push({ scan_id: scan.id, repo: scan.repo_url, grade: scan.risk_grade, licenses: summary.viralLicenses });
+        }
+        if (summary.secrets.count) {
+            reposWithSecrets.push({ scan_id: scan.id, repo: scan.repo_url, grade: scan.risk_grade, secrets: summary.secrets.count, rules: summary.secrets.rules });
+        }
+    });
+
+    // "Shared" = vulnerable in at least two repositories; most widespread first, then most severe.
+    const topShared = [...packages.values()]
+        .filter(p => p.repos.length > 1)
+        .sort((a, b) => b.repos.length - a.repos.length || SEVERITY_RANK[b.max_severity] - SEVERITY_RANK[a.max_severity] || a.package.localeCompare(b.package))
+        .slice(0, TOP_PACKAGES)
+        .map(p => ({
+            package: p.package,
+            repo_count: p.repos.length,
+            max_severity: p.max_severity,
+            vulnerabilities: [...p.ids].sort().slice(0, MAX_IDS_PER_PACKAGE),
+            repos: p.repos,
+        }));
+
+    const count = status => entries.filter(e => e.scan.status === status).length;
+    return {
+        batch_id: batch.id,
+        org_id: batch.org_id,
+        source: batch.source,
+        generated_at: new Date().toISOString(),
+        totals: {
+            repos: entries.length,
+            completed: count('COMPLETED'),
+            failed: count('ERROR'),
+            cancelled: count('CANCELLED'),
+            pending: entries.length - count('COMPLETED') - count('ERROR') - count('CANCELLED'),
+        },
+        grade_distribution: gradeDistribution,
+        average_risk_score: scores.length ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length) : null,
+        top_shared_vulnerable_packages: topShared,
+        repos_with_viral_licenses: reposWithViralLicenses,
+        repos_with_secrets: reposWithSecrets,
+        repos: entries.map(({ scan }) => ({
+            scan_id: scan.id,
+            repo: scan.repo_url,
+            status: scan.status,
+            grade: scan.risk_grade || null,
+            risk_score: scan.risk_score ?? null,
+            error: scan.status === 'ERROR' ? scan.last_error || null : null,
+        })),
+    };
+}
+
+module.exports = { summarizeFindings, buildPortfolio };
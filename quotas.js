@@ -0,0 +1,101 @@
+// --- 🧮 ORGANIZATION QUOTAS ---
+// Checked before a scan is queued. An `organizations` row overrides the defaults per org;
+// a null column there means "use the default". Counting and then inserting would let concurrent
+// requests all pass the count, so new scans claim their slot first and are checked afterwards
+// (claimWithinQuota): a race can make both requests back off, never both get through. Their jobs are
+// queued inside the claim too, so a scan whose job could not be queued gives its slot back.
+//
+// ORG_MAX_CONCURRENT_SCANS : scans QUEUED or RUNNING at once (default 5)
+// ORG_MONTHLY_SCAN_QUOTA   : scans created per calendar month, UTC (default 500)
+
+const ACTIVE_STATUSES = ['QUEUED', 'RUNNING'];
+const CONCURRENT_RETRY_SECONDS = 60;
+
+const defaultConcurrent = () => parseInt(process.env.ORG_MAX_CONCURRENT_SCANS, 10) || 5;
+const defaultMonthly = () => parseInt(process.env.ORG_MONTHLY_SCAN_QUOTA, 10) || 500;
+
+function monthWindow(now) {
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const end = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+    return { start, end };
+}
+
+/**
+ * Current quota usage of an organization
+ * @param {Object} scanStore - stores.scans
+ * @param {string} orgId
+ * @param {Date} [now]
+ * @returns {Promise<Object>} - { concurrent: { limit, used }, monthly: { limit, used, resets_at } }
+ */
+async function getQuotaUsage(scanStore, orgId, now = new Date()) {
+    const org = await scanStore.getOrganization(orgId);
+    const { start, end } = monthWindow(now);
+    const [active, thisMonth] = await Promise.all([
+        scanStore.countScans({ orgId, statuses: ACTIVE_STATUSES }),
+        scanStore.countScans({ orgId, since: start.toISOString() }),
+    ]);
+    return {
+        concurrent: { limit: (org && org.max_concurrent_scans) ?? defaultConcurrent(), used: active },
+        monthly: { limit: (org && org.monthly_scan_quota) ?? defaultMonthly(), used: thisMonth, resets_at: end.toISOString() },
+    };
+}
+
+/**
+ * Decides whether an organization may queue `count` more scans
+ * @param {Object} scanStore - stores.scans
+ * @param {string} orgId
+ * @param {number} [count]
+ * @returns {Promise<Object|null>} - null when allowed, else { error, retryAfter, usage }
+ */
+async function checkScanQuota(scanStore, orgId, count = 1) {
+    const now = new Date();
+    const usage = await getQuotaUsage(scanStore, orgId, now);
+    if (usage.monthly.used + count > usage.monthly.limit) {
+        return {
+            error: `Monthly scan quota of ${usage.monthly.limit} reached; it resets at ${usage.monthly.resets_at}`,
+            retryAfter: Math.ceil((new Date(usage.monthly.resets_at) - now) / 1000),
+            usage,
+        };
+    }
+    if (usage.concurrent.used + count > usage.concurrent.limit) {
+        return {
+            error: `Concurrent scan limit of ${usage.concurrent.limit} reached; wait for running scans to finish`,
+            retryAfter: CONCURRENT_RETRY_SECONDS,
+            usage,
+        };
+    }
+    return null;
+}
+
+/**
+ * Creates (or re-queues) scans, checks the quota with them counted, then queues their jobs.
+ * Whatever stops it after claim() (quota exceeded, a failing check, a job that cannot be queued)
+ * undoes the claim, so a scan never holds a slot without a job behind it.
+ * @param {Object} scanStore - stores.scans
+ * @param {string} orgId
+ * @param {Function} claim - async () => claimed, creates or re-queues the scans (undoing its own partial work when it throws)
+ * @param {Function} release - async (claimed, reason) => undoes claim(); reason is 'quota' or 'error'
+ * @param {Function} [enqueue] - async (claimed) => queues the jobs of the claimed scans
+ * @returns {Promise<Object>} - { claimed } when allowed, else { exceeded } as returned by checkScanQuota
+ * @throws {Error} - The error of the check or of enqueue(), after release()
+ */
+async function claimWithinQuota(scanStore, orgId, claim, release, enqueue = null) {
+    const claimed = await claim();
+    let exceeded;
+    try {
+        exceeded = await checkScanQuota(scanStore, orgId, 0);
+        if (!exceeded && enqueue) await enqueue(claimed);
+    } catch (error) {
+        try {
+            await release(claimed, 'error');
+        } catch (releaseError) {
+            console.error(`   ⚠️ Could not undo a scan claim for org ${orgId}: ${releaseError.message}`);
+        }
+        throw error;
+    }
+    if (!exceeded) return { claimed };
+    await release(claimed, 'quota');
+    return { exceeded };
+}
+
+module.exports = { ACTIVE_STATUSES, getQuotaUsage, checkScanQuota, claimWithinQuota };
@@ -0,0 +1,72 @@
+const fetch = require('node-fetch');
+
+// --- 🏢 ORGANIZATION REPOSITORIES ---
+// Lists the repositories of a GitHub organization (or user) / GitLab group for batch scans.
+// Point the base URLs at a stub server to run batches without network access.
+//
+// GITHUB_API_URL : default https://api.github.com (also GitHub Enterprise: https://<host>/api/v3)
+// GITLAB_API_URL : default https://gitlab.com/api/v4
+
+const ORG_PROVIDERS = ['github', 'gitlab'];
+const PAGE_SIZE = 100;
+const REQUEST_TIMEOUT_MS = 15000;
+
+const githubApi = () => (process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/$/, '');
+const gitlabApi = () => (process.env.GITLAB_API_URL || 'https://gitlab.com/api/v4').replace(/\/$/, '');
+
+async function getPage(url, headers) {
+    const res = await fetch(url, { headers: { Accept: 'application/json', 'User-Agent': 'CodePassport', ...headers }, timeout: REQUEST_TIMEOUT_MS });
+    if (!res.ok) {
+        const err = new Error(`${res.status} ${res.statusText} from ${url.split('?')[0]}`);
+        err.status = res.status;
+        throw err;
+    }
+    return res.json();
+}
+
+// Stops one page after `max` so the caller can tell "exactly max" from "more than max".
+async function collectPages(pageUrl, headers, max) {
+    const items = [];
+    for (let page = 1; ; page++) {
+        const batch = await getPage(pageUrl(page), headers);
+        items.push(...batch);
+        if (batch.length < PAGE_SIZE || items.length > max) return items;
+    }
+}
+
+async function listGithubRepos(org, token, max) {
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    const owner = encodeURIComponent(org);
+    let repos;
+    try {
+        repos = await collectPages(page => `${githubApi()}/orgs/${owner}/repos?type=all&per_page=${PAGE_SIZE}&page=${page}`, headers, max);
+    } catch (e) {
+        if (e.status !== 404) throw e;
+        // Not an organization: personal accounts have the same listing under /users.
+        repos = await collectPages(page => `${githubApi()}/users/${owner}/repos?type=owner&per_page=${PAGE_SIZE}&page=${page}`, headers, max);
+    }
+    return repos.map(r => ({ repo: r.clone_url, name: r.full_name, archived: Boolean(r.archived), fork: Boolean(r.fork) }));
+}
+
+async function listGitlabRepos(group, token, max) {
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    const id = encodeURIComponent(group);
+    const projects = await collectPages(page => `${gitlabApi()}/groups/${id}/projects?include_subgroups=true&per_page=${PAGE_SIZE}&page=${page}`, headers, max);
+    return projects.map(p => ({ repo: p.http_url_to_repo, name: p.path_with_namespace, archived: Boolean(p.archived), fork: Boolean(p.forked_from_project) }));
+}
+
+/**
+ * Lists the repositories of an organization / group
+ * @param {Object} options - { provider, org, token, includeForks, includeArchived, max }
+ * @returns {Promise<Object>} - { repos: [{ repo, name }], truncated } (truncated: more than `max` matched)
+ */
+async function listOrgRepos({ provider, org, token, includeForks = false, includeArchived = false, max = Infinity }) {
+    if (!ORG_PROVIDERS.includes(provider)) throw new Error(`provider must be one of ${ORG_PROVIDERS.join(', ')}`);
+    const all = provider === 'github' ? await listGithubRepos(org, token, max) : await listGitlabRepos(org, token, max);
+    const repos = all
+        .filter(r => r.repo && (includeArchived || !r.archived) && (includeForks || !r.fork))
+        .map(({ repo, name }) => ({ repo, name }));
+    return { repos: repos.slice(0, max), truncated: repos.length > max };
+}
+
+module.exports = { ORG_PROVIDERS, listOrgRepos };
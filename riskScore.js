@@ -0,0 +1,214 @@
+const fs = require('fs');
+
+// --- 🧮 RISK SCORING MODEL ---
+// Every graded finding subtracts a penalty from 100. Penalties are summed per category and
+// capped, so a thousand LOW findings can't outweigh one leaked private key. The final score
+// maps to a letter through the thresholds (minimum score per grade; below D is F).
+// Any one graded secret or denied license still means F on its own, as it did before scores existed,
+// whatever the weights and thresholds; their penalties only lower the score and rank them in the breakdown.
+// RISK_MODEL_FILE: JSON file merged over DEFAULT_MODEL (e.g. { "thresholds": { "A": 95 } }). A file that
+// is missing, is not JSON or has a non-numeric weight throws instead of silently grading with defaults.
+
+const DEFAULT_MODEL = {
+    version: 1,
+    thresholds: { A: 90, B: 75, C: 60, D: 40 },
+    vulnerabilities: {
+        severity: { CRITICAL: 15, HIGH: 6, MEDIUM: 2, LOW: 0.5, UNKNOWN: 0.5 },
+        // A published fix makes the finding actionable, so leaving it unpatched weighs more.
+        fixAvailable: 1.25,
+        noFix: 1.0,
+        cap: 60,
+    },
+    misconfigurations: {
+        severity: { CRITICAL: 10, HIGH: 4, MEDIUM: 1, LOW: 0.25, UNKNOWN: 0.25 },
+        cap: 30,
+    },
+    secrets: {
+        types: { 'private-key': 70, 'cloud-credential': 70, 'service-token': 65, generic: 61 },
+        cap: 100,
+    },
+    licenses: {
+        deny: { 'network-copyleft': 70, 'strong-copyleft': 65, 'weak-copyleft': 61, permissive: 61, unknown: 61 },
+        review: 2,
+        cap: 100,
+    },
+};
+
+// CVSS score typical of each severity; a finding's own CVSS scales its penalty around it.
+const REFERENCE_CVSS = { CRITICAL: 9.5, HIGH: 8.0, MEDIUM: 5.5, LOW: 2.5 };
+const GRADE_ORDER = ['A', 'B', 'C', 'D'];
+const TOP_CONTRIBUTORS = 10;
+
+// Gitleaks RuleIDs grouped by blast radius.
+const SECRET_TYPES = [
+    { type: 'private-key', pattern: /private-key|pkcs|ssh-(rsa|dss|ed25519)|pgp/ },
+    { type: 'cloud-credential', pattern: /^(aws|gcp|google|azure|alibaba|digitalocean|heroku)|-aws-|service-account/ },
+    { type: 'service-token', pattern: /github|gitlab|bitbucket|slack|stripe|twilio|sendgrid|npm|pypi|discord|shopify|jwt|token/ },
+];
+
+let model = null;
+
+function mergeDeep(base, override) {
+    const out = { ...base };
+    Object.entries(override || {}).forEach(([key, value]) => {
+        out[key] = value && typeof value === 'object' && !Array.isArray(value) && base[key] && typeof base[key] === 'object'
+            ? mergeDeep(base[key], value)
+            : value;
+    });
+    return out;
+}
+
+// Every setting of DEFAULT_MODEL must keep its type once the file is merged in; returns the first that does not.
+function invalidSetting(candidate, base = DEFAULT_MODEL, prefix = '') {
+    for (const [key, value] of Object.entries(base)) {
+        const name = `${prefix}${key}`;
+        if (value && typeof value === 'object') {
+            if (!candidate[key] || typeof candidate[key] !== 'object') return `${name} must be an object`;
+            const nested = invalidSetting(candidate[key], value, `${name}.`);
+            if (nested) return nested;
+        } else if (typeof candidate[key] !== typeof value || (typeof value === 'number' && !Number.isFinite(candidate[key]))) {
+            return `${name} must be a ${typeof value}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Returns the active model: DEFAULT_MODEL, overridden by RISK_MODEL_FILE when set
+ * @returns {Object}
+ * @throws {Error} - When RISK_MODEL_FILE is missing or invalid (nothing is cached, so every scan fails until it is fixed)
+ */
+function getModel() {
+    if (model) return model;
+    const file = process.env.RISK_MODEL_FILE;
+    if (!file) return (model = DEFAULT_MODEL);
+
+    let override;
+    try {
+        override = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new Error(`RISK_MODEL_FILE ${file}: ${e instanceof SyntaxError ? `invalid JSON (${e.message})` : e.code === 'ENOENT' ? 'not found' : e.message}`);
+    }
+    if (!override || typeof override !== 'object' || Array.isArray(override)) throw new Error(`RISK_MODEL_FILE ${file}: must be a JSON object`);
+    const merged = mergeDeep(DEFAULT_MODEL, override);
+    const invalid = invalidSetting(merged);
+    if (invalid) throw new Error(`RISK_MODEL_FILE ${file}: ${invalid}`);
+    model = merged;
+    return model;
+}
+
+/**
+ * Highest CVSS score Trivy reports for a vulnerability (any source, v3 preferred)
+ * @param {Object} vuln - Trivy vulnerability
+ * @returns {number|null}
+ */
+function cvssOf(vuln) {
+    const scores = Object.values((vuln && vuln.CVSS) || {}).map(c => c.V3Score || c.V2Score || 0).filter(Boolean);
+    return scores.length ? Math.max(...scores) : null;
+}
+
+function secretType(secret) {
+    const rule = String(secret.RuleID || '').toLowerCase();
+    const match = SECRET_TYPES.find(t => t.pattern.test(rule));
+    return match ? match.type : 'generic';
+}
+
+function gradeFor(score, thresholds) {
+    return GRADE_ORDER.find(g => score >= thresholds[g]) || 'F';
+}
+
+function round(n) {
+    return Math.round(n * 10) / 10;
+}
+
+/**
+ * Scores the graded (non-waived) findings of a scan
+ * @param {Object} findings - { trivy, gitleaks, licenseDecisions } as returned in applyWaivers().active
+ * @param {Object} [riskModel] - Defaults to getModel()
+ * @returns {Object} - { score, grade, breakdown } where breakdown explains the grade
+ */
+function scoreRisk({ trivy = {}, gitleaks = [], licenseDecisions = [] }, riskModel = getModel()) {
+    const contributors = [];
+    const add = (category, item) => contributors.push({ category, ...item, penalty: round(item.penalty) });
+
+    (trivy.Results || []).forEach(target => {
+        (target.Vulnerabilities || []).forEach(vuln => {
+            const severity = vuln.Severity || 'UNKNOWN';
+            const weight = riskModel.vulnerabilities.severity[severity] || 0;
+            const cvss = cvssOf(vuln);
+            const cvssFactor = cvss && REFERENCE_CVSS[severity] ? Math.min(Math.max(cvss / REFERENCE_CVSS[severity], 0.5), 1.5) : 1;
+            const fixFactor = vuln.FixedVersion ? riskModel.vulnerabilities.fixAvailable : riskModel.vulnerabilities.noFix;
+            add('vulnerabilities', {
+                id: vuln.VulnerabilityID,
+                label: `${vuln.PkgName}@${vuln.InstalledVersion} (${vuln.VulnerabilityID})`,
+                penalty: weight * cvssFactor * fixFactor,
+                reason: [severity, cvss ? `CVSS ${cvss}` : 'no CVSS', vuln.FixedVersion ? `fix available (${vuln.FixedVersion})` : 'no fix'].join(', '),
+            });
+        });
+        (target.Misconfigurations || []).forEach(m => {
+            const severity = m.Severity || 'UNKNOWN';
+            add('misconfigurations', {
+                id: m.ID,
+                label: `${m.ID} in ${target.Target}`,
+                penalty: riskModel.misconfigurations.severity[severity] || 0,
+                reason: `${severity} misconfiguration`,
+            });
+        });
+    });
+
+    (gitleaks || []).forEach(secret => {
+        const type = secretType(secret);
+        add('secrets', {
+            id: secret.RuleID,
+            label: `${secret.RuleID} in ${secret.File}:${secret.StartLine}`,
+            penalty: riskModel.secrets.types[type] || riskModel.secrets.types.generic,
+            reason: `${type} secret`,
+        });
+    });
+
+    licenseDecisions.filter(d => d.decision !== 'allow').forEach(lic => {
+        const penalty = lic.decision === 'deny'
+            ? (riskModel.licenses.deny[lic.category] ?? riskModel.licenses.deny.unknown)
+            : riskModel.licenses.review;
+        add('licenses', {
+            id: lic.license,
+            label: `${lic.pkg} (${lic.license})`,
+            penalty,
+            reason: `${lic.category} license, ${lic.decision === 'deny' ? 'denied' : 'needs review'} by policy`,
+        });
+    });
+
+    const categories = {};
+    ['vulnerabilities', 'misconfigurations', 'secrets', 'licenses'].forEach(name => {
+        const items = contributors.filter(c => c.category === name);
+        const raw = items.reduce((sum, c) => sum + c.penalty, 0);
+        const cap = riskModel[name].cap;
+        categories[name] = { count: items.length, penalty: round(Math.min(raw, cap)), uncapped: round(raw), cap };
+    });
+
+    const totalPenalty = Object.values(categories).reduce((sum, c) => sum + c.penalty, 0);
+    const score = Math.max(0, Math.round(100 - totalPenalty));
+    // Not left to the weights: a model file with a lower D threshold or lighter penalties must not pass them.
+    const denied = licenseDecisions.find(d => d.decision === 'deny');
+    const failedBy = (gitleaks || []).length ? 'leaked secret' : denied ? `denied license ${denied.license} (${denied.pkg})` : null;
+    const grade = failedBy ? 'F' : gradeFor(score, riskModel.thresholds);
+
+    return {
+        score,
+        grade,
+        breakdown: {
+            model_version: riskModel.version,
+            score,
+            grade,
+            thresholds: riskModel.thresholds,
+            failed_by: failedBy,
+            categories,
+            top_contributors: contributors
+                .filter(c => c.penalty > 0)
+                .sort((a, b) => b.penalty - a.penalty)
+                .slice(0, TOP_CONTRIBUTORS),
+        },
+    };
+}
+
+module.exports = { DEFAULT_MODEL, getModel, cvssOf, scoreRisk };
@@ -0,0 +1,223 @@
+const { maskSecret } = require('./findings');
+const { getScanner } = require('./scanners');
+const { cvssOf } = require('./riskScore');
+
+// --- 🧾 SARIF 2.1.0 EXPORTER ---
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SARIF_VERSION = '2.1.0';
+
+// Fallback "security-severity" scores when Trivy has no CVSS data (GitHub buckets on these).
+const SEVERITY_SCORE = { CRITICAL: 9.5, HIGH: 8.0, MEDIUM: 5.5, LOW: 2.0, UNKNOWN: 0.0 };
+
+function sarifLevel(severity) {
+    switch (String(severity || '').toUpperCase()) {
+        case 'CRITICAL':
+        case 'HIGH':
+            return 'error';
+        case 'MEDIUM':
+            return 'warning';
+        default:
+            return 'note';
+    }
+}
+
+function cvssScore(vuln) {
+    return cvssOf(vuln) || SEVERITY_SCORE[vuln.Severity] || 0;
+}
+
+// Waived and VEX-suppressed findings stay in the log but are marked as externally suppressed.
+function withSuppression(result, item) {
+    if (item.Vex) {
+        const reason = [item.Vex.justification, item.Vex.impact_statement].filter(Boolean).join(': ');
+        result.suppressions = [{
+            kind: 'external',
+            status: 'accepted',
+            justification: `VEX ${item.Vex.status}${reason ? ` (${reason})` : ''}, from ${item.Vex.source}`,
+        }];
+    } else if (item.Waiver) {
+        result.suppressions = [{
+            kind: 'external',
+            status: 'accepted',
+            justification: `${item.Waiver.justification} (owner: ${item.Waiver.owner}, expires: ${item.Waiver.expires})`,
+        }];
+    }
+    return result;
+}
+
+function location(uri, startLine, extra = {}) {
+    return {
+        physicalLocation: {
+            artifactLocation: { uri: String(uri || '.').replace(/\\/g, '/') },
+            region: { startLine: Math.max(parseInt(startLine, 10) || 1, 1), ...extra },
+        },
+    };
+}
+
+// Rules are de-duplicated per run; results reference them by index.
+function ruleCollector() {
+    const rules = [];
+    const index = new Map();
+    return {
+        rules,
+        add(id, build) {
+            if (!index.has(id)) {
+                index.set(id, rules.length);
+                rules.push({ id, ...build() });
+            }
+            return index.get(id);
+        },
+    };
+}
+
+// One run per adapter that produced Trivy-schema results (Trivy, OSV-Scanner, Semgrep, ...).
+function trivyRuns(trivy) {
+    const byScanner = new Map();
+    (trivy.Results || []).forEach(target => {
+        const name = target.Scanner || 'trivy';
+        if (!byScanner.has(name)) byScanner.set(name, []);
+        byScanner.get(name).push(target);
+    });
+    if (byScanner.size === 0) byScanner.set('trivy', []);
+    return [...byScanner.entries()].map(([name, targets]) => scannerRun(name, targets));
+}
+
+function scannerRun(name, targets) {
+    const adapter = getScanner(name);
+    const collector = ruleCollector();
+    const results = [];
+
+    targets.forEach(target => {
+        (target.Vulnerabilities || []).forEach(vuln => {
+            const ruleIndex = collector.add(vuln.VulnerabilityID, () => ({
+                name: vuln.VulnerabilityID,
+                shortDescription: { text: vuln.Title || vuln.VulnerabilityID },
+                fullDescription: { text: vuln.Description || vuln.Title || vuln.VulnerabilityID },
+                helpUri: vuln.PrimaryURL || `https://avd.aquasec.com/nvd/${String(vuln.VulnerabilityID).toLowerCase()}`,
+                defaultConfiguration: { level: sarifLevel(vuln.Severity) },
+                properties: {
+                    tags: ['security', 'vulnerability', vuln.Severity],
+                    'security-severity': cvssScore(vuln).toFixed(1),
+                },
+            }));
+            const fix = vuln.FixedVersion ? `Fixed in ${vuln.FixedVersion}.` : 'No fix available.';
+            results.push(withSuppression({
+                ruleId: vuln.VulnerabilityID,
+                ruleIndex,
+                level: sarifLevel(vuln.Severity),
+                message: { text: `${vuln.PkgName}@${vuln.InstalledVersion} is affected by ${vuln.VulnerabilityID} (${vuln.Severity}). ${fix}` },
+                locations: [location(target.Target, 1)],
+            }, vuln));
+        });
+        (target.Misconfigurations || []).forEach(m => {
+            const ruleIndex = collector.add(m.ID, () => ({
+                name: m.ID,
+                shortDescription: { text: m.Title || m.ID },
+                fullDescription: { text: m.Description || m.Message || m.Title || m.ID },
+                ...(m.PrimaryURL ? { helpUri: m.PrimaryURL } : {}),
+                defaultConfiguration: { level: sarifLevel(m.Severity) },
+                properties: {
+                    tags: ['security', 'misconfiguration', m.Severity],
+                    'security-severity': (SEVERITY_SCORE[m.Severity] || 0).toFixed(1),
+                },
+            }));
+            const cause = m.CauseMetadata || {};
+            results.push(withSuppression({
+                ruleId: m.ID,
+                ruleIndex,
+                level: sarifLevel(m.Severity),
+                message: { text: m.Message || m.Title || m.ID },
+                locations: [location(target.Target, cause.StartLine, cause.EndLine ? { endLine: cause.EndLine } : {})],
+            }, m));
+        });
+    });
+
+    return {
+        tool: {
+            driver: {
+                name: adapter ? adapter.displayName : name,
+                informationUri: adapter ? adapter.informationUri : 'https://github.com/aquasecurity/trivy',
+                rules: collector.rules,
+            },
+        },
+        results,
+    };
+}
+
+function licenseRun(licenseDecisions, policyName) {
+    const collector = ruleCollector();
+    const results = [];
+
+    licenseDecisions.filter(d => d.decision !== 'allow').forEach(lic => {
+        const ruleId = `license/${lic.license}`;
+        const level = lic.decision === 'deny' ? 'error' : 'warning';
+        const ruleIndex = collector.add(ruleId, () => ({
+            name: `License ${lic.license}`,
+            shortDescription: { text: `${lic.license} (${lic.category})` },
+            defaultConfiguration: { level },
+            properties: { tags: ['license', lic.category], 'security-severity': lic.decision === 'deny' ? '7.0' : '4.0' },
+        }));
+        results.push(withSuppression({
+            ruleId,
+            ruleIndex,
+            level,
+            message: { text: `${lic.pkg} is licensed under ${lic.license}: ${lic.reason}` },
+            locations: [location(lic.file || lic.pkg, 1)],
+        }, lic));
+    });
+
+    return {
+        tool: { driver: { name: 'CodePassport License Policy', informationUri: 'https://codepassport.io', rules: collector.rules } },
+        results,
+        properties: { policy: policyName || 'default' },
+    };
+}
+
+function gitleaksRun(gitleaks) {
+    const collector = ruleCollector();
+    const results = [];
+
+    (gitleaks || []).forEach(secret => {
+        const ruleIndex = collector.add(secret.RuleID, () => ({
+            name: secret.RuleID,
+            shortDescription: { text: secret.Description || secret.RuleID },
+            defaultConfiguration: { level: 'error' },
+            properties: { tags: ['security', 'secret'], 'security-severity': '9.0' },
+        }));
+        const region = {};
+        if (secret.EndLine) region.endLine = secret.EndLine;
+        if (secret.StartColumn) region.startColumn = secret.StartColumn;
+        if (secret.EndColumn) region.endColumn = secret.EndColumn + 1;
+        const result = {
+            ruleId: secret.RuleID,
+            ruleIndex,
+            level: 'error',
+            message: { text: `${secret.Description || secret.RuleID} detected (${maskSecret(secret.Secret)}). Revoke and rotate it.` },
+            locations: [location(secret.File, secret.StartLine, region)],
+        };
+        if (secret.Fingerprint) result.partialFingerprints = { 'gitleaks/v1': secret.Fingerprint };
+        results.push(withSuppression(result, secret));
+    });
+
+    return {
+        tool: { driver: { name: 'Gitleaks', informationUri: 'https://github.com/gitleaks/gitleaks', rules: collector.rules } },
+        results,
+    };
+}
+
+/**
+ * Builds a SARIF 2.1.0 log covering vulnerabilities, misconfigurations, license violations and leaked secrets
+ * @param {Object} scan - { trivy, gitleaks, licenseDecisions, policy, repo, commitHash, scanId }
+ * @returns {Object} - The SARIF log, ready for JSON.stringify
+ */
+function generateSarif({ trivy = {}, gitleaks = [], licenseDecisions = [], policy, repo, commitHash, scanId }) {
+    const runs = [...trivyRuns(trivy), licenseRun(licenseDecisions, policy), gitleaksRun(gitleaks)];
+    runs.forEach(run => {
+        run.automationDetails = { id: `codepassport/${scanId}` };
+        if (repo) {
+            run.versionControlProvenance = [{ repositoryUri: repo, ...(commitHash ? { revisionId: commitHash } : {}) }];
+        }
+    });
+    return { $schema: SARIF_SCHEMA, version: SARIF_VERSION, runs };
+}
+
+module.exports = generateSarif;
@@ -9,13 +9,30 @@ Sentry.init({
 });
 
 const express = require('express');
-const { spawn } = require('child_process');
-const { createClient } = require('@supabase/supabase-js');
 const fs = require('fs'); 
 const path = require('path');
-const generateCertificate = require('./generateCertificate'); 
+const engine = require('./engine');
+const { validatePolicy } = require('./licensePolicy');
+const { resolveScanners, runScanners, listScanners } = require('./scanners');
+const { resolveCommit, checkoutCommit, buildGitAuth, validateGitAuth, validateRef } = require('./git');
+const { diffScans, loadAllFindings } = require('./scanDiff');
+const webhooks = require('./webhooks');
+const { ARTIFACT_TYPES, urlTtlSeconds, artifactPath, artifactLinks } = require('./artifacts');
+const { SCOPES, DEFAULT_KEY_SCOPES, generateApiKey, requireAuth } = require('./auth');
+const { ACTIVE_STATUSES, checkScanQuota, claimWithinQuota, getQuotaUsage } = require('./quotas');
+const { ORG_PROVIDERS, listOrgRepos } = require('./repoProviders');
+const { summarizeFindings, buildPortfolio } = require('./portfolio');
+const generatePortfolioReport = require('./generatePortfolioReport');
+const monitor = require('./monitor');
+const metrics = require('./metrics');
+const { runHealthChecks } = require('./health');
+const jobs = require('./jobs');
+const { withAbortSignal } = require('./commands');
+const { validateVexDocuments } = require('./vex');
+const attestation = require('./attestation');
+const { createStores } = require('./storage');
 const fetch = require('node-fetch'); 
-const { run, quickAddJob } = require("graphile-worker"); 
+const { run, quickAddJob, makeWorkerUtils } = require("graphile-worker"); 
 
 const app = express();
 app.use(Sentry.Handlers.requestHandler());
@@ -35,298 +52,1053 @@ app.use((req, res, next) => {
         res.header("Access-Control-Allow-Origin", origin);
     }
     // Strict headers
-    res.header("Access-Control-Allow-Headers", "Origin, X-Requested-With, Content-Type, Accept");
-    res.header("Access-Control-Allow-Methods", "GET, POST, OPTIONS"); 
+    res.header("Access-Control-Allow-Headers", "Origin, X-Requested-With, Content-Type, Accept, Authorization");
+    res.header("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS"); 
     
     if (req.method === 'OPTIONS') return res.sendStatus(200);
     next();
 });
 
 // --- 🚦 SECURITY LAYER: RATE LIMITING (The Traffic Light) ---
-// Limit each IP to 20 requests per 15 minutes.
+// Burst limit per organization (not per IP: CI fleets share egress IPs, and IPs are spoofable behind proxies).
+// Runs after authentication on POST /scan; the real budget is the org quota (quotas.js).
 const limiter = rateLimit({
 	windowMs: 15 * 60 * 1000, // 15 minutes
-	limit: 20, // Limit each IP to 20 requests per windowMs
+	limit: parseInt(process.env.SCAN_RATE_LIMIT, 10) || 120, // requests per org per windowMs
     standardHeaders: true, 
 	legacyHeaders: false, 
+    keyGenerator: req => `org:${req.user.orgId}`,
     message: { error: "Too many requests. Please try again in 15 minutes." }
 });
 
-// Apply rate limiter specifically to the scan endpoint
-app.use('/scan', limiter);
-
 app.use(express.json());
 
 // CONFIG
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_KEY;
-const supabase = createClient(supabaseUrl, supabaseKey);
 const connectionString = process.env.DATABASE_URL; 
+const stores = createStores();
+console.log(`🗄️ Storage: artifacts=${stores.kinds.artifacts}, scans=${stores.kinds.scans}`);
 
-// --- 🔒 HELPER: Sanitize Logs ---
-function sanitizeLog(str) {
-    if (!str) return '';
-    return str.replace(/:\/\/[^@]+@/g, '://***@');
+// Local artifact store: serve the files ourselves, but only behind a valid signed link.
+if (stores.kinds.artifacts === 'local') {
+    app.get('/artifacts/*objectPath', (req, res) => {
+        const objectPath = req.params.objectPath.join('/');
+        if (!stores.artifacts.verifySignature(objectPath, req.query.expires, req.query.signature)) {
+            return res.status(403).json({ error: 'Invalid or expired download link' });
+        }
+        res.sendFile(stores.artifacts.resolve(objectPath), err => { if (err && !res.headersSent) res.sendStatus(404); });
+    });
 }
 
-// --- 🛡️ HELPER 1: SIMPLE COMMAND RUNNER ---
-function runCommand(command, args, cwd = null, timeoutMs = 1800000) { 
-    return new Promise((resolve, reject) => {
-        const proc = spawn(command, args, { cwd, shell: false });
-        let stdout = '';
-        let stderr = '';
-        
-        const timer = setTimeout(() => {
-            proc.kill();
-            reject(new Error(`Command timed out after ${timeoutMs}ms: ${command}`));
-        }, timeoutMs);
-
-        proc.stdout.on('data', (data) => { stdout += data; });
-        proc.stderr.on('data', (data) => { stderr += data; });
-
-        proc.on('close', (code) => {
-            clearTimeout(timer);
-            if (code === 0) resolve(stdout.trim());
-            else {
-                const safeCommand = sanitizeLog(`${command} ${args.join(' ')}`);
-                const safeStderr = sanitizeLog(stderr);
-                reject(new Error(`Command failed: ${safeCommand}\nStderr: ${safeStderr}`));
-            }
-        });
-        proc.on('error', (err) => { clearTimeout(timer); reject(err); });
-    });
+// --- 🩺 HEALTH & METRICS ---
+// Unauthenticated and outside the rate limiter: probes and scrapers call these constantly.
+const workerState = { running: false, error: null };
+
+metrics.gauge('scans_active', 'Scans currently QUEUED or RUNNING, from the scan store', () => Promise.all(
+    ACTIVE_STATUSES.map(async status => ({ labels: { status }, value: await stores.scans.countScans({ statuses: [status] }) }))
+));
+
+app.get('/healthz', async (req, res) => {
+    res.json(await runHealthChecks({ stores, worker: () => workerState }));
+});
+
+app.get('/readyz', async (req, res) => {
+    const health = await runHealthChecks({ stores, worker: () => workerState });
+    res.status(health.status === 'ok' ? 200 : 503).json(health);
+});
+
+app.get('/metrics', async (req, res) => {
+    if (!metrics.authorizeScrape(req)) return res.status(401).json({ error: 'Invalid metrics token' });
+    res.type('text/plain; version=0.0.4').send(await metrics.render());
+});
+
+// Webhook scheduling never fails the scan itself.
+async function notify(helpers, scanId, event, callbackSecret) {
+    try {
+        const scan = await stores.scans.getScan(scanId);
+        const queued = await webhooks.scheduleDeliveries({ scanStore: stores.scans, addJob: helpers.addJob }, { scan, event, callbackSecret });
+        if (queued) console.log(`   📣 Queued ${queued} webhook deliveries (${event}).`);
+    } catch (e) { console.log("   Webhook warning:", e.message); }
 }
 
-// --- 🌊 HELPER 2: STREAMING COMMAND RUNNER ---
-function runCommandToFile(command, args, filePath, cwd = null, timeoutMs = 1800000) {
-    return new Promise((resolve, reject) => {
-        const fileStream = fs.createWriteStream(filePath);
-        const proc = spawn(command, args, { cwd, shell: false });
-        
-        const timer = setTimeout(() => {
-            proc.kill();
-            reject(new Error(`Stream command timed out after ${timeoutMs}ms`));
-        }, timeoutMs);
-
-        proc.stdout.pipe(fileStream);
-
-        let stderr = '';
-        proc.stderr.on('data', (data) => { stderr += data; });
-
-        proc.on('close', (code) => {
-            clearTimeout(timer);
-            if (code === 0) resolve(filePath);
-            else {
-                const safeStderr = sanitizeLog(stderr);
-                reject(new Error(`Stream Command failed: ${command}\nStderr: ${safeStderr}`));
-            }
+// The last scan of a batch to settle queues its portfolio report. A scan that later succeeds on
+// a retry queues it again, so the report always reflects the final outcome (job_key dedupes).
+async function settleBatch(helpers, batchId) {
+    if (!batchId) return;
+    try {
+        const scans = await stores.scans.listBatchScans(batchId);
+        if (scans.some(s => ['QUEUED', 'RUNNING'].includes(s.status))) return;
+        await helpers.addJob('build_portfolio', { batchId }, { jobKey: `portfolio_${batchId}` });
+    } catch (e) { console.log("   Batch warning:", e.message); }
+}
+
+// Every child process of the task (git, scanners) belongs to the scan's job: cancelling the
+// scan or shutting the worker down kills them (see jobs.js).
+function cancellable(task) {
+    return async (payload, helpers) => {
+        const job = jobs.startJob(payload.scanId, {
+            shutdownSignal: helpers.abortSignal,
+            isCancelled: async () => {
+                const scan = await stores.scans.getScan(payload.scanId);
+                return Boolean(scan && scan.status === 'CANCELLED');
+            },
         });
-        proc.on('error', (err) => { clearTimeout(timer); reject(err); });
-    });
+        try {
+            return await withAbortSignal(job.signal, () => task(payload, helpers, job));
+        } finally {
+            job.finish();
+        }
+    };
 }
 
 // --- THE WORKER TASK ---
 const taskList = {
-    scan_repo: async (payload, helpers) => {
-        const { repo, token, scanId, userId } = payload;
-        console.log(`👷 WORKER: Processing Scan ID ${scanId}`);
+    scan_repo: cancellable(async (payload, helpers, job) => {
+        const { repo, token, username, sshKey, provider, ref = 'HEAD', scanId, userId, batchId, policy = 'default', callbackSecret, force = false, vex = [] } = payload;
+        const scanners = resolveScanners(payload.scanners);
+        console.log(`👷 WORKER: Processing Scan ID ${scanId} (attempt ${helpers.job.attempts}/${helpers.job.max_attempts})`);
+
+        const record = await stores.scans.getScan(scanId);
+        if (!record || record.status === 'CANCELLED') {
+            console.log(`   🛑 Scan ${scanId} was cancelled before it started.`);
+            await settleBatch(helpers, batchId);
+            return;
+        }
 
         let scanResults = {}; 
         let gitleaksResults = [];
-        let grade = 'A';
-        let sbomUrl = null; 
+        let sbomObject = null; 
         let currentHash = null;
+        const timer = engine.phaseTimer();
         
-        const jobDir = path.resolve(`temp_job_${scanId}`);
-        if (!fs.existsSync(jobDir)) fs.mkdirSync(jobDir);
+        const jobDir = jobs.createWorkDir('job', scanId);
 
         try {
-            const cleanSupabaseUrl = supabaseUrl.endsWith('/') ? supabaseUrl.slice(0, -1) : supabaseUrl;
-            
-            let authRepo = repo;
-            if (token && repo.includes('github.com')) {
-               const cleanUrl = repo.replace('https://', '');
-               authRepo = `https://${token}@${cleanUrl}`;
-            }
+            await stores.scans.updateScan(scanId, { status: 'RUNNING', attempts: helpers.job.attempts });
+
+            // Credentials travel in git's environment, never in the URL (so never in logs or scanner args).
+            const gitAuth = buildGitAuth({ repoUrl: repo, token, username, sshKey, provider }, jobDir);
 
-            // 1. CACHE CHECK
+            // 1. RESOLVE REF & CACHE CHECK
+            currentHash = await timer.time('resolve', () => resolveCommit(repo, ref, gitAuth));
+            if (!currentHash) throw new jobs.PermanentError(`Ref "${ref}" was not found in ${repo}`);
+            console.log(`   🎯 ${ref} -> ${currentHash} (${gitAuth.provider})`);
             try {
-                const hashOutput = await runCommand('git', ['ls-remote', authRepo, 'HEAD']);
-                currentHash = hashOutput.split('\t')[0];
-                console.log(`   🎯 Commit Hash: ${currentHash}`);
-
-                const { data: cachedScan } = await supabase
-                    .from('scans')
-                    .select('*')
-                    .eq('repo_url', repo)
-                    .eq('commit_hash', currentHash)
-                    .eq('status', 'COMPLETED')
-                    .limit(1)
-                    .maybeSingle();
-
-                if (cachedScan) {
+                // Monitoring re-grades (force) exist precisely because the cached result is outdated;
+                // attached VEX documents change the grade, so such scans neither reuse nor become a cache hit.
+                const cachedScan = force || vex.length ? null : await timer.time('cache_lookup', () => stores.scans.findCachedScan({ repoUrl: repo, commitHash: currentHash, policy, scanners: scanners.join(',') }));
+
+                // A waiver that lapsed since the cached scan must resurface its findings, so re-scan.
+                const waiverLapsed = cachedScan && cachedScan.waiver_summary && cachedScan.waiver_summary.next_expiry
+                    && new Date(cachedScan.waiver_summary.next_expiry) < new Date();
+                const gradedWithAttachedVex = cachedScan && cachedScan.vex_summary && cachedScan.vex_summary.attached > 0;
+                // Results graded while a selected scanner was skipped or failed are never served again.
+                const gradedIncomplete = cachedScan && Object.values(cachedScan.scanner_runs || {}).some(run => run.status !== 'ok');
+                const reusable = cachedScan && !waiverLapsed && !gradedWithAttachedVex && !gradedIncomplete;
+                // So must vulnerability data that is older than what we could grade against now.
+                const staleReason = reusable && monitor.staleReason(cachedScan, await monitor.getVulnDbInfo());
+                if (staleReason) console.log(`   ♻️ Cached result not reused: ${staleReason}.`);
+
+                const cacheHit = Boolean(reusable && !staleReason);
+                if (!force && !vex.length) metrics.recordCacheLookup(cacheHit);
+
+                if (cacheHit) {
                     console.log(`   ⚡ CACHE HIT!`);
-                    await supabase.from('scans').update({ 
+                    await stores.scans.updateScan(scanId, { 
                         status: "COMPLETED", 
                         risk_grade: cachedScan.risk_grade,    
-                        pdf_url: cachedScan.pdf_url,
-                        sbom_url: cachedScan.sbom_url,
+                        risk_score: cachedScan.risk_score,
+                        grade_breakdown: cachedScan.grade_breakdown,
+                        pdf_path: artifactPath(cachedScan, 'pdf'),
+                        sbom_path: artifactPath(cachedScan, 'sbom'),
+                        sarif_path: artifactPath(cachedScan, 'sarif'),
+                        vex_path: artifactPath(cachedScan, 'vex'),
+                        spdx_path: artifactPath(cachedScan, 'spdx'),
+                        notices_path: artifactPath(cachedScan, 'notices'),
+                        license_inventory: cachedScan.license_inventory,
+                        attestation: cachedScan.attestation,
+                        license_decisions: cachedScan.license_decisions,
+                        waiver_summary: cachedScan.waiver_summary,
+                        vex_summary: cachedScan.vex_summary,
+                        scanners: cachedScan.scanners,
+                        scanner_runs: cachedScan.scanner_runs,
+                        vuln_db_updated_at: cachedScan.vuln_db_updated_at,
+                        cached_from: cachedScan.cached_from || cachedScan.id,
                         commit_hash: currentHash,
+                        phase_timings: timer.finish(),
                         last_error: "Cached Result",
                         completed_at: new Date().toISOString()
-                    }).eq('id', scanId);
+                    });
+                    metrics.recordScanCompleted(timer.timings, cachedScan.risk_grade);
                     fs.rmSync(jobDir, { recursive: true, force: true });
+                    await notify(helpers, scanId, 'scan.completed', callbackSecret);
+                    await settleBatch(helpers, batchId);
                     return; 
                 }
             } catch (e) { console.log("   Cache warning:", e.message); }
             
-            // 2. TRIVY (Security) - STREAMED
-            console.log('   🔍 Running Trivy (Security)...');
-            const trivyResultPath = path.join(jobDir, 'trivy_results.json');
-            try {
-                await runCommandToFile('trivy', [
-                    'repo', authRepo, 
-                    '--scanners', 'license,vuln', 
-                    '--format', 'json', 
-                    '--timeout', '30m', 
-                    '--quiet'
-                ], trivyResultPath);
-
-                if (fs.existsSync(trivyResultPath)) {
-                    const data = fs.readFileSync(trivyResultPath, 'utf8');
-                    scanResults = JSON.parse(data);
-                }
-            } catch (e) { console.log("   Trivy warning:", e.message); }
+            // 2. CLONE (once, at exactly that commit; every scanner shares this workspace)
+            console.log('   📥 Fetching commit...');
+            const repoDir = path.join(jobDir, 'repo_clone');
+            currentHash = await timer.time('clone', () => checkoutCommit(repo, currentHash, repoDir, gitAuth));
+
+            // 3. SCANNERS (Trivy, Gitleaks, OSV-Scanner, Semgrep, ...)
+            console.log(`   🧩 Scanners: ${scanners.join(', ')}`);
+            const { report, secrets, runs: scannerRuns } = await timer.time('scanners', () => runScanners(scanners, repoDir, { workDir: jobDir }));
+            job.checkpoint();
+            scanResults = report;
+            gitleaksResults = secrets;
+            console.log(`   ⚠️ Found ${gitleaksResults.length} secrets.`);
+            // The DB the vulnerabilities were matched against (Trivy may have just refreshed it).
+            const dbInfo = await monitor.getVulnDbInfo({ refresh: true });
 
-            // 3. SBOM GENERATION
+            // 4. SBOM (converted from the Trivy report, no second scan)
             console.log('   📦 Generating SBOM...');
-            const sbomPath = path.join(jobDir, `sbom_${scanId}.json`);
+            let sbomPath = null;
             try {
-                await runCommand('trivy', [
-                    'repo', authRepo, 
-                    '--format', 'cyclonedx', 
-                    '--output', sbomPath, 
-                    '--quiet'
-                ]);
-                
-                if (fs.existsSync(sbomPath)) {
-                    const sbomBuffer = fs.readFileSync(sbomPath);
-                    const storagePath = `sbom_${scanId}.json`; 
-                    await supabase.storage.from('audits').upload(storagePath, sbomBuffer, { contentType: 'application/json', upsert: true });
-                    sbomUrl = `${cleanSupabaseUrl}/storage/v1/object/public/audits/${storagePath}`;
-                }
+                sbomPath = await timer.time('sbom', () => engine.generateSbom({ workspace: repoDir, workDir: jobDir, sbomPath: path.join(jobDir, `sbom_${scanId}.json`) }));
             } catch (e) { console.log("   SBOM failed:", e.message); }
+            job.checkpoint();
 
-            // 4. GITLEAKS - STREAMED CLONE & SCAN
-            console.log('   🕵️‍♂️ Running Gitleaks...');
-            const repoDir = path.join(jobDir, 'repo_clone');
-            const leaksPath = path.join(jobDir, 'leaks.json');
-            
+            // 5. VEX, LICENSE POLICY, WAIVERS (.codepassport.yml) & GRADING
+            const analysis = await timer.time('analyze', async () => engine.analyze({ trivy: scanResults, gitleaks: gitleaksResults, repoDir, policy, vex, sbomReport: engine.readSbomReport(jobDir) }));
+            const grade = analysis.grade;
+            analysis.vexSummary.errors.forEach(e => console.log(`   VEX warning: ${e}`));
+            if (analysis.vexSummary.documents.length) console.log(`   🧾 VEX: ${analysis.vexSummary.documents.length} documents, ${analysis.vexSummary.suppressed} vulnerabilities not affected.`);
+            analysis.waiverSummary.errors.forEach(e => console.log(`   Waiver warning: ${e}`));
+            if (analysis.waiverSummary.file) console.log(`   🛂 ${analysis.waiverSummary.file}: ${analysis.acceptedRisks.length} accepted risks, ${analysis.expiredWaivers.length} expired waivers.`);
+            console.log(`   🧮 Risk score ${analysis.riskScore}/100 -> grade ${grade}`);
+            console.log(`   ⚖️ License policy '${analysis.policy}': ${analysis.viralLicenses.length} denied, ${analysis.licenseReviewCount} for review.`);
+            console.log(`   📚 License inventory: ${analysis.packages.length} packages under ${analysis.licenseInventory.length} licenses.`);
+
+            // 6. BASELINE (previous scan of another commit, for "Changes since last scan")
+            let baseline = null;
             try {
-                await runCommand('git', ['clone', '--depth', '1', authRepo, repoDir]);
-                await runCommand('gitleaks', [
-                    'detect', 
-                    `--source=${repoDir}`, 
-                    `--report-path=${leaksPath}`, 
-                    '--no-banner', 
-                    '--exit-code=0'
-                ]);
-                
-                if (fs.existsSync(leaksPath)) {
-                    const file = fs.readFileSync(leaksPath, 'utf8');
-                    gitleaksResults = JSON.parse(file);
-                    console.log(`   ⚠️ Found ${gitleaksResults.length} secrets.`);
-                }
-            } catch (e) { console.error("   Gitleaks Error:", e.message); }
-
-            // 5. GRADING & PDF
-            let viralLicenses = [];
-            let criticalVulns = [];
-            if (scanResults.Results) {
-                scanResults.Results.forEach(target => {
-                    if (target.Licenses) {
-                        target.Licenses.forEach(lic => {
-                            if (['AGPL', 'GPL', 'SSPL'].some(bad => lic.Name.includes(bad))) {
-                                viralLicenses.push({ pkg: lic.PkgName, license: lic.Name });
-                            }
-                        });
-                    }
-                    if (target.Vulnerabilities) {
-                         target.Vulnerabilities.forEach(vuln => {
-                            if (vuln.Severity === 'CRITICAL') criticalVulns.push(vuln);
-                         });
-                    }
+                baseline = await timer.time('baseline', async () => {
+                    const current = await stores.scans.getScan(scanId);
+                    // A monitoring re-grade compares with the result it replaces.
+                    const previous = current && (current.regrade_of
+                        ? await stores.scans.getScan(current.regrade_of)
+                        : await stores.scans.findPreviousScan({ repoUrl: repo, before: current.created_at, excludeCommit: currentHash, owner: scanOwner(current) }));
+                    return previous ? { scan: previous, findings: await loadAllFindings(stores.scans, previous) } : null;
                 });
-            }
-            if (viralLicenses.length > 0 || gitleaksResults.length > 0) grade = 'F';
-            else if (criticalVulns.length > 0) grade = 'C';
+                if (baseline) console.log(`   🔀 Comparing with previous scan ${baseline.scan.id}`);
+            } catch (e) { console.log("   Baseline warning:", e.message); }
 
+            // 7. ATTESTATION, PDF, SARIF, VEX, SPDX & THIRD_PARTY_NOTICES
             console.log("   🎨 Generating PDF...");
-            const generationData = { grade, viral_licenses: viralLicenses, critical_vulns: criticalVulns, leaked_secrets: gitleaksResults };
-            const pdfBuffer = await generateCertificate(generationData, scanId, repo);
-            const fileName = `${scanId}.pdf`;
-            await supabase.storage.from('audits').upload(fileName, pdfBuffer, { contentType: 'application/pdf', upsert: true });
-            const pdfUrl = `${cleanSupabaseUrl}/storage/v1/object/public/audits/${fileName}`;
-
-            // 6. FINAL UPDATE
-            await supabase.from('scans').update({ 
+            if (!attestation.isSigningEnabled()) console.log("   ⚠️ ATTESTATION_SIGNING_KEY not set, certificate will be unsigned.");
+            const { findingRows, signedAttestation, pdf, sarif, vex: vexDocument, spdx, notices } = await timer.time('render', () => engine.renderArtifacts({ scanId, repo, commitHash: currentHash, analysis, baseline }));
+
+            const { pdfPath, sarifPath, vexPath, spdxPath, noticesPath } = await timer.time('upload', async () => {
+                if (sbomPath) {
+                    try {
+                        sbomObject = await stores.artifacts.upload(`sbom_${scanId}.json`, fs.readFileSync(sbomPath), 'application/json');
+                    } catch (e) { console.log("   SBOM upload failed:", e.message); }
+                }
+                const pdfPath = await stores.artifacts.upload(`${scanId}.pdf`, pdf, 'application/pdf');
+
+                console.log("   🧾 Exporting SARIF...");
+                let sarifPath = null;
+                try {
+                    sarifPath = await stores.artifacts.upload(`sarif_${scanId}.json`, Buffer.from(JSON.stringify(sarif)), 'application/sarif+json');
+                } catch (e) { console.log("   SARIF failed:", e.message); }
+
+                let vexPath = null;
+                try {
+                    vexPath = await stores.artifacts.upload(`vex_${scanId}.json`, Buffer.from(JSON.stringify(vexDocument, null, 2)), 'application/json');
+                } catch (e) { console.log("   VEX export failed:", e.message); }
+
+                console.log("   📚 Exporting SPDX SBOM & third-party notices...");
+                let spdxPath = null;
+                try {
+                    spdxPath = await stores.artifacts.upload(`spdx_${scanId}.json`, Buffer.from(JSON.stringify(spdx, null, 2)), 'application/spdx+json');
+                } catch (e) { console.log("   SPDX export failed:", e.message); }
+                let noticesPath = null;
+                try {
+                    noticesPath = await stores.artifacts.upload(`notices_${scanId}.txt`, Buffer.from(notices), 'text/plain; charset=utf-8');
+                } catch (e) { console.log("   Notices export failed:", e.message); }
+                return { pdfPath, sarifPath, vexPath, spdxPath, noticesPath };
+            });
+
+            // 8. PERSIST FINDINGS
+            await timer.time('persist', () => stores.scans.replaceFindings(scanId, findingRows));
+            console.log(`   🗂️ Stored ${findingRows.length} findings.`);
+
+            // 9. FINAL UPDATE (a cancel that arrived while uploading still wins)
+            job.checkpoint();
+            await stores.scans.updateScan(scanId, { 
                 status: "COMPLETED", 
                 risk_grade: grade,    
-                pdf_url: pdfUrl,
-                sbom_url: sbomUrl,
+                risk_score: analysis.riskScore,
+                grade_breakdown: analysis.gradeBreakdown,
+                pdf_path: pdfPath,
+                sbom_path: sbomObject,
+                sarif_path: sarifPath,
+                vex_path: vexPath,
+                spdx_path: spdxPath,
+                notices_path: noticesPath,
+                license_inventory: analysis.licenseInventory,
+                attestation: signedAttestation,
+                license_decisions: analysis.allFindings.licenseDecisions,
+                waiver_summary: analysis.waiverSummary,
+                vex_summary: analysis.vexSummary,
+                scanners: scanners.join(','),
+                scanner_runs: scannerRuns,
+                vuln_db_updated_at: dbInfo ? dbInfo.updated_at : null,
                 commit_hash: currentHash,
+                phase_timings: timer.finish(),
                 completed_at: new Date().toISOString()
-            }).eq('id', scanId);
+            });
 
-            console.log(`   ✅ Scan ${scanId} Finished (Grade: ${grade})`);
+            metrics.recordScanCompleted(timer.timings, grade);
+            console.log(`   ✅ Scan ${scanId} Finished (Grade: ${grade}) in ${timer.timings.total}ms`);
+            await notify(helpers, scanId, 'scan.completed', callbackSecret);
+            await settleBatch(helpers, batchId);
 
         } catch (err) {
-            console.error(`   ❌ Worker Failed: ${err.message}`);
+            if (job.cancelled) {
+                // The cancel endpoint already set CANCELLED; the job itself succeeded at stopping.
+                console.log(`   🛑 Scan ${scanId} cancelled.`);
+                metrics.scans.inc({ status: 'cancelled' });
+                await stores.scans.updateScan(scanId, { phase_timings: timer.finish() });
+                await notify(helpers, scanId, 'scan.cancelled', callbackSecret);
+                await settleBatch(helpers, batchId);
+                return;
+            }
+            const kind = jobs.classifyError(err);
+            // graphile-worker retries transient failures; the last attempt or a permanent failure is final.
+            const final = kind === 'permanent' || helpers.job.attempts >= helpers.job.max_attempts;
+            console.error(`   ❌ Worker Failed (${kind}${final ? '' : ', will retry'}): ${err.message}`);
             Sentry.captureException(err);
-            await supabase.from('scans').update({ status: 'ERROR', last_error: err.message }).eq('id', scanId);
+            await stores.scans.updateScan(scanId, final
+                ? { status: 'ERROR', last_error: err.message, error_kind: kind, phase_timings: timer.finish(), completed_at: new Date().toISOString() }
+                : { status: 'QUEUED', last_error: `Attempt ${helpers.job.attempts}/${helpers.job.max_attempts} failed: ${err.message}`, error_kind: kind, phase_timings: timer.finish() });
+            if (final) {
+                metrics.scans.inc({ status: 'failed' });
+                await notify(helpers, scanId, 'scan.failed', callbackSecret);
+                await settleBatch(helpers, batchId);
+            }
+            // Returning completes the job: nothing to retry after a permanent failure.
+            if (kind === 'permanent') return;
             throw err; 
         } finally {
-            try { if (fs.existsSync(jobDir)) fs.rmSync(jobDir, { recursive: true, force: true }); } catch(e) {}
+            try { fs.rmSync(jobDir, { recursive: true, force: true }); } catch(e) {}
+        }
+    }),
+
+    deliver_webhook: async (payload, helpers) => {
+        await webhooks.deliverWebhook(payload, { scanStore: stores.scans, addJob: helpers.addJob });
+    },
+
+    build_portfolio: async ({ batchId }) => {
+        const batch = await stores.scans.getBatch(batchId);
+        // A batch that was rejected or failed to queue has no scans left to report on.
+        if (!batch || ['REJECTED', 'FAILED'].includes(batch.status)) return;
+        console.log(`🗂️ WORKER: Building portfolio report for batch ${batchId}`);
+        const scans = await stores.scans.listBatchScans(batchId);
+        const entries = [];
+        // One scan's findings in memory at a time; only the summary is kept.
+        for (const scan of scans) {
+            const summary = scan.status === 'COMPLETED' ? summarizeFindings(await loadAllFindings(stores.scans, scan)) : null;
+            entries.push({ scan, summary });
+        }
+        const report = buildPortfolio(batch, entries);
+        const pdf = await generatePortfolioReport(report);
+        const pdfPath = await stores.artifacts.upload(`portfolio_${batchId}.pdf`, pdf, 'application/pdf');
+        await stores.scans.updateBatch(batchId, { status: 'COMPLETED', report, report_pdf_path: pdfPath, completed_at: new Date().toISOString() });
+        console.log(`   ✅ Portfolio ${batchId}: ${report.totals.completed}/${report.totals.repos} repositories graded.`);
+    },
+
+    // Cron (MONITOR_CRON): one re-evaluation job per monitored repo + ref.
+    monitor_sboms: async (payload, helpers) => {
+        const scans = await stores.scans.listMonitoredScans();
+        const due = scans.filter(s => !s.stale_at && artifactPath(s, 'sbom'));
+        for (const scan of due) {
+            await helpers.addJob('reevaluate_sbom', { scanId: scan.id }, { jobKey: `reevaluate_${scan.id}` });
+        }
+        console.log(`🛰️ MONITOR: Queued ${due.length} SBOM re-evaluations.`);
+    },
+
+    reevaluate_sbom: async ({ scanId }, helpers) => {
+        const scan = await stores.scans.getScan(scanId);
+        const sbomObject = scan && artifactPath(scan, 'sbom');
+        if (!scan || scan.status !== 'COMPLETED' || scan.stale_at || !sbomObject) return;
+
+        const workDir = jobs.createWorkDir('monitor', scanId);
+        try {
+            const sbomPath = path.join(workDir, 'sbom.json');
+            fs.writeFileSync(sbomPath, await stores.artifacts.download(sbomObject));
+            const report = await monitor.matchSbom(sbomPath, workDir);
+            const newVulns = monitor.findNewVulnerabilities(report, await loadAllFindings(stores.scans, scan));
+            const now = new Date().toISOString();
+            await stores.scans.updateScan(scan.id, { last_monitored_at: now });
+            if (!newVulns.length) return;
+            console.log(`🛰️ MONITOR: ${newVulns.length} new vulnerabilities in ${scan.repo_url} @ ${scan.commit_hash}`);
+
+            // Re-grade the same commit. Credentials are never stored, so private repositories are
+            // re-graded by their next requested scan instead (the stale result is no longer cached).
+            // A re-grade counts against the organization's quota like any other scan; over it, the
+            // scan is still marked stale and the next requested scan re-grades it.
+            let regrade = null;
+            if (!scan.private_repo) {
+                const { claimed, exceeded } = await claimWithinQuota(stores.scans, scan.org_id,
+                    () => stores.scans.createScan({ repo_url: scan.repo_url, user_id: scan.user_id, org_id: scan.org_id, git_ref: scan.git_ref, commit_hash: scan.commit_hash, license_policy: scan.license_policy, scanners: scan.scanners, vex_documents: scan.vex_documents, monitored: true, regrade_of: scan.id, status: 'QUEUED', scanner_version: engine.SCANNER_VERSION, created_at: now }),
+                    (created) => stores.scans.deleteScans([created.id]),
+                    (created) => helpers.addJob('scan_repo', { repo: scan.repo_url, ref: scan.commit_hash, scanId: created.id, userId: scan.user_id, policy: scan.license_policy, scanners: scan.scanners, vex: scan.vex_documents || [], force: true }, jobs.scanJobOptions(created.id)));
+                if (exceeded) {
+                    console.log(`   ⏸️ MONITOR: No re-grade for ${scan.repo_url}: ${exceeded.error}`);
+                } else {
+                    regrade = claimed;
+                    metrics.scans.inc({ status: 'queued' });
+                }
+            }
+            await stores.scans.markStale(scan.cached_from || scan.id, {
+                stale_at: now,
+                stale_findings: {
+                    detected_at: now,
+                    vuln_db: await monitor.getVulnDbInfo(),
+                    new_vulnerabilities: newVulns,
+                    regrade_scan_id: regrade ? regrade.id : null,
+                },
+            });
+            await notify(helpers, scan.id, 'scan.stale');
+        } finally {
+            fs.rmSync(workDir, { recursive: true, force: true });
         }
     }
 };
 
 async function startWorker() {
-    if (!connectionString) { console.error("❌ MISSING DATABASE_URL!"); return; }
+    if (!connectionString) { console.error("❌ MISSING DATABASE_URL!"); workerState.error = 'DATABASE_URL is not set'; return; }
+    const orphans = jobs.cleanupOrphanedWorkDirs();
+    if (orphans) console.log(`🧹 Removed ${orphans} orphaned scan workspaces.`);
     console.log("🚜 Starting Job Worker...");
-    await run({ connectionString, concurrency: 2, pollInterval: 1000, taskList });
+    const runner = await run({ connectionString, concurrency: 2, pollInterval: 1000, taskList, crontab: `${monitor.monitorCron()} monitor_sboms` });
+    Object.assign(workerState, { running: true, error: null });
+    runner.promise.then(
+        () => Object.assign(workerState, { running: false, error: 'Job worker stopped' }),
+        (e) => Object.assign(workerState, { running: false, error: e.message })
+    );
+}
+
+// Who the scan belongs to comes from the credential (API key or user token), never from the body.
+function requireOrg(req, res, next) {
+    if (!req.user.orgId) return res.status(403).json({ error: 'Credential is not tied to an organization' });
+    const requested = (req.body && (req.body.orgId || req.body.org_id)) || req.query.org_id;
+    if (requested && String(requested) !== req.user.orgId) return res.status(403).json({ error: 'Credential does not belong to that organization' });
+    next();
 }
 
-app.post('/scan', async (req, res) => {
-    const { repo, token, userId } = req.body; 
+app.post('/scan', requireAuth(stores.scans, 'scans:write'), requireOrg, limiter, async (req, res) => {
+    const { repo, token, username, ssh_key: sshKey, provider, ref = 'HEAD', policy = 'default', monitor: monitored = false, callback_url: callbackUrl, callback_secret: callbackSecret } = req.body; 
+    const { id: userId, orgId } = req.user;
     if (!repo) return res.status(400).send('No repo provided');
+    const gitError = validateGitAuth({ repoUrl: repo, token, username, sshKey, provider }) || (ref !== 'HEAD' && validateRef(ref));
+    if (gitError) return res.status(400).json({ error: gitError });
+    const policyError = validatePolicy(policy);
+    if (policyError) return res.status(400).json({ error: policyError });
+    if (callbackUrl) {
+        const urlError = webhooks.validateWebhookUrl(callbackUrl);
+        if (urlError) return res.status(400).json({ error: `callback_url ${urlError}` });
+        if (!callbackSecret && !process.env.WEBHOOK_SIGNING_SECRET) return res.status(400).json({ error: 'callback_url needs a callback_secret to sign deliveries with' });
+    }
+    let scanners;
+    try { scanners = resolveScanners(req.body.scanners); } catch (e) { return res.status(400).json({ error: e.message }); }
+    // OpenVEX / CycloneDX VEX documents to apply on top of the ones in the repository.
+    const vex = req.body.vex ? [].concat(req.body.vex) : [];
+    const vexError = vex.length ? validateVexDocuments(vex) : null;
+    if (vexError) return res.status(400).json({ error: `vex: ${vexError}` });
     // rate limiter handles the 429 error automatically if they spam
+    try {
+        const exceeded = await checkScanQuota(stores.scans, orgId);
+        if (exceeded) {
+            res.set('Retry-After', String(exceeded.retryAfter));
+            return res.status(429).json({ error: exceeded.error, usage: exceeded.usage });
+        }
+    } catch (error) {
+        Sentry.captureException(error);
+        return res.status(500).json({ error: error.message });
+    }
+    if (!connectionString) {
+        const err = new Error("Server missing DATABASE_URL");
+        Sentry.captureException(err);
+        return res.status(500).json({ error: "Server missing DATABASE_URL" });
+    }
     console.log(`🚀 Request Queued for: ${repo}`);
+    let claim;
     try {
-        const { data: scanRecord, error } = await supabase
-            .from('scans')
-            .insert([{ repo_url: repo, user_id: userId, status: 'QUEUED', scanner_version: 'v12.2-Hardened', created_at: new Date().toISOString() }])
-            .select().single();
-        if (error) return res.status(500).send('Database Error');
-        if (connectionString) {
-            await quickAddJob({ connectionString }, "scan_repo", { repo, token, scanId: scanRecord.id, userId });
-            res.json({ message: "Scan Queued", scan_id: scanRecord.id, status: "QUEUED" });
+        // A job that cannot be queued deletes its scan again: a QUEUED row without a job would hold a quota slot forever.
+        claim = await claimWithinQuota(stores.scans, orgId,
+            () => stores.scans.createScan({ repo_url: repo, user_id: userId, org_id: orgId, callback_url: callbackUrl, git_ref: ref, monitored: monitored === true, private_repo: Boolean(token || sshKey), vex_documents: vex.length ? vex : null, license_policy: policy, scanners: scanners.join(','), status: 'QUEUED', scanner_version: engine.SCANNER_VERSION, created_at: new Date().toISOString() }),
+            (scan) => stores.scans.deleteScans([scan.id]),
+            (scan) => quickAddJob({ connectionString }, "scan_repo", { repo, token, username, sshKey, provider, ref, scanId: scan.id, userId, policy, scanners, callbackSecret, vex }, jobs.scanJobOptions(scan.id)));
+    } catch (error) {
+        console.error('Init Failed:', error.message);
+        Sentry.captureException(error);
+        return res.status(500).json({ error: error.message });
+    }
+    if (claim.exceeded) {
+        res.set('Retry-After', String(claim.exceeded.retryAfter));
+        return res.status(429).json({ error: claim.exceeded.error, usage: claim.exceeded.usage });
+    }
+    metrics.scans.inc({ status: 'queued' });
+    res.json({ message: "Scan Queued", scan_id: claim.claimed.id, status: "QUEUED" });
+});
+
+// --- 🛑 CANCEL / RETRY ---
+async function loadOwnScan(req, res) {
+    const scan = await stores.scans.getScan(req.params.id);
+    if (!scan || String(scan.org_id) !== req.user.orgId) {
+        res.status(404).json({ error: 'Scan not found' });
+        return null;
+    }
+    return scan;
+}
+
+app.post('/scan/:id/cancel', requireAuth(stores.scans, 'scans:write'), requireOrg, async (req, res) => {
+    try {
+        const scan = await loadOwnScan(req, res);
+        if (!scan) return;
+        // Only flips QUEUED / RUNNING scans, so a scan that finished meanwhile keeps its result.
+        const cancelled = await stores.scans.cancelScan(scan.id, { last_error: `Cancelled by ${req.user.id}` });
+        if (!cancelled) return res.status(409).json({ error: `Scan is already ${scan.status}`, status: scan.status });
+        // Running here: stop now. Elsewhere (or still queued): the job notices the status itself.
+        const stoppedHere = jobs.cancelJob(scan.id);
+        console.log(`🛑 Scan ${scan.id} cancelled${stoppedHere ? ', stopping its processes' : ''}`);
+        res.status(202).json({ scan_id: scan.id, status: 'CANCELLED' });
+    } catch (error) {
+        Sentry.captureException(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Body: credentials again for private repositories (they are never stored), optional callback_secret.
+app.post('/scan/:id/retry', requireAuth(stores.scans, 'scans:write'), requireOrg, limiter, async (req, res) => {
+    const { token, username, ssh_key: sshKey, provider, callback_secret: callbackSecret } = req.body || {};
+    try {
+        const scan = await loadOwnScan(req, res);
+        if (!scan) return;
+        if (!['ERROR', 'CANCELLED'].includes(scan.status)) return res.status(409).json({ error: 'Only failed or cancelled scans can be retried', status: scan.status });
+        if (scan.private_repo && !token && !sshKey) return res.status(400).json({ error: 'Private repository: send token or ssh_key again, credentials are never stored' });
+        const gitError = validateGitAuth({ repoUrl: scan.repo_url, token, username, sshKey, provider });
+        if (gitError) return res.status(400).json({ error: gitError });
+        if (scan.callback_url && !callbackSecret && !process.env.WEBHOOK_SIGNING_SECRET) return res.status(400).json({ error: 'This scan has a callback_url: send its callback_secret again' });
+        if (!connectionString) return res.status(500).json({ error: "Server missing DATABASE_URL" });
+
+        // A monitoring re-grade stays pinned to the commit it re-grades.
+        const ref = scan.regrade_of && scan.commit_hash ? scan.commit_hash : scan.git_ref || 'HEAD';
+        // Re-queued first, so it counts against the concurrent limit while the quota is checked; the previous
+        // status comes back when the quota is exceeded or the job cannot be queued.
+        const { exceeded } = await claimWithinQuota(stores.scans, req.user.orgId,
+            () => stores.scans.updateScan(scan.id, { status: 'QUEUED', last_error: null, error_kind: null, attempts: 0, cancelled_at: null, completed_at: null }),
+            () => stores.scans.updateScan(scan.id, { status: scan.status, last_error: scan.last_error, error_kind: scan.error_kind, attempts: scan.attempts, cancelled_at: scan.cancelled_at, completed_at: scan.completed_at }),
+            () => quickAddJob({ connectionString }, 'scan_repo', {
+                repo: scan.repo_url, token, username, sshKey, provider, ref, scanId: scan.id, userId: scan.user_id, batchId: scan.batch_id,
+                policy: scan.license_policy, scanners: scan.scanners, vex: scan.vex_documents || [], callbackSecret, force: Boolean(scan.regrade_of),
+            }, jobs.scanJobOptions(scan.id)));
+        if (exceeded) {
+            res.set('Retry-After', String(exceeded.retryAfter));
+            return res.status(429).json({ error: exceeded.error, usage: exceeded.usage });
+        }
+        metrics.scans.inc({ status: 'queued' });
+        console.log(`🔁 Scan ${scan.id} re-queued (was ${scan.status})`);
+        res.status(202).json({ scan_id: scan.id, status: 'QUEUED' });
+    } catch (error) {
+        Sentry.captureException(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// --- 🗂️ BATCH / PORTFOLIO SCANS ---
+// Body: { repos: ["https://...", { repo, ref }, ...] } or { org, provider: github|gitlab, include_forks, include_archived },
+// plus the POST /scan options shared by every repo (token, username, ssh_key, ref, policy, scanners).
+const BATCH_MAX_REPOS = parseInt(process.env.BATCH_MAX_REPOS, 10) || 200;
+
+app.post('/scan/batch', requireAuth(stores.scans, 'scans:write'), requireOrg, limiter, async (req, res) => {
+    const { repos, org, provider, token, username, ssh_key: sshKey, ref = 'HEAD', policy = 'default', monitor: monitored = false } = req.body || {};
+    const { id: userId, orgId } = req.user;
+    if (Boolean(repos) === Boolean(org)) return res.status(400).json({ error: 'Send either repos (a list) or org (with provider)' });
+    if (repos && (!Array.isArray(repos) || !repos.length)) return res.status(400).json({ error: 'repos must be a non-empty list' });
+    if (org && !ORG_PROVIDERS.includes(provider)) return res.status(400).json({ error: `provider must be one of ${ORG_PROVIDERS.join(', ')}` });
+    const policyError = validatePolicy(policy);
+    if (policyError) return res.status(400).json({ error: policyError });
+    let scanners;
+    try { scanners = resolveScanners(req.body.scanners); } catch (e) { return res.status(400).json({ error: e.message }); }
+
+    let targets;
+    if (repos) {
+        targets = repos.map(r => (typeof r === 'string' ? { repo: r, ref } : { repo: r && r.repo, ref: (r && r.ref) || ref }));
+    } else {
+        try {
+            const listed = await listOrgRepos({
+                provider, org: String(org), token,
+                includeForks: req.body.include_forks === true,
+                includeArchived: req.body.include_archived === true,
+                max: BATCH_MAX_REPOS,
+            });
+            if (listed.truncated) return res.status(400).json({ error: `${org} has more than ${BATCH_MAX_REPOS} repositories; send an explicit repos list instead` });
+            targets = listed.repos.map(r => ({ repo: r.repo, ref }));
+        } catch (error) {
+            return res.status(502).json({ error: `Could not list the repositories of ${org}: ${error.message}` });
+        }
+        if (!targets.length) return res.status(400).json({ error: `${org} has no repositories to scan` });
+    }
+    // The same repo + ref twice would just be graded twice.
+    targets = [...new Map(targets.map(t => [`${t.repo}#${t.ref}`, t])).values()];
+    if (targets.length > BATCH_MAX_REPOS) return res.status(400).json({ error: `A batch holds at most ${BATCH_MAX_REPOS} repositories` });
+    const invalid = targets
+        .map(t => ({ repo: t.repo, error: typeof t.repo !== 'string' ? 'repo is required' : validateGitAuth({ repoUrl: t.repo, token, username, sshKey }) || (t.ref !== 'HEAD' && validateRef(t.ref)) }))
+        .filter(t => t.error);
+    if (invalid.length) return res.status(400).json({ error: 'Some repositories are invalid', invalid });
+
+    try {
+        const exceeded = await checkScanQuota(stores.scans, orgId, targets.length);
+        if (exceeded) {
+            res.set('Retry-After', String(exceeded.retryAfter));
+            return res.status(429).json({ error: `${exceeded.error} (batch needs ${targets.length})`, usage: exceeded.usage });
+        }
+    } catch (error) {
+        Sentry.captureException(error);
+        return res.status(500).json({ error: error.message });
+    }
+    if (!connectionString) return res.status(500).json({ error: "Server missing DATABASE_URL" });
+
+    console.log(`🚀 Batch of ${targets.length} repositories queued for org ${orgId}`);
+    let batch;
+    let workerUtils;
+    const queued = [];
+    try {
+        const source = org ? { type: 'org', provider, org: String(org) } : { type: 'list' };
+        batch = await stores.scans.createBatch({ org_id: orgId, user_id: userId, source, status: 'RUNNING', total: targets.length, created_at: new Date().toISOString() });
+        // Every scan of the batch is created before the quota check and queued inside the claim. Over quota
+        // the batch is REJECTED; when a scan cannot be created or queued it FAILED. Either way every scan
+        // goes away again: jobs already queued find no scan and stop.
+        const { exceeded } = await claimWithinQuota(stores.scans, orgId,
+            async () => {
+                const created = [];
+                try {
+                    for (const target of targets) {
+                        created.push(await stores.scans.createScan({ repo_url: target.repo, user_id: userId, org_id: orgId, batch_id: batch.id, git_ref: target.ref, monitored: monitored === true, private_repo: Boolean(token || sshKey), license_policy: policy, scanners: scanners.join(','), status: 'QUEUED', scanner_version: engine.SCANNER_VERSION, created_at: new Date().toISOString() }));
+                    }
+                } catch (error) {
+                    await stores.scans.deleteScans(created.map(s => s.id));
+                    throw error;
+                }
+                return created;
+            },
+            async (created, reason) => {
+                await stores.scans.deleteScans(created.map(s => s.id));
+                await stores.scans.updateBatch(batch.id, { status: reason === 'quota' ? 'REJECTED' : 'FAILED', completed_at: new Date().toISOString() });
+            },
+            async (records) => {
+                workerUtils = await makeWorkerUtils({ connectionString });
+                for (const [i, target] of targets.entries()) {
+                    const scanRecord = records[i];
+                    await workerUtils.addJob('scan_repo', { repo: target.repo, token, username, sshKey, provider, ref: target.ref, scanId: scanRecord.id, userId, batchId: batch.id, policy, scanners }, jobs.scanJobOptions(scanRecord.id));
+                    queued.push({ scan_id: scanRecord.id, repo: target.repo, ref: target.ref });
+                }
+            });
+        if (exceeded) {
+            res.set('Retry-After', String(exceeded.retryAfter));
+            return res.status(429).json({ error: `${exceeded.error} (batch needs ${targets.length})`, usage: exceeded.usage });
+        }
+        metrics.scans.inc({ status: 'queued' }, queued.length);
+        res.status(202).json({ message: "Batch Queued", batch_id: batch.id, total: queued.length, scans: queued });
+    } catch (error) {
+        console.error('Batch Init Failed:', error.message);
+        Sentry.captureException(error);
+        // A failure before the claim (no scans yet) still closes the batch.
+        if (batch) await stores.scans.updateBatch(batch.id, { status: 'FAILED', completed_at: new Date().toISOString() }).catch(() => {});
+        res.status(500).json({ error: error.message });
+    } finally {
+        if (workerUtils) await workerUtils.release();
+    }
+});
+
+async function loadOwnBatch(req, res) {
+    const batch = await stores.scans.getBatch(req.params.id);
+    if (!batch || String(batch.org_id) !== req.user.orgId) {
+        res.status(404).json({ error: 'Batch not found' });
+        return null;
+    }
+    return batch;
+}
+
+app.get('/batch/:id', requireAuth(stores.scans, 'scans:read'), async (req, res) => {
+    try {
+        const batch = await loadOwnBatch(req, res);
+        if (!batch) return;
+        const scans = await stores.scans.listBatchScans(batch.id);
+        const progress = {};
+        scans.forEach(s => { progress[s.status] = (progress[s.status] || 0) + 1; });
+        res.json({
+            id: batch.id,
+            org_id: batch.org_id,
+            source: batch.source,
+            status: batch.status,
+            total: batch.total,
+            progress,
+            created_at: batch.created_at,
+            completed_at: batch.completed_at,
+            report_url: batch.report ? `/batch/${batch.id}/report` : null,
+            report_pdf_url: batch.report_pdf_path ? `/batch/${batch.id}/report.pdf` : null,
+            scans: scans.map(publicScan),
+        });
+    } catch (error) {
+        Sentry.captureException(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/batch/:id/report', requireAuth(stores.scans, 'scans:read'), async (req, res) => {
+    try {
+        const batch = await loadOwnBatch(req, res);
+        if (!batch) return;
+        if (!batch.report) return res.status(409).json({ error: 'Portfolio report is not ready yet', status: batch.status });
+        res.json(batch.report);
+    } catch (error) {
+        Sentry.captureException(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/batch/:id/report.pdf', requireAuth(stores.scans, 'scans:read'), async (req, res) => {
+    try {
+        const batch = await loadOwnBatch(req, res);
+        if (!batch) return;
+        if (!batch.report_pdf_path) return res.status(409).json({ error: 'Portfolio report is not ready yet', status: batch.status });
+        const url = await stores.artifacts.signedUrl(batch.report_pdf_path, urlTtlSeconds(), { downloadName: `code-passport-portfolio-${batch.id}.pdf` });
+        res.set('Cache-Control', 'no-store');
+        if (req.query.redirect === 'false') return res.json({ url, expires_in: urlTtlSeconds() });
+        res.redirect(302, url);
+    } catch (error) {
+        Sentry.captureException(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// --- 📡 READ API ---
+const SCAN_FIELDS = ['id', 'repo_url', 'org_id', 'batch_id', 'callback_url', 'status', 'risk_grade', 'risk_score', 'grade_breakdown', 'git_ref', 'commit_hash', 'license_policy', 'scanners', 'scanner_runs', 'phase_timings', 'monitored', 'vuln_db_updated_at', 'last_monitored_at', 'stale_at', 'stale_findings', 'regrade_of', 'vex_summary', 'license_inventory', 'attempts', 'error_kind', 'cancelled_at', 'last_error', 'cached_from', 'created_at', 'completed_at'];
+const SEVERITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'UNKNOWN'];
+const FINDING_TYPES = ['vulnerability', 'misconfiguration', 'license', 'secret'];
+
+function parsePagination(query) {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 500);
+    return { page, limit, from: (page - 1) * limit, to: page * limit - 1 };
+}
+
+// Artifact links point at the authenticated download endpoint, never at storage.
+function publicScan(scan) {
+    return {
+        ...Object.fromEntries(SCAN_FIELDS.map(f => [f, scan[f] === undefined ? null : scan[f]])),
+        ...artifactLinks(scan),
+    };
+}
+
+function parseList(value) {
+    if (!value) return [];
+    return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+// --- 🔒 SCAN READS ---
+// Every read is limited to the scan's owner and the members of its organization.
+const readScans = requireAuth(stores.scans, 'scans:read');
+
+function canAccessScan(user, scan) {
+    const isOwner = scan.user_id && String(scan.user_id) === user.id;
+    const isOrgMember = scan.org_id && user.orgId && String(scan.org_id) === user.orgId;
+    return Boolean(isOwner || isOrgMember);
+}
+
+// A "previous scan" of the same repository must come from the same organization (or user).
+function scanOwner(scan) {
+    return { orgId: scan.org_id ? String(scan.org_id) : null, userId: scan.user_id ? String(scan.user_id) : null };
+}
+
+async function loadReadableScan(req, res, id = req.params.id) {
+    const scan = await stores.scans.getScan(id);
+    if (!scan) {
+        res.status(404).json({ error: 'Scan not found' });
+        return null;
+    }
+    if (!canAccessScan(req.user, scan)) {
+        res.status(403).json({ error: 'You do not have access to this scan' });
+        return null;
+    }
+    return scan;
+}
+
+app.get('/scan/:id', readScans, async (req, res) => {
+    try {
+        const scan = await loadReadableScan(req, res);
+        if (!scan) return;
+        res.json(publicScan(scan));
+    } catch (error) {
+        Sentry.captureException(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Ownership check, then a redirect to a short-lived signed URL of the private object.
+app.get('/scan/:id/artifacts/:type', readScans, async (req, res) => {
+    if (!Object.hasOwn(ARTIFACT_TYPES, req.params.type)) return res.status(400).json({ error: `type must be one of ${Object.keys(ARTIFACT_TYPES).join(', ')}` });
+    try {
+        const scan = await loadReadableScan(req, res);
+        if (!scan) return;
+        const spec = ARTIFACT_TYPES[req.params.type];
+        const objectPath = artifactPath(scan, req.params.type);
+        if (!objectPath) return res.status(404).json({ error: `Scan has no ${req.params.type} artifact` });
+
+        const url = await stores.artifacts.signedUrl(objectPath, urlTtlSeconds(), { downloadName: spec.filename(scan.id) });
+        res.set('Cache-Control', 'no-store');
+        // ?redirect=false: browser apps that can't attach the Authorization header to a plain link.
+        if (req.query.redirect === 'false') return res.json({ url, expires_in: urlTtlSeconds() });
+        res.redirect(302, url);
+    } catch (error) {
+        Sentry.captureException(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/scan/:id/findings', readScans, async (req, res) => {
+    const severities = parseList(req.query.severity).map(s => s.toUpperCase());
+    const types = parseList(req.query.type).map(t => t.toLowerCase());
+    const { suppressed } = req.query;
+    if (suppressed !== undefined && !['true', 'false'].includes(suppressed)) return res.status(400).json({ error: 'suppressed must be true or false' });
+    if (severities.some(s => !SEVERITIES.includes(s))) return res.status(400).json({ error: `severity must be one of ${SEVERITIES.join(', ')}` });
+    if (types.some(t => !FINDING_TYPES.includes(t))) return res.status(400).json({ error: `type must be one of ${FINDING_TYPES.join(', ')}` });
+    const { page, limit, from, to } = parsePagination(req.query);
+
+    try {
+        const scan = await loadReadableScan(req, res);
+        if (!scan) return;
+
+        // Cache hits share the findings of the scan they were copied from.
+        const { findings, total } = await stores.scans.listFindings(scan.cached_from || scan.id, {
+            severities,
+            types,
+            suppressed: suppressed === undefined ? undefined : suppressed === 'true',
+            from,
+            to,
+        });
+        res.json({ scan_id: scan.id, status: scan.status, page, limit, total, findings });
+    } catch (error) {
+        Sentry.captureException(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Diff against ?base=<scan id>, or by default the previous completed scan of another commit.
+app.get('/scan/:id/diff', readScans, async (req, res) => {
+    try {
+        const head = await loadReadableScan(req, res);
+        if (!head) return;
+        if (head.status !== 'COMPLETED') return res.status(409).json({ error: `Scan is ${head.status}, not COMPLETED` });
+
+        let base;
+        if (req.query.base) {
+            base = await stores.scans.getScan(req.query.base);
+            if (!base || !canAccessScan(req.user, base)) return res.status(404).json({ error: 'Base scan not found' });
+            if (base.repo_url !== head.repo_url) return res.status(400).json({ error: 'Base scan is for a different repository' });
+            if (base.status !== 'COMPLETED') return res.status(409).json({ error: `Base scan is ${base.status}, not COMPLETED` });
         } else {
-            const err = new Error("Server missing DATABASE_URL");
-            Sentry.captureException(err);
-            res.status(500).json({ error: "Server missing DATABASE_URL" });
+            base = await stores.scans.findPreviousScan({ repoUrl: head.repo_url, before: head.created_at, excludeCommit: head.commit_hash, owner: scanOwner(head) });
+            if (!base) return res.status(404).json({ error: 'No previous completed scan of this repository to compare with' });
         }
+
+        const [baseFindings, headFindings] = await Promise.all([
+            loadAllFindings(stores.scans, base),
+            loadAllFindings(stores.scans, head),
+        ]);
+        res.json(diffScans({ scan: base, findings: baseFindings }, { scan: head, findings: headFindings }));
+    } catch (error) {
+        Sentry.captureException(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/scans', readScans, async (req, res) => {
+    const { repo } = req.query;
+    if (!repo) return res.status(400).json({ error: 'repo query parameter is required' });
+    const { page, limit, from, to } = parsePagination(req.query);
+
+    try {
+        const { scans, total } = await stores.scans.listScans({ repoUrl: repo, owner: { orgId: req.user.orgId, userId: req.user.id }, from, to });
+        res.json({ repo, page, limit, total, scans: scans.map(publicScan) });
+    } catch (error) {
+        Sentry.captureException(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/scan/:id/deliveries', readScans, async (req, res) => {
+    try {
+        const scan = await loadReadableScan(req, res);
+        if (!scan) return;
+        res.json({ scan_id: scan.id, deliveries: await stores.scans.listDeliveries(scan.id) });
+    } catch (error) {
+        Sentry.captureException(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// --- 📣 ORG WEBHOOKS ---
+function publicWebhook({ secret, ...hook }) {
+    return hook;
+}
+
+const manageWebhooks = [requireAuth(stores.scans, 'webhooks:manage'), requireOrg];
+
+app.post('/webhooks', manageWebhooks, async (req, res) => {
+    const { url, events = webhooks.EVENTS } = req.body || {};
+    const { orgId } = req.user;
+    const urlError = webhooks.validateWebhookUrl(url);
+    if (urlError) return res.status(400).json({ error: `url ${urlError}` });
+    if (!Array.isArray(events) || !events.length || events.some(e => !webhooks.EVENTS.includes(e))) {
+        return res.status(400).json({ error: `events must be a list of ${webhooks.EVENTS.join(', ')}` });
+    }
+    try {
+        const hook = await stores.scans.createWebhook({ org_id: orgId, url, events, secret: webhooks.generateSecret(), active: true });
+        // The secret is only ever returned here.
+        res.status(201).json(hook);
+    } catch (error) {
+        Sentry.captureException(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/webhooks', manageWebhooks, async (req, res) => {
+    try {
+        const hooks = await stores.scans.listWebhooks({ orgId: req.user.orgId });
+        res.json({ org_id: req.user.orgId, webhooks: hooks.map(publicWebhook) });
+    } catch (error) {
+        Sentry.captureException(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/webhooks/:id', manageWebhooks, async (req, res) => {
+    try {
+        const hook = await stores.scans.getWebhook(req.params.id);
+        if (!hook || String(hook.org_id) !== req.user.orgId) return res.status(404).json({ error: 'Webhook not found' });
+        const deleted = await stores.scans.deleteWebhook(hook.id);
+        if (!deleted) return res.status(404).json({ error: 'Webhook not found' });
+        res.sendStatus(204);
+    } catch (error) {
+        Sentry.captureException(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// --- 🔑 API KEYS & USAGE ---
+function publicApiKey({ key_hash, ...key }) {
+    return key;
+}
+
+const manageKeys = [requireAuth(stores.scans, 'keys:manage'), requireOrg];
+
+app.post('/api-keys', manageKeys, async (req, res) => {
+    const { name, scopes = DEFAULT_KEY_SCOPES } = req.body || {};
+    if (!name || typeof name !== 'string') return res.status(400).json({ error: 'name is required' });
+    if (!Array.isArray(scopes) || !scopes.length || scopes.some(s => !SCOPES.includes(s))) {
+        return res.status(400).json({ error: `scopes must be a list of ${SCOPES.join(', ')}` });
+    }
+    // A key can never grant more than the credential that creates it.
+    const missing = scopes.filter(s => !req.user.scopes.includes(s));
+    if (missing.length) return res.status(403).json({ error: `Cannot grant scopes you do not hold: ${missing.join(', ')}` });
+    try {
+        const { key, key_prefix, key_hash } = generateApiKey();
+        const record = await stores.scans.createApiKey({ org_id: req.user.orgId, user_id: req.user.id, name, key_prefix, key_hash, scopes });
+        // The plaintext key is only ever returned here.
+        res.status(201).json({ ...publicApiKey(record), key });
+    } catch (error) {
+        Sentry.captureException(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api-keys', manageKeys, async (req, res) => {
+    try {
+        const keys = await stores.scans.listApiKeys({ orgId: req.user.orgId });
+        res.json({ org_id: req.user.orgId, api_keys: keys.map(publicApiKey) });
+    } catch (error) {
+        Sentry.captureException(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api-keys/:id', manageKeys, async (req, res) => {
+    try {
+        const revoked = await stores.scans.revokeApiKey(req.params.id, { orgId: req.user.orgId });
+        if (!revoked) return res.status(404).json({ error: 'API key not found' });
+        res.sendStatus(204);
+    } catch (error) {
+        Sentry.captureException(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/usage', requireAuth(stores.scans, 'scans:read'), requireOrg, async (req, res) => {
+    try {
+        res.json({ org_id: req.user.orgId, ...(await getQuotaUsage(stores.scans, req.user.orgId)) });
+    } catch (error) {
+        Sentry.captureException(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/scanners', (req, res) => {
+    res.json({ scanners: listScanners(), default: resolveScanners() });
+});
+
+// --- 🔏 VERIFICATION API ---
+app.get('/verify/keys', (req, res) => {
+    res.json({ keys: attestation.listPublicKeys() });
+});
+
+app.get('/verify/:scanId', async (req, res) => {
+    try {
+        const scan = await stores.scans.getScan(req.params.scanId);
+        if (!scan) return res.status(404).json({ error: 'Scan not found' });
+        if (!scan.attestation) return res.status(404).json({ scan_id: scan.id, valid: false, reason: 'Scan has no signed attestation' });
+
+        const result = attestation.verifyAttestation(scan.attestation);
+        // A valid signature over outdated vulnerability data is still worth flagging to the verifier.
+        const stale = scan.stale_at ? { stale_at: scan.stale_at, regrade_scan_id: (scan.stale_findings || {}).regrade_scan_id || null } : null;
+        res.json({ scan_id: scan.id, ...result, stale, attestation: scan.attestation.attestation });
+    } catch (error) {
+        Sentry.captureException(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/verify', async (req, res) => {
+    const result = attestation.verifyAttestation(req.body);
+    if (!result.valid) return res.status(400).json(result);
+
+    // A valid signature is not enough on its own: it must also be the one we issued for that scan.
+    try {
+        const scanId = req.body.attestation.scan_id;
+        const scan = await stores.scans.getScan(scanId);
+        const matchesRecord = Boolean(scan && scan.attestation && scan.attestation.signature === req.body.signature);
+        res.json({ ...result, scan_id: scanId, matches_record: matchesRecord });
     } catch (error) {
-        console.error('Init Failed:', error.message);
         Sentry.captureException(error);
         res.status(500).json({ error: error.message });
     }
 });
 
 app.use(Sentry.Handlers.errorHandler());
-setInterval(() => { if (process.env.RENDER_EXTERNAL_URL) fetch(`${process.env.RENDER_EXTERNAL_URL}/`).catch(()=>{}); }, 14 * 60 * 1000);
-const PORT = process.env.PORT || 8080;
-app.listen(PORT, () => {
-    console.log(`Receptionist running on ${PORT}`);
-    startWorker().catch(e => { console.error("Worker failed to start:", e); Sentry.captureException(e); });
-});
\ No newline at end of file
+
+// `node scan.js` serves and runs the worker; tests require the app (and its stores) without either.
+if (require.main === module) {
+    setInterval(() => { if (process.env.RENDER_EXTERNAL_URL) fetch(`${process.env.RENDER_EXTERNAL_URL}/healthz`).catch(()=>{}); }, 14 * 60 * 1000);
+    const PORT = process.env.PORT || 8080;
+    app.listen(PORT, () => {
+        console.log(`Receptionist running on ${PORT}`);
+        startWorker().catch(e => { console.error("Worker failed to start:", e); workerState.error = e.message; Sentry.captureException(e); });
+    });
+}
+
+module.exports = { app, stores };
\ No newline at end of file
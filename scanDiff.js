@@ -0,0 +1,115 @@
+// --- 🔀 SCAN DIFF ---
+// Compares the stored findings of two scans of the same repository. Waived (suppressed)
+// findings are left out on both sides: the diff explains grade changes, and they aren't graded.
+
+const GRADE_RANK = { A: 0, B: 1, C: 2, D: 3, F: 4 };
+const FINDINGS_PAGE = 1000;
+
+// What makes two findings "the same" across commits (line numbers move, versions get bumped).
+const IDENTITY = {
+    vulnerability: f => [f.rule_id, f.package, f.file],
+    misconfiguration: f => [f.rule_id, f.file],
+    secret: f => [f.rule_id, f.file, f.details && f.details.masked_secret],
+    license: f => [f.rule_id, f.package],
+};
+
+function findingKey(finding) {
+    const identity = IDENTITY[finding.type] || (f => [f.rule_id, f.package, f.file, f.line]);
+    return `${finding.type}|${identity(finding).map(v => v ?? '').join('|')}`;
+}
+
+function indexFindings(findings) {
+    const index = new Map();
+    (findings || []).filter(f => !f.suppressed).forEach(f => index.set(findingKey(f), f));
+    return index;
+}
+
+function scanSummary(scan) {
+    return {
+        id: scan.id,
+        commit_hash: scan.commit_hash || null,
+        grade: scan.risk_grade || scan.grade || null,
+        risk_score: scan.risk_score ?? null,
+        completed_at: scan.completed_at || null,
+    };
+}
+
+function gradeChange(from, to) {
+    if (!from || !to || !(from in GRADE_RANK) || !(to in GRADE_RANK)) return { from, to, direction: 'unknown' };
+    const delta = GRADE_RANK[to] - GRADE_RANK[from];
+    return { from, to, direction: delta === 0 ? 'unchanged' : delta < 0 ? 'improved' : 'regressed' };
+}
+
+/**
+ * Diffs the findings of two scans
+ * @param {Object} base - { scan, findings } (the older scan)
+ * @param {Object} head - { scan, findings } (the newer scan)
+ * @returns {Object} - Grade/score change plus new, fixed and unchanged findings per type
+ */
+function diffScans(base, head) {
+    const before = indexFindings(base.findings);
+    const after = indexFindings(head.findings);
+
+    const added = [...after.entries()].filter(([key]) => !before.has(key)).map(([, f]) => f);
+    const removed = [...before.entries()].filter(([key]) => !after.has(key)).map(([, f]) => f);
+    const unchanged = [...after.entries()].filter(([key]) => before.has(key)).map(([, f]) => f);
+    const ofType = (list, type) => list.filter(f => f.type === type);
+
+    const baseSummary = scanSummary(base.scan);
+    const headSummary = scanSummary(head.scan);
+    const diff = {
+        base: baseSummary,
+        head: headSummary,
+        grade_change: gradeChange(baseSummary.grade, headSummary.grade),
+        score_change: baseSummary.risk_score !== null && headSummary.risk_score !== null
+            ? headSummary.risk_score - baseSummary.risk_score
+            : null,
+        vulnerabilities: {
+            new: ofType(added, 'vulnerability'),
+            fixed: ofType(removed, 'vulnerability'),
+            unchanged: ofType(unchanged, 'vulnerability'),
+        },
+        misconfigurations: {
+            new: ofType(added, 'misconfiguration'),
+            fixed: ofType(removed, 'misconfiguration'),
+            unchanged: ofType(unchanged, 'misconfiguration'),
+        },
+        licenses: {
+            new: ofType(added, 'license'),
+            removed: ofType(removed, 'license'),
+        },
+        secrets: {
+            new: ofType(added, 'secret'),
+            removed: ofType(removed, 'secret'),
+        },
+    };
+    diff.summary = {
+        new_vulnerabilities: diff.vulnerabilities.new.length,
+        fixed_vulnerabilities: diff.vulnerabilities.fixed.length,
+        unchanged_vulnerabilities: diff.vulnerabilities.unchanged.length,
+        new_misconfigurations: diff.misconfigurations.new.length,
+        fixed_misconfigurations: diff.misconfigurations.fixed.length,
+        new_licenses: diff.licenses.new.length,
+        new_secrets: diff.secrets.new.length,
+        removed_secrets: diff.secrets.removed.length,
+    };
+    return diff;
+}
+
+/**
+ * Loads every stored finding of a scan (cache hits read the findings of the scan they copied)
+ * @param {Object} scanStore - stores.scans
+ * @param {Object} scan - The scan record
+ * @returns {Promise<Array<Object>>}
+ */
+async function loadAllFindings(scanStore, scan) {
+    const scanId = scan.cached_from || scan.id;
+    const all = [];
+    for (let from = 0; ; from += FINDINGS_PAGE) {
+        const { findings, total } = await scanStore.listFindings(scanId, { from, to: from + FINDINGS_PAGE - 1 });
+        all.push(...findings);
+        if (findings.length < FINDINGS_PAGE || all.length >= total) return all;
+    }
+}
+
+module.exports = { diffScans, loadAllFindings, findingKey };
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const { isAbortError } = require('../commands');
+
+// --- 🧩 SCANNER ADAPTERS ---
+// Every adapter exports:
+//   name, displayName, informationUri, defaultEnabled
+//   isAvailable()              -> Promise<boolean>  (is the binary installed?)
+//   run(workspace, ctx)        -> Promise<raw>      (execute against the cloned workspace)
+//   parse(raw, ctx)            -> { results, secrets }
+// `results` use Trivy's report schema (Target + Vulnerabilities / Licenses / Misconfigurations) and
+// `secrets` use Gitleaks' finding schema: the two shapes the rest of the engine already speaks.
+//
+// A selected scanner that is missing or fails makes the whole run fail (IncompleteScanError):
+// grading without it would certify code nobody looked at.
+//
+// SCANNER_FIXTURES_DIR: when set, run() is replaced by reading <dir>/<name>.json, so the whole
+// pipeline can be exercised against recorded output without the real binaries.
+
+const ADAPTERS = [
+    require('./trivy'),
+    require('./gitleaks'),
+    require('./osv'),
+    require('./semgrep'),
+    require('./trivyConfig'),
+];
+const BY_NAME = new Map(ADAPTERS.map(a => [a.name, a]));
+
+function getScanner(name) {
+    return BY_NAME.get(name) || null;
+}
+
+function listScanners() {
+    return ADAPTERS.map(a => ({ name: a.name, display_name: a.displayName, default_enabled: a.defaultEnabled }));
+}
+
+/**
+ * Resolves the scanner selection of a request
+ * @param {Array<string>|string} [requested] - Names (array or comma list); default = DEFAULT_SCANNERS or the adapters' defaults
+ * @returns {Array<string>} - Sorted, de-duplicated names
+ * @throws {Error} - When a name is unknown
+ */
+function resolveScanners(requested) {
+    let names = requested;
+    if (!names || (Array.isArray(names) && names.length === 0)) {
+        names = process.env.DEFAULT_SCANNERS || ADAPTERS.filter(a => a.defaultEnabled).map(a => a.name);
+    }
+    if (typeof names === 'string') names = names.split(',');
+    const resolved = [...new Set(names.map(n => String(n).trim()).filter(Boolean))].sort();
+    const unknown = resolved.filter(n => !BY_NAME.has(n));
+    if (unknown.length) throw new Error(`Unknown scanner(s): ${unknown.join(', ')}. Available: ${[...BY_NAME.keys()].join(', ')}`);
+    return resolved;
+}
+
+/** Some selected scanners did not run; `runs` says which and why. */
+class IncompleteScanError extends Error {
+    constructor(runs) {
+        const missing = Object.entries(runs).filter(([, run]) => run.status !== 'ok');
+        super(`Selected scanners did not run: ${missing.map(([name, run]) => `${name} ${run.status} (${run.error})`).join(', ')}`);
+        this.name = 'IncompleteScanError';
+        this.runs = runs;
+    }
+}
+
+function vulnKey(vuln) {
+    return `${vuln.PkgName}|${vuln.InstalledVersion}|${vuln.VulnerabilityID}`;
+}
+
+/**
+ * Runs the selected adapters against a workspace and merges their normalized output
+ * @param {Array<string>} names - From resolveScanners()
+ * @param {string} workspace - The cloned repository
+ * @param {Object} ctx - { workDir, fixturesDir, log }
+ * @returns {Promise<Object>} - { report: { Results }, secrets, runs: { [name]: { status, findings, duration_ms, error } } }
+ * @throws {IncompleteScanError} - When a selected scanner was skipped or failed (after all of them had their turn)
+ */
+async function runScanners(names, workspace, { workDir, fixturesDir = process.env.SCANNER_FIXTURES_DIR, log = console.log } = {}) {
+    const results = [];
+    const secrets = [];
+    const runs = {};
+    const seenVulns = new Set();
+
+    for (const adapter of ADAPTERS.filter(a => names.includes(a.name))) {
+        const name = adapter.name;
+        const started = Date.now();
+        const fixture = fixturesDir ? path.join(fixturesDir, `${name}.json`) : null;
+        try {
+            let raw;
+            if (fixture) {
+                if (!fs.existsSync(fixture)) { runs[name] = { status: 'skipped', error: `No fixture at ${fixture}` }; continue; }
+                raw = JSON.parse(fs.readFileSync(fixture, 'utf8'));
+            } else {
+                if (!(await adapter.isAvailable())) {
+                    log(`   ⏭️ ${adapter.displayName} is not installed, skipping.`);
+                    runs[name] = { status: 'skipped', error: 'Binary not available' };
+                    continue;
+                }
+                log(`   🔍 Running ${adapter.displayName}...`);
+                raw = await adapter.run(workspace, { workDir });
+            }
+
+            const parsed = adapter.parse(raw, { workspace });
+            let count = parsed.secrets.length;
+            parsed.results.forEach(target => {
+                // Several adapters can report the same CVE; the first in registry order (Trivy) wins.
+                const vulns = (target.Vulnerabilities || []).filter(v => {
+                    const key = vulnKey(v);
+                    if (seenVulns.has(key)) return false;
+                    seenVulns.add(key);
+                    return true;
+                });
+                count += vulns.length + (target.Licenses || []).length + (target.Misconfigurations || []).length;
+                results.push({ ...target, Vulnerabilities: vulns, Scanner: name });
+            });
+            parsed.secrets.forEach(s => secrets.push({ ...s, Scanner: name }));
+            runs[name] = { status: 'ok', findings: count, duration_ms: Date.now() - started };
+        } catch (e) {
+            // A cancelled scan stops here instead of moving on to the next scanner.
+            if (isAbortError(e)) throw e;
+            log(`   ${adapter.displayName} warning: ${e.message}`);
+            runs[name] = { status: 'failed', error: e.message, duration_ms: Date.now() - started };
+        }
+    }
+
+    if (Object.values(runs).some(run => run.status !== 'ok')) throw new IncompleteScanError(runs);
+    return { report: { Results: results }, secrets, runs };
+}
+
+module.exports = { IncompleteScanError, getScanner, listScanners, resolveScanners, runScanners };
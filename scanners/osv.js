@@ -0,0 +1,72 @@
+const path = require('path');
+const { runCommand, binaryAvailable } = require('../commands');
+
+// --- 🧬 OSV-SCANNER: vulnerabilities from the OSV.dev database ---
+// osv-scanner exits 1 when it finds vulnerabilities and 128 when there is nothing to scan.
+const OK_EXIT_CODES = [0, 1, 128];
+
+function severityFromScore(score) {
+    const n = parseFloat(score);
+    if (isNaN(n) || n <= 0) return 'UNKNOWN';
+    if (n >= 9) return 'CRITICAL';
+    if (n >= 7) return 'HIGH';
+    if (n >= 4) return 'MEDIUM';
+    return 'LOW';
+}
+
+function severityOf(vuln, groups) {
+    const declared = String((vuln.database_specific && vuln.database_specific.severity) || '').toUpperCase();
+    if (declared === 'MODERATE') return 'MEDIUM';
+    if (['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'].includes(declared)) return declared;
+    const group = (groups || []).find(g => (g.ids || []).includes(vuln.id));
+    return severityFromScore(group && group.max_severity);
+}
+
+function fixedVersionOf(vuln, pkgName) {
+    const fixes = [];
+    (vuln.affected || [])
+        .filter(a => !a.package || a.package.name === pkgName)
+        .forEach(a => (a.ranges || []).forEach(r => (r.events || []).forEach(e => { if (e.fixed) fixes.push(e.fixed); })));
+    return fixes.length ? [...new Set(fixes)].join(', ') : '';
+}
+
+module.exports = {
+    name: 'osv',
+    displayName: 'OSV-Scanner',
+    informationUri: 'https://github.com/google/osv-scanner',
+    defaultEnabled: false,
+
+    isAvailable: () => binaryAvailable('osv-scanner', ['--version']),
+
+    async run(workspace) {
+        const output = await runCommand('osv-scanner', ['--format', 'json', '--recursive', workspace], null, 1800000, OK_EXIT_CODES);
+        return output ? JSON.parse(output) : {};
+    },
+
+    parse(raw, { workspace } = {}) {
+        const results = ((raw && raw.results) || []).map(source => {
+            const sourcePath = (source.source && source.source.path) || '';
+            const target = workspace ? path.relative(workspace, sourcePath) || sourcePath : sourcePath;
+            const vulnerabilities = [];
+            (source.packages || []).forEach(entry => {
+                const pkg = entry.package || {};
+                (entry.vulnerabilities || []).forEach(vuln => {
+                    // Prefer the CVE id so findings line up with Trivy's and with waivers.
+                    const cve = (vuln.aliases || []).find(a => /^CVE-/.test(a));
+                    vulnerabilities.push({
+                        VulnerabilityID: cve || vuln.id,
+                        PkgName: pkg.name,
+                        InstalledVersion: pkg.version,
+                        FixedVersion: fixedVersionOf(vuln, pkg.name),
+                        Severity: severityOf(vuln, entry.groups),
+                        Title: vuln.summary || vuln.id,
+                        Description: vuln.details || '',
+                        PrimaryURL: `https://osv.dev/vulnerability/${vuln.id}`,
+                    });
+                });
+            });
+            return { Target: target, Class: 'lang-pkgs', Vulnerabilities: vulnerabilities };
+        }).filter(r => r.Vulnerabilities.length > 0);
+        return { results, secrets: [] };
+    },
+};
@@ -0,0 +1,48 @@
+const path = require('path');
+const { runCommand, binaryAvailable } = require('../commands');
+
+// --- 🧪 SEMGREP: static analysis of first-party code ---
+// SEMGREP_CONFIG selects the rule set (default "auto", which needs registry access).
+const SEVERITY_MAP = { ERROR: 'HIGH', WARNING: 'MEDIUM', INFO: 'LOW' };
+
+module.exports = {
+    name: 'semgrep',
+    displayName: 'Semgrep',
+    informationUri: 'https://semgrep.dev',
+    defaultEnabled: false,
+
+    isAvailable: () => binaryAvailable('semgrep', ['--version']),
+
+    async run(workspace) {
+        const config = process.env.SEMGREP_CONFIG || 'auto';
+        const output = await runCommand('semgrep', ['scan', '--config', config, '--json', '--quiet', '--metrics=off', workspace]);
+        return output ? JSON.parse(output) : {};
+    },
+
+    // Code findings are reported as misconfigurations (rule + file + line), grouped per file.
+    parse(raw, { workspace } = {}) {
+        const byFile = new Map();
+        ((raw && raw.results) || []).forEach(hit => {
+            const file = workspace ? path.relative(workspace, hit.path) || hit.path : hit.path;
+            const extra = hit.extra || {};
+            const metadata = extra.metadata || {};
+            if (!byFile.has(file)) byFile.set(file, []);
+            byFile.get(file).push({
+                Type: 'semgrep',
+                ID: hit.check_id,
+                Title: String(extra.message || hit.check_id).split('\n')[0],
+                Message: extra.message || '',
+                Severity: SEVERITY_MAP[String(extra.severity).toUpperCase()] || 'UNKNOWN',
+                PrimaryURL: metadata.source || (Array.isArray(metadata.references) ? metadata.references[0] : undefined),
+                Status: 'FAIL',
+                CauseMetadata: { StartLine: hit.start && hit.start.line, EndLine: hit.end && hit.end.line },
+            });
+        });
+        const results = [...byFile.entries()].map(([file, misconfigurations]) => ({
+            Target: file,
+            Class: 'code',
+            Misconfigurations: misconfigurations,
+        }));
+        return { results, secrets: [] };
+    },
+};
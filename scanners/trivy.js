@@ -0,0 +1,36 @@
+const fs = require('fs');
+const path = require('path');
+const { runCommandToFile, binaryAvailable } = require('../commands');
+
+// --- 🔍 TRIVY: vulnerabilities + licenses ---
+// --list-all-pkgs keeps the package inventory in the report, so engine.generateSbom() can
+// convert it to CycloneDX instead of scanning the workspace a second time.
+const REPORT_FILE = 'trivy_results.json';
+
+module.exports = {
+    name: 'trivy',
+    displayName: 'Trivy',
+    informationUri: 'https://github.com/aquasecurity/trivy',
+    defaultEnabled: true,
+    reportFile: REPORT_FILE,
+
+    isAvailable: () => binaryAvailable('trivy', ['--version']),
+
+    async run(workspace, { workDir }) {
+        const outPath = path.join(workDir, REPORT_FILE);
+        await runCommandToFile('trivy', [
+            'fs', workspace,
+            '--scanners', 'license,vuln',
+            '--format', 'json',
+            '--list-all-pkgs',
+            '--timeout', '30m',
+            '--quiet'
+        ], outPath);
+        return fs.existsSync(outPath) ? JSON.parse(fs.readFileSync(outPath, 'utf8')) : {};
+    },
+
+    // Trivy's report is already the engine's native shape.
+    parse(raw) {
+        return { results: (raw && raw.Results) || [], secrets: [] };
+    },
+};
@@ -0,0 +1,37 @@
+const fs = require('fs');
+const path = require('path');
+const { runCommandToFile, binaryAvailable } = require('../commands');
+
+// --- 🐳 TRIVY CONFIG: Dockerfile / Kubernetes / Terraform misconfigurations ---
+module.exports = {
+    name: 'trivy-config',
+    displayName: 'Trivy (misconfiguration)',
+    informationUri: 'https://aquasecurity.github.io/trivy/latest/docs/scanner/misconfiguration/',
+    defaultEnabled: false,
+
+    isAvailable: () => binaryAvailable('trivy', ['--version']),
+
+    async run(workspace, { workDir }) {
+        const outPath = path.join(workDir, 'trivy_config.json');
+        await runCommandToFile('trivy', [
+            'config', workspace,
+            '--format', 'json',
+            '--timeout', '15m',
+            '--quiet'
+        ], outPath);
+        return fs.existsSync(outPath) ? JSON.parse(fs.readFileSync(outPath, 'utf8')) : {};
+    },
+
+    // Only failed checks are findings; passed checks are noise.
+    parse(raw) {
+        const results = ((raw && raw.Results) || [])
+            .map(target => ({
+                Target: target.Target,
+                Class: 'config',
+                Type: target.Type,
+                Misconfigurations: (target.Misconfigurations || []).filter(m => m.Status !== 'PASS'),
+            }))
+            .filter(target => target.Misconfigurations.length > 0);
+        return { results, secrets: [] };
+    },
+};
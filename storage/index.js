@@ -0,0 +1,70 @@
+const path = require('path');
+const { createClient } = require('@supabase/supabase-js');
+const { SupabaseArtifactStore, SupabaseScanStore } = require('./supabase');
+const { LocalArtifactStore } = require('./local');
+const { PostgresScanStore } = require('./postgres');
+
+// --- 🗄️ STORAGE BACKENDS ---
+// ARTIFACT_STORE : supabase | local     (default: supabase when SUPABASE_URL is set, else local)
+// SCAN_STORE     : supabase | postgres  (default: supabase when SUPABASE_URL is set, else postgres)
+// LOCAL_ARTIFACT_DIR  : folder for the local artifact store (default ./artifacts)
+// ARTIFACT_URL_SECRET : signs local artifact links (default: random, links die with the process)
+// SCAN_STORE_DATABASE_URL : Postgres for the scan store (default DATABASE_URL)
+//
+// Artifact store: upload(objectPath, body, contentType) -> objectPath, download(objectPath) -> Buffer,
+//                 signedUrl(objectPath, expiresInSeconds, { downloadName }) -> short-lived url, ping()
+// Scan store:     ping, createScan, getScan, updateScan, deleteScans, findCachedScan, findPreviousScan, listScans,
+//                 listMonitoredScans, markStale,
+//                 cancelScan(id, fields) -> the CANCELLED row, or null unless it was QUEUED / RUNNING,
+//                 (listScans and findPreviousScan take owner: { orgId, userId } to stay inside one org)
+//                 replaceFindings, listFindings,
+//                 createWebhook, getWebhook, listWebhooks, deleteWebhook, logDelivery, listDeliveries,
+//                 countScans, getOrganization,
+//                 createApiKey, findApiKeyByHash, listApiKeys, revokeApiKey, touchApiKey,
+//                 createBatch, getBatch, updateBatch, listBatchScans
+
+/**
+ * Builds the artifact and scan stores selected by configuration
+ * @param {Object} [env] - Defaults to process.env
+ * @returns {Object} - { artifacts, scans, kinds: { artifacts, scans } }
+ */
+function createStores(env = process.env) {
+    const hasSupabase = Boolean(env.SUPABASE_URL && env.SUPABASE_KEY);
+    const artifactKind = env.ARTIFACT_STORE || (hasSupabase ? 'supabase' : 'local');
+    const scanKind = env.SCAN_STORE || (hasSupabase ? 'supabase' : 'postgres');
+
+    let supabase = null;
+    const getSupabase = () => {
+        if (!hasSupabase) throw new Error('SUPABASE_URL and SUPABASE_KEY are required for the supabase store');
+        if (!supabase) supabase = createClient(env.SUPABASE_URL, env.SUPABASE_KEY);
+        return supabase;
+    };
+
+    let artifacts;
+    if (artifactKind === 'supabase') {
+        artifacts = new SupabaseArtifactStore(getSupabase(), { bucket: env.SUPABASE_BUCKET || 'audits' });
+    } else if (artifactKind === 'local') {
+        artifacts = new LocalArtifactStore({
+            rootDir: env.LOCAL_ARTIFACT_DIR || path.resolve('artifacts'),
+            publicBaseUrl: env.PUBLIC_BASE_URL || `http://localhost:${env.PORT || 8080}`,
+            signingSecret: env.ARTIFACT_URL_SECRET,
+        });
+    } else {
+        throw new Error(`Unknown ARTIFACT_STORE: ${artifactKind}`);
+    }
+
+    let scans;
+    if (scanKind === 'supabase') {
+        scans = new SupabaseScanStore(getSupabase());
+    } else if (scanKind === 'postgres') {
+        const connectionString = env.SCAN_STORE_DATABASE_URL || env.DATABASE_URL;
+        if (!connectionString) throw new Error('SCAN_STORE=postgres needs SCAN_STORE_DATABASE_URL or DATABASE_URL');
+        scans = new PostgresScanStore({ connectionString });
+    } else {
+        throw new Error(`Unknown SCAN_STORE: ${scanKind}`);
+    }
+
+    return { artifacts, scans, kinds: { artifacts: artifactKind, scans: scanKind } };
+}
+
+module.exports = { createStores };
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// --- 💾 LOCAL FILESYSTEM ARTIFACT STORE ---
+// For self-hosting and isolated runs. Files are served by scan.js under /artifacts, but only
+// through signed, expiring links (see signedUrl / verifySignature).
+
+class LocalArtifactStore {
+    /**
+     * @param {Object} options - { rootDir, publicBaseUrl, signingSecret }
+     */
+    constructor({ rootDir, publicBaseUrl, signingSecret }) {
+        this.rootDir = path.resolve(rootDir);
+        this.publicBaseUrl = String(publicBaseUrl || '').replace(/\/$/, '');
+        // Without a configured secret, links only stay valid for the lifetime of this process.
+        this.signingSecret = signingSecret || crypto.randomBytes(32).toString('hex');
+        fs.mkdirSync(this.rootDir, { recursive: true });
+    }
+
+    resolve(objectPath) {
+        const full = path.resolve(this.rootDir, objectPath);
+        // Object paths are generated by us, but never let one escape the artifact root.
+        if (!full.startsWith(this.rootDir + path.sep)) throw new Error(`Invalid artifact path: ${objectPath}`);
+        return full;
+    }
+
+    async upload(objectPath, body, contentType) {
+        const full = this.resolve(objectPath);
+        await fs.promises.mkdir(path.dirname(full), { recursive: true });
+        await fs.promises.writeFile(full, body);
+        return objectPath;
+    }
+
+    async ping() {
+        await fs.promises.access(this.rootDir, fs.constants.W_OK);
+    }
+
+    async download(objectPath) {
+        return fs.promises.readFile(this.resolve(objectPath));
+    }
+
+    sign(objectPath, expires) {
+        return crypto.createHmac('sha256', this.signingSecret).update(`${objectPath}:${expires}`).digest('hex');
+    }
+
+    async signedUrl(objectPath, expiresInSeconds) {
+        const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+        return `${this.publicBaseUrl}/artifacts/${objectPath}?expires=${expires}&signature=${this.sign(objectPath, expires)}`;
+    }
+
+    /**
+     * Checks the query string of a link made by signedUrl()
+     * @returns {boolean}
+     */
+    verifySignature(objectPath, expires, signature) {
+        const expiresAt = parseInt(expires, 10);
+        if (!expiresAt || expiresAt < Date.now() / 1000 || !/^[0-9a-f]{64}$/.test(String(signature))) return false;
+        const expected = Buffer.from(this.sign(objectPath, expiresAt), 'hex');
+        const actual = Buffer.from(signature, 'hex');
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+}
+
+module.exports = { LocalArtifactStore };
@@ -0,0 +1,490 @@
+const { Pool } = require('pg');
+
+// --- 🐘 PLAIN POSTGRES SCAN STORE ---
+// Same tables as the Supabase project, created on first use. Works against the
+// graphile-worker database, so a self-hosted install needs only one Postgres.
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS scans (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    repo_url text NOT NULL,
+    user_id text,
+    status text NOT NULL DEFAULT 'QUEUED',
+    org_id text,
+    batch_id uuid,
+    callback_url text,
+    risk_grade text,
+    risk_score integer,
+    grade_breakdown jsonb,
+    git_ref text,
+    commit_hash text,
+    pdf_url text,
+    sbom_url text,
+    sarif_url text,
+    pdf_path text,
+    sbom_path text,
+    sarif_path text,
+    vex_path text,
+    spdx_path text,
+    notices_path text,
+    license_policy text DEFAULT 'default',
+    license_decisions jsonb,
+    waiver_summary jsonb,
+    vex_documents jsonb,
+    vex_summary jsonb,
+    license_inventory jsonb,
+    attestation jsonb,
+    cached_from uuid,
+    scanner_version text,
+    scanners text,
+    scanner_runs jsonb,
+    phase_timings jsonb,
+    monitored boolean NOT NULL DEFAULT false,
+    private_repo boolean NOT NULL DEFAULT false,
+    vuln_db_updated_at timestamptz,
+    last_monitored_at timestamptz,
+    stale_at timestamptz,
+    stale_findings jsonb,
+    regrade_of uuid,
+    attempts integer NOT NULL DEFAULT 0,
+    error_kind text,
+    cancelled_at timestamptz,
+    last_error text,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    completed_at timestamptz
+);
+CREATE INDEX IF NOT EXISTS scans_repo_commit_idx ON scans (repo_url, commit_hash);
+-- Columns added after the first release (CREATE TABLE IF NOT EXISTS leaves old tables alone).
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS scanners text;
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS scanner_runs jsonb;
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS phase_timings jsonb;
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS risk_score integer;
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS grade_breakdown jsonb;
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS org_id text;
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS callback_url text;
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS git_ref text;
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS pdf_path text;
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS sbom_path text;
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS sarif_path text;
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS batch_id uuid;
+CREATE INDEX IF NOT EXISTS scans_batch_idx ON scans (batch_id) WHERE batch_id IS NOT NULL;
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS monitored boolean NOT NULL DEFAULT false;
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS private_repo boolean NOT NULL DEFAULT false;
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS vuln_db_updated_at timestamptz;
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS last_monitored_at timestamptz;
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS stale_at timestamptz;
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS stale_findings jsonb;
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS regrade_of uuid;
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS vex_path text;
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS vex_documents jsonb;
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS vex_summary jsonb;
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS attempts integer NOT NULL DEFAULT 0;
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS error_kind text;
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS cancelled_at timestamptz;
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS spdx_path text;
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS notices_path text;
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS license_inventory jsonb;
+CREATE INDEX IF NOT EXISTS scans_active_idx ON scans (status) WHERE status IN ('QUEUED', 'RUNNING');
+CREATE INDEX IF NOT EXISTS scans_monitored_idx ON scans (repo_url, git_ref, completed_at DESC) WHERE monitored AND status = 'COMPLETED';
+
+CREATE TABLE IF NOT EXISTS scan_findings (
+    id bigserial PRIMARY KEY,
+    scan_id uuid NOT NULL REFERENCES scans(id) ON DELETE CASCADE,
+    type text NOT NULL,
+    severity text,
+    rule_id text,
+    package text,
+    installed_version text,
+    fixed_version text,
+    file text,
+    line integer,
+    title text,
+    suppressed boolean NOT NULL DEFAULT false,
+    details jsonb
+);
+CREATE INDEX IF NOT EXISTS scan_findings_scan_idx ON scan_findings (scan_id);
+
+CREATE TABLE IF NOT EXISTS webhooks (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    org_id text NOT NULL,
+    url text NOT NULL,
+    secret text NOT NULL,
+    events text[] NOT NULL,
+    active boolean NOT NULL DEFAULT true,
+    created_at timestamptz NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS webhooks_org_idx ON webhooks (org_id);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id bigserial PRIMARY KEY,
+    delivery_id uuid NOT NULL,
+    scan_id uuid NOT NULL REFERENCES scans(id) ON DELETE CASCADE,
+    webhook_id uuid REFERENCES webhooks(id) ON DELETE SET NULL,
+    url text NOT NULL,
+    event text NOT NULL,
+    attempt integer NOT NULL,
+    status text NOT NULL,
+    response_status integer,
+    error text,
+    duration_ms integer,
+    created_at timestamptz NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS webhook_deliveries_scan_idx ON webhook_deliveries (scan_id);
+
+CREATE INDEX IF NOT EXISTS scans_org_created_idx ON scans (org_id, created_at);
+
+-- Optional per-org quota overrides (no row = defaults).
+CREATE TABLE IF NOT EXISTS organizations (
+    id text PRIMARY KEY,
+    name text,
+    max_concurrent_scans integer,
+    monthly_scan_quota integer,
+    created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    org_id text NOT NULL,
+    user_id text,
+    name text NOT NULL,
+    key_prefix text NOT NULL,
+    key_hash text NOT NULL UNIQUE,
+    scopes text[] NOT NULL,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    last_used_at timestamptz,
+    revoked_at timestamptz
+);
+CREATE INDEX IF NOT EXISTS api_keys_org_idx ON api_keys (org_id);
+
+CREATE TABLE IF NOT EXISTS batches (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    org_id text NOT NULL,
+    user_id text,
+    source jsonb,
+    status text NOT NULL DEFAULT 'RUNNING',
+    total integer NOT NULL,
+    report jsonb,
+    report_pdf_path text,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    completed_at timestamptz
+);
+`;
+
+const SCAN_COLUMNS = [
+    'repo_url', 'user_id', 'org_id', 'batch_id', 'callback_url', 'status', 'risk_grade', 'risk_score', 'grade_breakdown',
+    'git_ref', 'commit_hash', 'pdf_url', 'sbom_url', 'sarif_url', 'pdf_path', 'sbom_path', 'sarif_path', 'vex_path',
+    'spdx_path', 'notices_path', 'license_policy', 'license_decisions', 'license_inventory', 'waiver_summary', 'vex_documents', 'vex_summary', 'attestation', 'cached_from',
+    'scanner_version', 'scanners', 'scanner_runs', 'phase_timings', 'monitored', 'private_repo', 'vuln_db_updated_at',
+    'last_monitored_at', 'stale_at', 'stale_findings', 'regrade_of', 'attempts', 'error_kind', 'cancelled_at', 'last_error', 'created_at', 'completed_at',
+];
+const FINDING_COLUMNS = [
+    'scan_id', 'type', 'severity', 'rule_id', 'package', 'installed_version', 'fixed_version',
+    'file', 'line', 'title', 'suppressed', 'details',
+];
+// node-postgres turns JS arrays into Postgres arrays, so JSON columns are serialized by hand.
+const JSON_COLUMNS = new Set(['license_decisions', 'waiver_summary', 'attestation', 'scanner_runs', 'phase_timings', 'grade_breakdown', 'stale_findings', 'vex_documents', 'vex_summary', 'license_inventory', 'details', 'source', 'report']);
+// `owner` ({ orgId, userId }) limits reads to the scans of one organization or user; null means all of them.
+const OWNER_CLAUSE = (n) => `(($${n}::text IS NULL AND $${n + 1}::text IS NULL) OR org_id = $${n} OR user_id = $${n + 1})`;
+const ownerParams = (owner) => [owner ? owner.orgId || null : null, owner ? owner.userId || null : null];
+const WEBHOOK_COLUMNS = ['org_id', 'url', 'secret', 'events', 'active'];
+const API_KEY_COLUMNS = ['org_id', 'user_id', 'name', 'key_prefix', 'key_hash', 'scopes'];
+const BATCH_COLUMNS = ['org_id', 'user_id', 'source', 'status', 'total', 'report', 'report_pdf_path', 'created_at', 'completed_at'];
+const DELIVERY_COLUMNS = [
+    'delivery_id', 'scan_id', 'webhook_id', 'url', 'event', 'attempt', 'status',
+    'response_status', 'error', 'duration_ms', 'created_at',
+];
+const FINDINGS_BATCH = 500;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function toParam(column, value) {
+    if (value === undefined) return null;
+    return JSON_COLUMNS.has(column) && value !== null ? JSON.stringify(value) : value;
+}
+
+function pickColumns(fields, allowed) {
+    const columns = Object.keys(fields).filter(k => fields[k] !== undefined);
+    const unknown = columns.filter(c => !allowed.includes(c));
+    if (unknown.length) throw new Error(`Unknown column(s): ${unknown.join(', ')}`);
+    return columns;
+}
+
+class PostgresScanStore {
+    /**
+     * @param {Object} options - { connectionString } or { pool }
+     */
+    constructor({ connectionString, pool }) {
+        this.pool = pool || new Pool({ connectionString });
+        this.ready = null;
+    }
+
+    // Schema is applied lazily, once per process.
+    ensureSchema() {
+        if (!this.ready) this.ready = this.pool.query(SCHEMA).catch(e => { this.ready = null; throw e; });
+        return this.ready;
+    }
+
+    async query(text, params) {
+        await this.ensureSchema();
+        return this.pool.query(text, params);
+    }
+
+    async ping() {
+        await this.query('SELECT 1');
+    }
+
+    async createScan(fields) {
+        const columns = pickColumns(fields, SCAN_COLUMNS);
+        const placeholders = columns.map((_, i) => `$${i + 1}`);
+        const { rows } = await this.query(
+            `INSERT INTO scans (${columns.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`,
+            columns.map(c => toParam(c, fields[c]))
+        );
+        return rows[0];
+    }
+
+    async getScan(id) {
+        if (!UUID_RE.test(String(id))) return null;
+        const { rows } = await this.query('SELECT * FROM scans WHERE id = $1', [id]);
+        return rows[0] || null;
+    }
+
+    async deleteScans(ids) {
+        if (!ids.length) return;
+        await this.query('DELETE FROM scans WHERE id = ANY($1::uuid[])', [ids]);
+    }
+
+    async updateScan(id, fields) {
+        const columns = pickColumns(fields, SCAN_COLUMNS);
+        if (!columns.length) return;
+        const sets = columns.map((c, i) => `${c} = $${i + 2}`);
+        await this.query(`UPDATE scans SET ${sets.join(', ')} WHERE id = $1`, [id, ...columns.map(c => toParam(c, fields[c]))]);
+    }
+
+    async cancelScan(id, fields = {}) {
+        const now = new Date().toISOString();
+        const update = { ...fields, status: 'CANCELLED', cancelled_at: now, completed_at: now };
+        const columns = pickColumns(update, SCAN_COLUMNS);
+        const sets = columns.map((c, i) => `${c} = $${i + 2}`);
+        const { rows } = await this.query(
+            `UPDATE scans SET ${sets.join(', ')} WHERE id = $1 AND status IN ('QUEUED', 'RUNNING') RETURNING *`,
+            [id, ...columns.map(c => toParam(c, update[c]))]
+        );
+        return rows[0] || null;
+    }
+
+    async findCachedScan({ repoUrl, commitHash, policy, scanners = null }) {
+        const { rows } = await this.query(
+            `SELECT * FROM scans
+             WHERE repo_url = $1 AND commit_hash = $2 AND license_policy = $3 AND status = 'COMPLETED'
+               AND stale_at IS NULL AND ($4::text IS NULL OR scanners = $4)
+             ORDER BY completed_at DESC NULLS LAST LIMIT 1`,
+            [repoUrl, commitHash, policy, scanners]
+        );
+        return rows[0] || null;
+    }
+
+    async findPreviousScan({ repoUrl, before, excludeCommit = null, owner = null }) {
+        const { rows } = await this.query(
+            `SELECT * FROM scans
+             WHERE repo_url = $1 AND status = 'COMPLETED' AND created_at < $2
+               AND ($3::text IS NULL OR commit_hash IS DISTINCT FROM $3)
+               AND ${OWNER_CLAUSE(4)}
+             ORDER BY created_at DESC LIMIT 1`,
+            [repoUrl, before, excludeCommit, ...ownerParams(owner)]
+        );
+        return rows[0] || null;
+    }
+
+    // Latest completed monitored scan per repo + ref: the ones whose SBOM the monitor re-evaluates.
+    async listMonitoredScans() {
+        const { rows } = await this.query(
+            `SELECT DISTINCT ON (repo_url, git_ref) * FROM scans
+             WHERE monitored AND status = 'COMPLETED'
+             ORDER BY repo_url, git_ref, completed_at DESC NULLS LAST`
+        );
+        return rows;
+    }
+
+    // Cache hits share their origin's results, so a whole family goes stale together.
+    async markStale(rootId, fields) {
+        const columns = pickColumns(fields, SCAN_COLUMNS);
+        const sets = columns.map((c, i) => `${c} = $${i + 2}`);
+        await this.query(
+            `UPDATE scans SET ${sets.join(', ')} WHERE (id = $1 OR cached_from = $1) AND stale_at IS NULL`,
+            [rootId, ...columns.map(c => toParam(c, fields[c]))]
+        );
+    }
+
+    async listScans({ repoUrl, owner = null, from, to }) {
+        const { rows } = await this.query(
+            `SELECT * FROM scans WHERE repo_url = $1 AND ${OWNER_CLAUSE(2)} ORDER BY created_at DESC OFFSET $4 LIMIT $5`,
+            [repoUrl, ...ownerParams(owner), from, to - from + 1]
+        );
+        const { rows: [{ count }] } = await this.query(`SELECT count(*) FROM scans WHERE repo_url = $1 AND ${OWNER_CLAUSE(2)}`, [repoUrl, ...ownerParams(owner)]);
+        return { scans: rows, total: Number(count) };
+    }
+
+    async replaceFindings(scanId, rows) {
+        await this.ensureSchema();
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query('DELETE FROM scan_findings WHERE scan_id = $1', [scanId]);
+            for (let i = 0; i < rows.length; i += FINDINGS_BATCH) {
+                const batch = rows.slice(i, i + FINDINGS_BATCH);
+                const params = [];
+                const values = batch.map(row => {
+                    const slots = FINDING_COLUMNS.map(c => {
+                        params.push(toParam(c, row[c]));
+                        return `$${params.length}`;
+                    });
+                    return `(${slots.join(', ')})`;
+                });
+                await client.query(`INSERT INTO scan_findings (${FINDING_COLUMNS.join(', ')}) VALUES ${values.join(', ')}`, params);
+            }
+            await client.query('COMMIT');
+        } catch (e) {
+            await client.query('ROLLBACK').catch(() => {});
+            throw new Error(`Failed to store findings: ${e.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    async listFindings(scanId, { severities = [], types = [], suppressed, from, to }) {
+        const params = [scanId];
+        const where = ['scan_id = $1'];
+        if (severities.length) { params.push(severities); where.push(`severity = ANY($${params.length})`); }
+        if (types.length) { params.push(types); where.push(`type = ANY($${params.length})`); }
+        if (suppressed !== undefined) { params.push(suppressed); where.push(`suppressed = $${params.length}`); }
+        const filter = where.join(' AND ');
+
+        const { rows } = await this.query(
+            `SELECT type, severity, rule_id, package, installed_version, fixed_version, file, line, title, suppressed, details
+             FROM scan_findings WHERE ${filter}
+             ORDER BY id ASC OFFSET $${params.length + 1} LIMIT $${params.length + 2}`,
+            [...params, from, to - from + 1]
+        );
+        const { rows: [{ count }] } = await this.query(`SELECT count(*) FROM scan_findings WHERE ${filter}`, params);
+        return { findings: rows, total: Number(count) };
+    }
+
+    async createWebhook(fields) {
+        const columns = pickColumns(fields, WEBHOOK_COLUMNS);
+        const placeholders = columns.map((_, i) => `$${i + 1}`);
+        const { rows } = await this.query(
+            `INSERT INTO webhooks (${columns.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`,
+            columns.map(c => fields[c])
+        );
+        return rows[0];
+    }
+
+    async getWebhook(id) {
+        if (!UUID_RE.test(String(id))) return null;
+        const { rows } = await this.query('SELECT * FROM webhooks WHERE id = $1', [id]);
+        return rows[0] || null;
+    }
+
+    async listWebhooks({ orgId }) {
+        const { rows } = await this.query('SELECT * FROM webhooks WHERE org_id = $1 ORDER BY created_at ASC', [orgId]);
+        return rows;
+    }
+
+    async deleteWebhook(id) {
+        if (!UUID_RE.test(String(id))) return false;
+        const { rowCount } = await this.query('DELETE FROM webhooks WHERE id = $1', [id]);
+        return rowCount > 0;
+    }
+
+    async logDelivery(fields) {
+        const columns = pickColumns(fields, DELIVERY_COLUMNS);
+        const placeholders = columns.map((_, i) => `$${i + 1}`);
+        await this.query(`INSERT INTO webhook_deliveries (${columns.join(', ')}) VALUES (${placeholders.join(', ')})`, columns.map(c => fields[c]));
+    }
+
+    async listDeliveries(scanId) {
+        const { rows } = await this.query(
+            `SELECT delivery_id, webhook_id, url, event, attempt, status, response_status, error, duration_ms, created_at
+             FROM webhook_deliveries WHERE scan_id = $1 ORDER BY id ASC`,
+            [scanId]
+        );
+        return rows;
+    }
+
+    async countScans({ orgId = null, statuses = null, since = null }) {
+        const { rows: [{ count }] } = await this.query(
+            `SELECT count(*) FROM scans
+             WHERE ($1::text IS NULL OR org_id = $1) AND ($2::text[] IS NULL OR status = ANY($2)) AND ($3::timestamptz IS NULL OR created_at >= $3)`,
+            [orgId, statuses, since]
+        );
+        return Number(count);
+    }
+
+    async getOrganization(id) {
+        const { rows } = await this.query('SELECT * FROM organizations WHERE id = $1', [id]);
+        return rows[0] || null;
+    }
+
+    async createApiKey(fields) {
+        const columns = pickColumns(fields, API_KEY_COLUMNS);
+        const placeholders = columns.map((_, i) => `$${i + 1}`);
+        const { rows } = await this.query(
+            `INSERT INTO api_keys (${columns.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`,
+            columns.map(c => fields[c])
+        );
+        return rows[0];
+    }
+
+    async findApiKeyByHash(keyHash) {
+        const { rows } = await this.query('SELECT * FROM api_keys WHERE key_hash = $1', [keyHash]);
+        return rows[0] || null;
+    }
+
+    async listApiKeys({ orgId }) {
+        const { rows } = await this.query('SELECT * FROM api_keys WHERE org_id = $1 ORDER BY created_at ASC', [orgId]);
+        return rows;
+    }
+
+    async revokeApiKey(id, { orgId }) {
+        if (!UUID_RE.test(String(id))) return false;
+        const { rowCount } = await this.query(
+            'UPDATE api_keys SET revoked_at = now() WHERE id = $1 AND org_id = $2 AND revoked_at IS NULL',
+            [id, orgId]
+        );
+        return rowCount > 0;
+    }
+
+    async touchApiKey(id) {
+        await this.query('UPDATE api_keys SET last_used_at = now() WHERE id = $1', [id]);
+    }
+
+    async createBatch(fields) {
+        const columns = pickColumns(fields, BATCH_COLUMNS);
+        const placeholders = columns.map((_, i) => `$${i + 1}`);
+        const { rows } = await this.query(
+            `INSERT INTO batches (${columns.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`,
+            columns.map(c => toParam(c, fields[c]))
+        );
+        return rows[0];
+    }
+
+    async getBatch(id) {
+        if (!UUID_RE.test(String(id))) return null;
+        const { rows } = await this.query('SELECT * FROM batches WHERE id = $1', [id]);
+        return rows[0] || null;
+    }
+
+    async updateBatch(id, fields) {
+        const columns = pickColumns(fields, BATCH_COLUMNS);
+        if (!columns.length) return;
+        const sets = columns.map((c, i) => `${c} = $${i + 2}`);
+        await this.query(`UPDATE batches SET ${sets.join(', ')} WHERE id = $1`, [id, ...columns.map(c => toParam(c, fields[c]))]);
+    }
+
+    async listBatchScans(batchId) {
+        const { rows } = await this.query('SELECT * FROM scans WHERE batch_id = $1 ORDER BY repo_url ASC', [batchId]);
+        return rows;
+    }
+}
+
+module.exports = { PostgresScanStore, SCHEMA, UUID_RE };
@@ -0,0 +1,341 @@
+// --- ☁️ SUPABASE BACKENDS ---
+// The original hosted setup: artifacts in the `audits` bucket, records in the `scans` / `scan_findings` tables.
+// The bucket must be private: artifacts are only handed out as short-lived signed URLs.
+
+const { UUID_RE } = require('./postgres');
+
+const FINDINGS_BATCH = 500;
+const PAGE_SIZE = 1000;
+
+// PostgREST filter for `owner` ({ orgId, userId }); values are quoted since ids come from credentials.
+function ownerFilter(owner) {
+    const quote = value => `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+    return [
+        owner.orgId && `org_id.eq.${quote(owner.orgId)}`,
+        owner.userId && `user_id.eq.${quote(owner.userId)}`,
+    ].filter(Boolean).join(',');
+}
+
+class SupabaseArtifactStore {
+    /**
+     * @param {Object} supabase - A supabase-js client
+     * @param {Object} options - { bucket }
+     */
+    constructor(supabase, { bucket = 'audits' }) {
+        this.supabase = supabase;
+        this.bucket = bucket;
+    }
+
+    async upload(objectPath, body, contentType) {
+        const { error } = await this.supabase.storage.from(this.bucket).upload(objectPath, body, { contentType, upsert: true });
+        if (error) throw new Error(`Artifact upload failed (${objectPath}): ${error.message}`);
+        return objectPath;
+    }
+
+    async ping() {
+        const { error } = await this.supabase.storage.from(this.bucket).list('', { limit: 1 });
+        if (error) throw new Error(`Artifact store unreachable: ${error.message}`);
+    }
+
+    async download(objectPath) {
+        const { data, error } = await this.supabase.storage.from(this.bucket).download(objectPath);
+        if (error) throw new Error(`Artifact download failed (${objectPath}): ${error.message}`);
+        return Buffer.from(await data.arrayBuffer());
+    }
+
+    async signedUrl(objectPath, expiresInSeconds, { downloadName } = {}) {
+        const { data, error } = await this.supabase.storage.from(this.bucket)
+            .createSignedUrl(objectPath, expiresInSeconds, downloadName ? { download: downloadName } : undefined);
+        if (error) throw new Error(`Artifact signing failed (${objectPath}): ${error.message}`);
+        return data.signedUrl;
+    }
+}
+
+class SupabaseScanStore {
+    /**
+     * @param {Object} supabase - A supabase-js client
+     */
+    constructor(supabase) {
+        this.supabase = supabase;
+    }
+
+    async ping() {
+        const { error } = await this.supabase.from('scans').select('id', { head: true }).limit(1);
+        if (error) throw new Error(`Database Error: ${error.message}`);
+    }
+
+    async createScan(fields) {
+        const { data, error } = await this.supabase.from('scans').insert([fields]).select().single();
+        if (error) throw new Error(`Database Error: ${error.message}`);
+        return data;
+    }
+
+    async getScan(id) {
+        // Like the Postgres store: a malformed id is "not found", not a database error.
+        if (!UUID_RE.test(String(id))) return null;
+        const { data, error } = await this.supabase.from('scans').select('*').eq('id', id).maybeSingle();
+        if (error) throw new Error(`Database Error: ${error.message}`);
+        return data;
+    }
+
+    async deleteScans(ids) {
+        if (!ids.length) return;
+        const { error } = await this.supabase.from('scans').delete().in('id', ids);
+        if (error) throw new Error(`Database Error: ${error.message}`);
+    }
+
+    async updateScan(id, fields) {
+        const { error } = await this.supabase.from('scans').update(fields).eq('id', id);
+        if (error) throw new Error(`Database Error: ${error.message}`);
+    }
+
+    async cancelScan(id, fields = {}) {
+        const now = new Date().toISOString();
+        const { data, error } = await this.supabase
+            .from('scans')
+            .update({ ...fields, status: 'CANCELLED', cancelled_at: now, completed_at: now })
+            .eq('id', id)
+            .in('status', ['QUEUED', 'RUNNING'])
+            .select();
+        if (error) throw new Error(`Database Error: ${error.message}`);
+        return (data && data[0]) || null;
+    }
+
+    async findCachedScan({ repoUrl, commitHash, policy, scanners }) {
+        let query = this.supabase
+            .from('scans')
+            .select('*')
+            .eq('repo_url', repoUrl)
+            .eq('commit_hash', commitHash)
+            .eq('license_policy', policy)
+            .eq('status', 'COMPLETED')
+            .is('stale_at', null);
+        if (scanners) query = query.eq('scanners', scanners);
+        const { data, error } = await query
+            .order('completed_at', { ascending: false, nullsFirst: false })
+            .limit(1)
+            .maybeSingle();
+        if (error) throw new Error(`Database Error: ${error.message}`);
+        return data;
+    }
+
+    async findPreviousScan({ repoUrl, before, excludeCommit, owner = null }) {
+        let query = this.supabase
+            .from('scans')
+            .select('*')
+            .eq('repo_url', repoUrl)
+            .eq('status', 'COMPLETED')
+            .lt('created_at', before);
+        if (excludeCommit) query = query.neq('commit_hash', excludeCommit);
+        if (owner && ownerFilter(owner)) query = query.or(ownerFilter(owner));
+        const { data, error } = await query
+            .order('created_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+        if (error) throw new Error(`Database Error: ${error.message}`);
+        return data;
+    }
+
+    // Latest completed monitored scan per repo + ref: the ones whose SBOM the monitor re-evaluates.
+    async listMonitoredScans() {
+        // PostgREST caps every response, so read page by page (id breaks completed_at ties between pages).
+        const rows = [];
+        for (let from = 0; ; from += PAGE_SIZE) {
+            const { data, error } = await this.supabase
+                .from('scans')
+                .select('*')
+                .eq('monitored', true)
+                .eq('status', 'COMPLETED')
+                .order('completed_at', { ascending: false, nullsFirst: false })
+                .order('id', { ascending: true })
+                .range(from, from + PAGE_SIZE - 1);
+            if (error) throw new Error(`Database Error: ${error.message}`);
+            rows.push(...(data || []));
+            if (!data || data.length < PAGE_SIZE) break;
+        }
+        const latest = new Map();
+        rows.forEach(scan => {
+            const key = `${scan.repo_url}#${scan.git_ref}`;
+            if (!latest.has(key)) latest.set(key, scan);
+        });
+        return [...latest.values()];
+    }
+
+    // Cache hits share their origin's results, so a whole family goes stale together.
+    async markStale(rootId, fields) {
+        const { error } = await this.supabase
+            .from('scans')
+            .update(fields)
+            .or(`id.eq.${rootId},cached_from.eq.${rootId}`)
+            .is('stale_at', null);
+        if (error) throw new Error(`Database Error: ${error.message}`);
+    }
+
+    async listScans({ repoUrl, owner = null, from, to }) {
+        let query = this.supabase
+            .from('scans')
+            .select('*', { count: 'exact' })
+            .eq('repo_url', repoUrl);
+        if (owner && ownerFilter(owner)) query = query.or(ownerFilter(owner));
+        const { data, count, error } = await query
+            .order('created_at', { ascending: false })
+            .range(from, to);
+        if (error) throw new Error(`Database Error: ${error.message}`);
+        return { scans: data || [], total: count || 0 };
+    }
+
+    async replaceFindings(scanId, rows) {
+        const { error: deleteError } = await this.supabase.from('scan_findings').delete().eq('scan_id', scanId);
+        // Inserting on top of the old rows would store every finding twice.
+        if (deleteError) throw new Error(`Failed to store findings: ${deleteError.message}`);
+        for (let i = 0; i < rows.length; i += FINDINGS_BATCH) {
+            const { error } = await this.supabase.from('scan_findings').insert(rows.slice(i, i + FINDINGS_BATCH));
+            if (error) throw new Error(`Failed to store findings: ${error.message}`);
+        }
+    }
+
+    async listFindings(scanId, { severities = [], types = [], suppressed, from, to }) {
+        let query = this.supabase
+            .from('scan_findings')
+            .select('type, severity, rule_id, package, installed_version, fixed_version, file, line, title, suppressed, details', { count: 'exact' })
+            .eq('scan_id', scanId);
+        if (severities.length) query = query.in('severity', severities);
+        if (types.length) query = query.in('type', types);
+        if (suppressed !== undefined) query = query.eq('suppressed', suppressed);
+
+        const { data, count, error } = await query.order('id', { ascending: true }).range(from, to);
+        if (error) throw new Error(`Database Error: ${error.message}`);
+        return { findings: data || [], total: count || 0 };
+    }
+
+    async createWebhook(fields) {
+        const { data, error } = await this.supabase.from('webhooks').insert([fields]).select().single();
+        if (error) throw new Error(`Database Error: ${error.message}`);
+        return data;
+    }
+
+    async getWebhook(id) {
+        if (!UUID_RE.test(String(id))) return null;
+        const { data, error } = await this.supabase.from('webhooks').select('*').eq('id', id).maybeSingle();
+        if (error) throw new Error(`Database Error: ${error.message}`);
+        return data;
+    }
+
+    async listWebhooks({ orgId }) {
+        const { data, error } = await this.supabase
+            .from('webhooks')
+            .select('*')
+            .eq('org_id', orgId)
+            .order('created_at', { ascending: true });
+        if (error) throw new Error(`Database Error: ${error.message}`);
+        return data || [];
+    }
+
+    async deleteWebhook(id) {
+        if (!UUID_RE.test(String(id))) return false;
+        const { data, error } = await this.supabase.from('webhooks').delete().eq('id', id).select('id');
+        if (error) throw new Error(`Database Error: ${error.message}`);
+        return (data || []).length > 0;
+    }
+
+    async logDelivery(fields) {
+        const { error } = await this.supabase.from('webhook_deliveries').insert([fields]);
+        if (error) throw new Error(`Database Error: ${error.message}`);
+    }
+
+    async listDeliveries(scanId) {
+        const { data, error } = await this.supabase
+            .from('webhook_deliveries')
+            .select('delivery_id, webhook_id, url, event, attempt, status, response_status, error, duration_ms, created_at')
+            .eq('scan_id', scanId)
+            .order('id', { ascending: true });
+        if (error) throw new Error(`Database Error: ${error.message}`);
+        return data || [];
+    }
+
+    async countScans({ orgId, statuses, since }) {
+        let query = this.supabase.from('scans').select('id', { count: 'exact', head: true });
+        if (orgId) query = query.eq('org_id', orgId);
+        if (statuses) query = query.in('status', statuses);
+        if (since) query = query.gte('created_at', since);
+        const { count, error } = await query;
+        if (error) throw new Error(`Database Error: ${error.message}`);
+        return count || 0;
+    }
+
+    async getOrganization(id) {
+        const { data, error } = await this.supabase.from('organizations').select('*').eq('id', id).maybeSingle();
+        if (error) throw new Error(`Database Error: ${error.message}`);
+        return data;
+    }
+
+    async createApiKey(fields) {
+        const { data, error } = await this.supabase.from('api_keys').insert([fields]).select().single();
+        if (error) throw new Error(`Database Error: ${error.message}`);
+        return data;
+    }
+
+    async findApiKeyByHash(keyHash) {
+        const { data, error } = await this.supabase.from('api_keys').select('*').eq('key_hash', keyHash).maybeSingle();
+        if (error) throw new Error(`Database Error: ${error.message}`);
+        return data;
+    }
+
+    async listApiKeys({ orgId }) {
+        const { data, error } = await this.supabase
+            .from('api_keys')
+            .select('*')
+            .eq('org_id', orgId)
+            .order('created_at', { ascending: true });
+        if (error) throw new Error(`Database Error: ${error.message}`);
+        return data || [];
+    }
+
+    async revokeApiKey(id, { orgId }) {
+        if (!UUID_RE.test(String(id))) return false;
+        const { data, error } = await this.supabase
+            .from('api_keys')
+            .update({ revoked_at: new Date().toISOString() })
+            .eq('id', id)
+            .eq('org_id', orgId)
+            .is('revoked_at', null)
+            .select('id');
+        if (error) throw new Error(`Database Error: ${error.message}`);
+        return (data || []).length > 0;
+    }
+
+    async touchApiKey(id) {
+        const { error } = await this.supabase.from('api_keys').update({ last_used_at: new Date().toISOString() }).eq('id', id);
+        if (error) throw new Error(`Database Error: ${error.message}`);
+    }
+
+    async createBatch(fields) {
+        const { data, error } = await this.supabase.from('batches').insert([fields]).select().single();
+        if (error) throw new Error(`Database Error: ${error.message}`);
+        return data;
+    }
+
+    async getBatch(id) {
+        if (!UUID_RE.test(String(id))) return null;
+        const { data, error } = await this.supabase.from('batches').select('*').eq('id', id).maybeSingle();
+        if (error) throw new Error(`Database Error: ${error.message}`);
+        return data;
+    }
+
+    async updateBatch(id, fields) {
+        const { error } = await this.supabase.from('batches').update(fields).eq('id', id);
+        if (error) throw new Error(`Database Error: ${error.message}`);
+    }
+
+    async listBatchScans(batchId) {
+        const { data, error } = await this.supabase
+            .from('scans')
+            .select('*')
+            .eq('batch_id', batchId)
+            .order('repo_url', { ascending: true });
+        if (error) throw new Error(`Database Error: ${error.message}`);
+        return data || [];
+    }
+}
+
+module.exports = { SupabaseArtifactStore, SupabaseScanStore };
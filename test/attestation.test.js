@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const ENV = ['ATTESTATION_SIGNING_KEY', 'ATTESTATION_KEY_ID', 'ATTESTATION_PUBLIC_KEYS'];
+
+// The keyring is cached per process, so every configuration gets a fresh copy of the module.
+function attestationWith(env) {
+    ENV.forEach(name => { delete process.env[name]; });
+    Object.assign(process.env, env);
+    delete require.cache[require.resolve('../attestation')];
+    return require('../attestation');
+}
+
+test.afterEach(() => ENV.forEach(name => { delete process.env[name]; }));
+
+const pem = (key) => key.export({ type: key.type === 'private' ? 'pkcs8' : 'spki', format: 'pem' });
+const ed25519 = () => crypto.generateKeyPairSync('ed25519');
+const statement = (overrides = {}) => ({ version: 1, scan_id: 'scan-1', repo: 'https://github.com/acme/app', commit_hash: 'abc', grade: 'B', findings: { secrets: 0 }, ...overrides });
+
+test('a signed attestation verifies, and any change breaks it', () => {
+    const { privateKey } = ed25519();
+    const attestation = attestationWith({ ATTESTATION_SIGNING_KEY: pem(privateKey), ATTESTATION_KEY_ID: '2026-01' });
+    assert.ok(attestation.isSigningEnabled());
+    const envelope = attestation.signAttestation(statement());
+    assert.strictEqual(envelope.key_id, '2026-01');
+    assert.deepStrictEqual(attestation.verifyAttestation(envelope), { valid: true, reason: 'Signature matches', key_id: '2026-01' });
+
+    const tampered = { ...envelope, attestation: { ...envelope.attestation, grade: 'A' } };
+    assert.strictEqual(attestation.verifyAttestation(tampered).valid, false);
+    // Key order does not matter: the statement is canonicalized before signing.
+    const reordered = { ...envelope, attestation: Object.fromEntries(Object.entries(envelope.attestation).reverse()) };
+    assert.strictEqual(attestation.verifyAttestation(reordered).valid, true);
+});
+
+test('signatures of a rotated-out key still verify through ATTESTATION_PUBLIC_KEYS', () => {
+    const old = ed25519();
+    const oldEnvelope = attestationWith({ ATTESTATION_SIGNING_KEY: pem(old.privateKey), ATTESTATION_KEY_ID: '2025-01' }).signAttestation(statement());
+
+    const current = ed25519();
+    const attestation = attestationWith({
+        ATTESTATION_SIGNING_KEY: pem(current.privateKey),
+        ATTESTATION_KEY_ID: '2026-01',
+        ATTESTATION_PUBLIC_KEYS: JSON.stringify({ '2025-01': pem(old.publicKey) }),
+    });
+    assert.strictEqual(attestation.verifyAttestation(oldEnvelope).valid, true);
+    assert.strictEqual(attestation.signAttestation(statement()).key_id, '2026-01');
+    assert.deepStrictEqual(attestation.listPublicKeys().map(k => [k.key_id, k.active]), [['2025-01', false], ['2026-01', true]]);
+
+    // A signature claiming the old key id but made with another key is rejected.
+    const forged = { ...attestation.signAttestation(statement()), key_id: '2025-01' };
+    assert.strictEqual(attestation.verifyAttestation(forged).valid, false);
+});
+
+test('key ids that are Object.prototype keys are unknown', () => {
+    const attestation = attestationWith({ ATTESTATION_SIGNING_KEY: pem(ed25519().privateKey) });
+    const envelope = attestation.signAttestation(statement());
+    for (const keyId of ['constructor', 'toString', '__proto__']) {
+        assert.deepStrictEqual(attestation.verifyAttestation({ ...envelope, key_id: keyId }), { valid: false, reason: `Unknown key id: ${keyId}`, key_id: keyId });
+    }
+});
+
+test('an invalid key configuration fails every time instead of turning signing off', () => {
+    const attestation = attestationWith({ ATTESTATION_SIGNING_KEY: pem(ed25519().privateKey), ATTESTATION_PUBLIC_KEYS: '{ not json' });
+    assert.throws(() => attestation.isSigningEnabled(), /ATTESTATION_PUBLIC_KEYS must be a JSON object/);
+    assert.throws(() => attestation.isSigningEnabled(), /ATTESTATION_PUBLIC_KEYS must be a JSON object/);
+    assert.throws(() => attestation.signAttestation(statement()), /ATTESTATION_PUBLIC_KEYS/);
+
+    const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 });
+    const wrongType = attestationWith({ ATTESTATION_SIGNING_KEY: pem(rsa.privateKey) });
+    assert.throws(() => wrongType.isSigningEnabled(), /must be an Ed25519 key/);
+    assert.throws(() => wrongType.isSigningEnabled(), /must be an Ed25519 key/);
+});
+
+test('without a signing key nothing is signed', () => {
+    const attestation = attestationWith({});
+    assert.strictEqual(attestation.isSigningEnabled(), false);
+    assert.throws(() => attestation.signAttestation(statement()), /ATTESTATION_SIGNING_KEY is not configured/);
+});
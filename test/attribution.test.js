@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { collectPackages, buildNotices, buildSpdxDocument } = require('../attribution');
+
+const MIT_TEXT = 'MIT License\n\nCopyright (c) lodash contributors';
+
+let tmp;
+test.beforeEach(() => { tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'codepassport-test-attribution-')); });
+test.afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const pkg = (name, license, overrides = {}) => ({ name, version: '1.0.0', purl: `pkg:npm/${name}@1.0.0`, type: 'npm', license, location: null, licenseFiles: [], ...overrides });
+
+test('license texts are read next to each package, never through a symlink', () => {
+    fs.mkdirSync(path.join(tmp, 'node_modules', 'lodash'), { recursive: true });
+    fs.writeFileSync(path.join(tmp, 'node_modules', 'lodash', 'LICENSE'), `${MIT_TEXT}\n`);
+    fs.mkdirSync(path.join(tmp, 'node_modules', 'evil'));
+    fs.writeFileSync(path.join(tmp, 'outside-license'), 'not part of the checkout');
+    fs.symlinkSync(path.join(tmp, 'outside-license'), path.join(tmp, 'node_modules', 'evil', 'LICENSE'));
+
+    const report = { Results: [{ Target: 'package-lock.json', Type: 'npm', Packages: [
+        { Name: 'lodash', Version: '4.17.21', Licenses: ['MIT'], Identifier: { PURL: 'pkg:npm/lodash@4.17.21' } },
+        { Name: 'evil', Version: '1.0.0', Licenses: ['MIT', 'ISC'] },
+        { Name: 'lodash', Version: '4.17.21', Licenses: ['MIT'], Identifier: { PURL: 'pkg:npm/lodash@4.17.21' } },
+    ] }] };
+    const packages = collectPackages(report, tmp);
+    assert.deepStrictEqual(packages.map(p => [p.name, p.license, p.licenseFiles.map(f => f.path)]), [
+        ['evil', 'MIT AND ISC', []],
+        ['lodash', 'MIT', [path.join('node_modules', 'lodash', 'LICENSE')]],
+    ]);
+    assert.strictEqual(packages[1].licenseFiles[0].text, MIT_TEXT);
+});
+
+test('THIRD_PARTY_NOTICES groups packages by license and prints each text once', () => {
+    const licenseFiles = [{ path: 'node_modules/a/LICENSE', text: MIT_TEXT }];
+    const notices = buildNotices({ repo: 'https://github.com/acme/app', commitHash: 'abc', packages: [
+        pkg('a', 'MIT', { licenseFiles }),
+        pkg('b', 'MIT', { licenseFiles: [{ path: 'node_modules/b/LICENSE', text: MIT_TEXT }] }),
+        pkg('c', 'Apache-2.0 OR MIT'),
+        pkg('d', 'BSD'),
+        pkg('e', 'NOASSERTION'),
+    ] });
+    assert.match(notices, /^THIRD-PARTY SOFTWARE NOTICES\nhttps:\/\/github\.com\/acme\/app @ abc\n/);
+    assert.match(notices, /includes the 5 third-party packages below/);
+    assert.match(notices, /\nMIT \(2 packages\)\n/);
+    assert.strictEqual(notices.split(MIT_TEXT).length - 1, 1);
+    assert.match(notices, /--- a 1\.0\.0, b 1\.0\.0 \(node_modules\/a\/LICENSE\) ---/);
+    assert.match(notices, /No license text was found in the repository for: c 1\.0\.0\.\nStandard text: https:\/\/spdx\.org\/licenses\/Apache-2\.0\.html, https:\/\/spdx\.org\/licenses\/MIT\.html/);
+    // "BSD" is not an SPDX id, so there is no standard text to point at.
+    assert.match(notices, /No license text was found in the repository for: d 1\.0\.0\.\n\n/);
+    assert.match(notices, /\nNo license declared \(1 package\)\n/);
+});
+
+test('the SPDX document keeps SPDX expressions and turns everything else into LicenseRefs', () => {
+    const spdx = buildSpdxDocument({ scanId: 'scan-1', repo: 'https://github.com/acme/app', commitHash: 'abc', tool: 'CodePassport.io-test', packages: [
+        pkg('a', 'MIT'),
+        pkg('b', '(MIT OR Apache-2.0) AND LGPL-2.1+'),
+        pkg('c', 'GPL-2.0-only WITH Classpath-exception-2.0'),
+        pkg('d', 'BSD', { licenseFiles: [{ path: 'node_modules/d/LICENSE', text: 'Redistribution and use ...' }] }),
+        pkg('e', 'Apache License 2.0'),
+        pkg('f', 'ASL'),
+        pkg('g', 'MIT WITH Made-up-exception'),
+        pkg('h', 'NOASSERTION', { purl: null }),
+    ] });
+
+    assert.strictEqual(spdx.spdxVersion, 'SPDX-2.3');
+    assert.strictEqual(spdx.documentNamespace, 'https://codepassport.io/spdx/scan-1');
+    assert.deepStrictEqual(spdx.packages.map(p => p.licenseDeclared), [
+        'NOASSERTION',
+        'MIT',
+        '(MIT OR Apache-2.0) AND LGPL-2.1+',
+        'GPL-2.0-only WITH Classpath-exception-2.0',
+        'LicenseRef-BSD',
+        'LicenseRef-Apache-License-2.0',
+        'LicenseRef-ASL',
+        'LicenseRef-MIT-WITH-Made-up-exception',
+        'NOASSERTION',
+    ]);
+    assert.deepStrictEqual(spdx.hasExtractedLicensingInfos[0], { licenseId: 'LicenseRef-BSD', name: 'BSD', extractedText: 'Redistribution and use ...' });
+    assert.deepStrictEqual(spdx.hasExtractedLicensingInfos.slice(1).map(e => [e.licenseId, e.extractedText]), [
+        ['LicenseRef-Apache-License-2.0', 'Apache License 2.0'],
+        ['LicenseRef-ASL', 'ASL'],
+        ['LicenseRef-MIT-WITH-Made-up-exception', 'MIT WITH Made-up-exception'],
+    ]);
+
+    // The repository describes itself and depends on every package, each with its purl.
+    const [root, ...dependencies] = spdx.packages;
+    assert.strictEqual(root.downloadLocation, 'git+https://github.com/acme/app@abc');
+    assert.strictEqual(spdx.relationships.filter(r => r.relationshipType === 'DEPENDS_ON' && r.spdxElementId === root.SPDXID).length, dependencies.length);
+    assert.deepStrictEqual(dependencies[0].externalRefs, [{ referenceCategory: 'PACKAGE-MANAGER', referenceType: 'purl', referenceLocator: 'pkg:npm/a@1.0.0' }]);
+    assert.strictEqual(dependencies[7].externalRefs, undefined);
+    assert.strictEqual(new Set(spdx.packages.map(p => p.SPDXID)).size, spdx.packages.length);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+const FIXTURES = path.join(__dirname, 'fixtures', 'scanners');
+
+let tmp;
+test.beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'codepassport-test-cli-'));
+    fs.mkdirSync(path.join(tmp, 'repo'));
+    fs.writeFileSync(path.join(tmp, 'repo', 'package.json'), '{}');
+});
+test.afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+function cli(args, fixturesDir = FIXTURES) {
+    const env = { ...process.env, SCANNER_FIXTURES_DIR: fixturesDir };
+    return spawnSync(process.execPath, [CLI, ...args], { env, encoding: 'utf8', timeout: 60000 });
+}
+
+test('a skipped scanner fails the scan instead of passing --fail-on', () => {
+    const out = path.join(tmp, 'out');
+    const run = cli(['scan', path.join(tmp, 'repo'), '--scanners', 'trivy', '--out', out, '--fail-on', 'F'], tmp);
+    assert.strictEqual(run.status, 2, run.stdout);
+    assert.match(run.stderr, /Not graded: .*trivy skipped/);
+    assert.deepStrictEqual(fs.readdirSync(out), []);
+});
+
+test('check refuses a results file with a scanner that did not run', () => {
+    const input = path.join(tmp, 'scan_results.json');
+    fs.writeFileSync(input, JSON.stringify({ repo: 'repo', grade: 'A', license_policy: 'default', scanners: { trivy: { status: 'ok' }, gitleaks: { status: 'skipped', error: 'Binary not available' } } }));
+    const run = cli(['check', '--input', input, '--fail-on', 'C']);
+    assert.strictEqual(run.status, 2);
+    assert.match(run.stdout, /Not graded: gitleaks \(skipped\) did not run/);
+});
+
+test('only files that were written are listed', () => {
+    const out = path.join(tmp, 'out');
+    fs.mkdirSync(out);
+    fs.writeFileSync(path.join(out, 'sbom.cdx.json'), '{"stale":true}');
+    const run = cli(['scan', path.join(tmp, 'repo'), '--scanners', 'gitleaks,trivy', '--out', out]);
+    assert.strictEqual(run.status, 0, run.stderr);
+    const wrote = run.stdout.split('\n').find(line => line.includes('Wrote'));
+    assert.ok(!wrote.includes('sbom.cdx.json'), wrote);
+    assert.ok(!fs.existsSync(path.join(out, 'sbom.cdx.json')), 'the SBOM of an earlier scan is removed');
+    wrote.match(/Wrote (.*) to /)[1].split(/, | and /).forEach(file => assert.ok(fs.existsSync(path.join(out, file)), file));
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { binaryAvailable } = require('../commands');
+
+test('a missing binary is probed again once it is installed', async (t) => {
+    const bin = fs.mkdtempSync(path.join(os.tmpdir(), 'codepassport-test-bin-'));
+    const originalPath = process.env.PATH;
+    process.env.PATH = `${bin}${path.delimiter}${originalPath}`;
+    t.after(() => {
+        process.env.PATH = originalPath;
+        fs.rmSync(bin, { recursive: true, force: true });
+    });
+
+    assert.strictEqual(await binaryAvailable('codepassport-fake-scanner'), false);
+    fs.writeFileSync(path.join(bin, 'codepassport-fake-scanner'), '#!/bin/sh\necho 1.0.0\n', { mode: 0o755 });
+    assert.strictEqual(await binaryAvailable('codepassport-fake-scanner'), true);
+
+    // Success is cached: removing the binary afterwards does not trigger a new probe.
+    fs.rmSync(path.join(bin, 'codepassport-fake-scanner'));
+    assert.strictEqual(await binaryAvailable('codepassport-fake-scanner'), true);
+});
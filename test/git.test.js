@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateGitAuth } = require('../git');
+
+test('credentials are refused over plain http', () => {
+    assert.match(validateGitAuth({ repoUrl: 'http://git.example.com/acme/app.git', token: 'glpat-secret' }), /https:\/\//);
+    assert.match(validateGitAuth({ repoUrl: 'http://git.example.com/acme/app.git', username: 'ci', token: 'app-password' }), /https:\/\//);
+    assert.match(validateGitAuth({ repoUrl: 'http://git.example.com/acme/app.git', username: 'ci' }), /https:\/\//);
+    assert.match(validateGitAuth({ repoUrl: 'http://git.example.com/acme/app.git', sshKey: 'KEY' }), /SSH repository URL/);
+});
+
+test('public http and credentialed https repositories are accepted', () => {
+    assert.strictEqual(validateGitAuth({ repoUrl: 'http://git.example.com/acme/app.git' }), null);
+    assert.strictEqual(validateGitAuth({ repoUrl: 'https://git.example.com/acme/app.git', username: 'ci', token: 'app-password' }), null);
+    assert.strictEqual(validateGitAuth({ repoUrl: 'git@github.com:acme/app.git', sshKey: 'KEY' }), null);
+});
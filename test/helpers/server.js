@@ -0,0 +1,45 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { hashApiKey } = require('../../auth');
+
+// Boots the API (scan.js) on a random port with no database: tests swap in the scan store
+// methods they need. The Postgres pool never connects as long as no real query runs.
+process.env.DATABASE_URL = process.env.DATABASE_URL || 'postgres://unused@127.0.0.1:1/unused';
+process.env.LOCAL_ARTIFACT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'codepassport-test-artifacts-'));
+delete process.env.SUPABASE_URL;
+delete process.env.SUPABASE_KEY;
+
+const { app, stores } = require('../../scan');
+
+/**
+ * Starts the app
+ * @returns {Promise<Object>} - { baseUrl, stores, close() }
+ */
+function startServer() {
+    return new Promise((resolve) => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            resolve({
+                baseUrl: `http://127.0.0.1:${server.address().port}`,
+                stores,
+                close: () => new Promise(done => server.close(done))
+                    .then(() => fs.rmSync(process.env.LOCAL_ARTIFACT_DIR, { recursive: true, force: true })),
+            });
+        });
+    });
+}
+
+/**
+ * Fake API keys for stores.scans.findApiKeyByHash
+ * @param {Object} keys - { '<plaintext key>': { org_id, user_id, scopes } }
+ * @returns {Object} - Scan store methods to Object.assign onto stores.scans
+ */
+function apiKeyMethods(keys) {
+    const byHash = new Map(Object.entries(keys).map(([key, record], i) => [hashApiKey(key), { id: i + 1, ...record }]));
+    return {
+        findApiKeyByHash: async (hash) => byHash.get(hash) || null,
+        touchApiKey: async () => {},
+    };
+}
+
+module.exports = { startServer, apiKeyMethods };
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getPolicy, listPolicies, validatePolicy, evaluateExpression, evaluateLicenses } = require('../licensePolicy');
+
+// Custom policies are cached per process, so every LICENSE_POLICIES_FILE case loads a fresh copy of the module.
+function policiesFrom(t, content) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'codepassport-test-policies-'));
+    const file = path.join(dir, 'policies.json');
+    if (content !== undefined) fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    process.env.LICENSE_POLICIES_FILE = file;
+    t.after(() => {
+        delete process.env.LICENSE_POLICIES_FILE;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    delete require.cache[require.resolve('../licensePolicy')];
+    return require('../licensePolicy');
+}
+
+test('built-in policies resolve by name', () => {
+    assert.strictEqual(getPolicy().name, 'default');
+    listPolicies().forEach(name => assert.strictEqual(getPolicy(name).name, name));
+    assert.strictEqual(validatePolicy('default'), null);
+});
+
+test('prototype keys are not policies', () => {
+    for (const name of ['toString', 'constructor', '__proto__', 'hasOwnProperty', 'valueOf']) {
+        assert.strictEqual(getPolicy(name), null, name);
+        assert.match(validatePolicy(name), new RegExp(`^Unknown license policy: ${name}\\. Available: default`));
+    }
+    assert.strictEqual(getPolicy(['default']), null);
+});
+
+test('an unknown policy is rejected with the list of valid ones', () => {
+    assert.strictEqual(validatePolicy('strictest'), `Unknown license policy: strictest. Available: ${listPolicies().join(', ')}`);
+    assert.throws(() => evaluateLicenses({ Results: [] }, 'constructor'), /Unknown license policy: constructor\. Available: /);
+});
+
+const decide = (expression, policy = 'default') => evaluateExpression(expression, getPolicy(policy));
+
+test('OR picks the most favourable license, AND the most restrictive', () => {
+    assert.strictEqual(decide('MIT OR GPL-3.0-only').decision, 'allow');
+    assert.match(decide('MIT OR GPL-3.0-only').reason, /best option: MIT/);
+    const both = decide('MIT AND GPL-3.0-only');
+    assert.strictEqual(both.decision, 'deny');
+    assert.strictEqual(both.category, 'strong-copyleft');
+    assert.strictEqual(decide('(MIT OR Apache-2.0) AND LGPL-3.0-only', 'strict').decision, 'review');
+    assert.strictEqual(decide('(GPL-3.0-only OR AGPL-3.0-only) AND MIT', 'saas').decision, 'allow');
+});
+
+test('a linking exception relaxes strong copyleft to weak copyleft', () => {
+    for (const expression of ['GPL-2.0-only WITH Classpath-exception-2.0', 'GPL-2.0-with-classpath-exception', 'GPL-3.0-or-later WITH GCC-exception-3.1']) {
+        const result = decide(expression);
+        assert.strictEqual(result.category, 'weak-copyleft', expression);
+        assert.strictEqual(result.decision, 'allow', expression);
+    }
+    // Any other exception leaves the license as it is.
+    assert.strictEqual(decide('GPL-2.0-only WITH Font-exception-2.0').decision, 'deny');
+});
+
+test('LGPL is weak copyleft in every spelling', () => {
+    for (const id of ['LGPL-2.1-only', 'LGPL-2.1-or-later', 'LGPL-2.1+', 'LGPL-3.0']) {
+        assert.strictEqual(decide(id).category, 'weak-copyleft', id);
+        assert.strictEqual(decide(id).decision, 'allow', id);
+        assert.strictEqual(decide(id, 'strict').decision, 'review', id);
+    }
+});
+
+test('unrecognized licenses fall back to Trivy, then to unknown', () => {
+    assert.strictEqual(evaluateExpression('Some Vendor License', getPolicy(), 'restricted').category, 'strong-copyleft');
+    for (const id of ['constructor', 'toString', 'Proprietary']) {
+        assert.strictEqual(decide(id).category, 'unknown', id);
+        assert.strictEqual(decide(id, 'strict').decision, 'deny', id);
+    }
+});
+
+test('custom policies override categories and list single licenses', (t) => {
+    const { getPolicy: customPolicy, evaluateExpression: evaluate } = policiesFrom(t, [
+        { name: 'corp', allow: ['GPL-2.0-only'], deny: ['WTFPL'], categories: { 'weak-copyleft': 'deny' } },
+    ]);
+    const corp = customPolicy('corp');
+    assert.strictEqual(evaluate('LGPL-2.1-only', corp).decision, 'deny');
+    assert.strictEqual(evaluate('GPL-2.0-or-later', corp).decision, 'allow');
+    assert.strictEqual(evaluate('WTFPL', corp).decision, 'deny');
+    assert.strictEqual(evaluate('MIT', corp).decision, 'allow', 'categories it does not name keep the defaults');
+    assert.strictEqual(evaluate('AGPL-3.0-only', corp).decision, 'deny');
+});
+
+test('an invalid LICENSE_POLICIES_FILE fails every lookup until it is fixed', (t) => {
+    const broken = policiesFrom(t, [{ name: 'corp', categories: { 'weak-copyleft': 'maybe' } }]);
+    assert.throws(() => broken.getPolicy('default'), /policy 'corp': category 'weak-copyleft' must be allow, review, deny/);
+    assert.throws(() => broken.getPolicy('default'), /must be allow, review, deny/, 'nothing was cached');
+
+    assert.throws(() => policiesFrom(t, [{ name: 'corp', categories: { copyleft: 'deny' } }]).getPolicy(), /unknown category 'copyleft'/);
+    assert.throws(() => policiesFrom(t, [{ name: 'corp', deny: 'GPL-3.0-only' }]).getPolicy(), /deny must be a list of license ids/);
+    assert.throws(() => policiesFrom(t, '[{ "name": ').getPolicy(), /invalid JSON/);
+    assert.throws(() => policiesFrom(t).getPolicy(), /not found/);
+});
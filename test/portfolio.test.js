@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { summarizeFindings, buildPortfolio } = require('../portfolio');
+
+const finding = (pkg, id, severity = 'HIGH') => ({ type: 'vulnerability', package: pkg, rule_id: id, severity, suppressed: false });
+
+test('package names that are Object.prototype keys are summarized like any other', () => {
+    const summary = summarizeFindings([finding('constructor', 'CVE-2024-0001'), finding('toString', 'CVE-2024-0002', 'CRITICAL'), finding('__proto__', 'CVE-2024-0003')]);
+    assert.deepStrictEqual([...summary.vulnerablePackages.keys()], ['constructor', 'toString', '__proto__']);
+    assert.strictEqual(summary.vulnerablePackages.get('toString').severity, 'CRITICAL');
+});
+
+test('packages shared by several repositories are rolled up', () => {
+    const scan = (id, repo) => ({ id, repo_url: repo, status: 'COMPLETED', risk_grade: 'B', risk_score: 80 });
+    const report = buildPortfolio({ id: 'batch-1' }, [
+        { scan: scan('s1', 'https://github.com/acme/a'), summary: summarizeFindings([finding('constructor', 'CVE-2024-0001'), { ...finding('lodash', 'CVE-2021-23337'), suppressed: true }]) },
+        { scan: scan('s2', 'https://github.com/acme/b'), summary: summarizeFindings([finding('constructor', 'CVE-2024-0004', 'CRITICAL')]) },
+    ]);
+    assert.strictEqual(report.totals.completed, 2);
+    assert.strictEqual(report.grade_distribution.B, 2);
+    assert.deepStrictEqual(report.top_shared_vulnerable_packages, [{
+        package: 'constructor',
+        repo_count: 2,
+        max_severity: 'CRITICAL',
+        vulnerabilities: ['CVE-2024-0001', 'CVE-2024-0004'],
+        repos: ['https://github.com/acme/a', 'https://github.com/acme/b'],
+    }]);
+    assert.ok(!JSON.stringify(report).includes('lodash'), 'waived findings are left out');
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { claimWithinQuota } = require('../quotas');
+
+// In-memory scan store: just enough for getQuotaUsage, with a yield on every call so
+// concurrent requests interleave the way they do against a real database.
+function memoryStore({ concurrent, monthly = 1000 }) {
+    const rows = [];
+    const tick = () => new Promise(resolve => setImmediate(resolve));
+    return {
+        rows,
+        getOrganization: async () => { await tick(); return { max_concurrent_scans: concurrent, monthly_scan_quota: monthly }; },
+        countScans: async ({ statuses }) => { await tick(); return rows.filter(r => !statuses || statuses.includes(r.status)).length; },
+        createScan: async (fields) => { await tick(); const row = { id: `scan-${rows.length + 1}`, ...fields }; rows.push(row); return row; },
+        deleteScans: async (ids) => { await tick(); ids.forEach(id => rows.splice(rows.findIndex(r => r.id === id), 1)); },
+    };
+}
+
+const claimOne = (store) => claimWithinQuota(store, 'org-a',
+    () => store.createScan({ org_id: 'org-a', status: 'QUEUED' }),
+    (scan) => store.deleteScans([scan.id]));
+
+test('concurrent requests never exceed the concurrent scan limit', async () => {
+    const store = memoryStore({ concurrent: 3 });
+    const results = await Promise.all(Array.from({ length: 10 }, () => claimOne(store)));
+    const allowed = results.filter(r => r.claimed);
+    assert.ok(allowed.length <= 3, `${allowed.length} scans got through`);
+    assert.strictEqual(store.rows.length, allowed.length, 'rejected claims are undone');
+    results.filter(r => r.exceeded).forEach(r => assert.match(r.exceeded.error, /Concurrent scan limit of 3/));
+});
+
+test('a request within the quota keeps its scan', async () => {
+    const store = memoryStore({ concurrent: 2 });
+    const first = await claimOne(store);
+    const second = await claimOne(store);
+    const third = await claimOne(store);
+    assert.ok(first.claimed && second.claimed);
+    assert.ok(third.exceeded);
+    assert.strictEqual(store.rows.length, 2);
+});
+
+test('the monthly quota counts the scan being created', async () => {
+    const store = memoryStore({ concurrent: 10, monthly: 1 });
+    assert.ok((await claimOne(store)).claimed);
+    const over = await claimOne(store);
+    assert.match(over.exceeded.error, /Monthly scan quota of 1/);
+});
+
+test('a failing quota check undoes the claim', async () => {
+    const store = memoryStore({ concurrent: 1 });
+    store.getOrganization = async () => { throw new Error('db down'); };
+    await assert.rejects(claimOne(store), /db down/);
+    assert.strictEqual(store.rows.length, 0);
+});
+
+test('a job that cannot be queued gives its slot back', async () => {
+    const store = memoryStore({ concurrent: 1 });
+    const reasons = [];
+    await assert.rejects(claimWithinQuota(store, 'org-a',
+        () => store.createScan({ org_id: 'org-a', status: 'QUEUED' }),
+        (scan, reason) => { reasons.push(reason); return store.deleteScans([scan.id]); },
+        async () => { throw new Error('queue unavailable'); }), /queue unavailable/);
+    assert.strictEqual(store.rows.length, 0);
+    assert.deepStrictEqual(reasons, ['error']);
+    assert.ok((await claimOne(store)).claimed, 'the slot is free again');
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_MODEL, scoreRisk } = require('../riskScore');
+
+// getModel() caches per process, so each RISK_MODEL_FILE case loads a fresh copy of the module.
+function modelFrom(file) {
+    delete require.cache[require.resolve('../riskScore')];
+    process.env.RISK_MODEL_FILE = file;
+    try {
+        const { getModel } = require('../riskScore');
+        return getModel();
+    } finally {
+        delete process.env.RISK_MODEL_FILE;
+    }
+}
+
+test('one leaked secret of any type grades F', () => {
+    for (const RuleID of ['private-key', 'aws-access-token', 'github-pat', 'generic-api-key']) {
+        const { grade } = scoreRisk({ gitleaks: [{ RuleID, File: '.env', StartLine: 1 }] }, DEFAULT_MODEL);
+        assert.strictEqual(grade, 'F', RuleID);
+    }
+});
+
+test('one denied license of any category grades F', () => {
+    for (const category of Object.keys(DEFAULT_MODEL.licenses.deny)) {
+        const { grade } = scoreRisk({ licenseDecisions: [{ pkg: 'readline', license: 'GPL-3.0-only', category, decision: 'deny' }] }, DEFAULT_MODEL);
+        assert.strictEqual(grade, 'F', category);
+    }
+});
+
+test('a license under review only costs a few points', () => {
+    const { grade } = scoreRisk({ licenseDecisions: [{ pkg: 'lib', license: 'LGPL-2.1-only', category: 'weak-copyleft', decision: 'review' }] }, DEFAULT_MODEL);
+    assert.strictEqual(grade, 'A');
+});
+
+test('RISK_MODEL_FILE overrides are merged over the defaults', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'codepassport-test-model-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'model.json');
+    fs.writeFileSync(file, JSON.stringify({ thresholds: { A: 95 } }));
+    const model = modelFrom(file);
+    assert.strictEqual(model.thresholds.A, 95);
+    assert.strictEqual(model.thresholds.B, DEFAULT_MODEL.thresholds.B);
+});
+
+test('an invalid RISK_MODEL_FILE fails every time instead of falling back to the defaults', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'codepassport-test-model-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const broken = path.join(dir, 'broken.json');
+    fs.writeFileSync(broken, '{ "thresholds": ');
+    assert.throws(() => modelFrom(broken), /RISK_MODEL_FILE .*broken\.json: invalid JSON/);
+    // Same module instance, second call: the failure was not cached as "use the defaults".
+    process.env.RISK_MODEL_FILE = broken;
+    try {
+        assert.throws(() => require('../riskScore').getModel(), /invalid JSON/);
+    } finally {
+        delete process.env.RISK_MODEL_FILE;
+    }
+
+    const wrongType = path.join(dir, 'wrong.json');
+    fs.writeFileSync(wrongType, JSON.stringify({ secrets: { types: { generic: 'high' } } }));
+    assert.throws(() => modelFrom(wrongType), /secrets\.types\.generic must be a number/);
+
+    assert.throws(() => modelFrom(path.join(dir, 'missing.json')), /missing\.json: not found/);
+});
+
+test('a lower D threshold or lighter weights never lift a secret or a denied license above F', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'codepassport-test-model-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'model.json');
+    fs.writeFileSync(file, JSON.stringify({ thresholds: { D: 30 } }));
+    const lenient = modelFrom(file);
+
+    const secret = scoreRisk({ gitleaks: [{ RuleID: 'generic-api-key', File: '.env', StartLine: 1 }] }, lenient);
+    assert.strictEqual(secret.score, 39, 'above the D threshold on points alone');
+    assert.strictEqual(secret.grade, 'F');
+    assert.strictEqual(secret.breakdown.failed_by, 'leaked secret');
+
+    const denied = scoreRisk({ licenseDecisions: [{ pkg: 'readline', license: 'GPL-3.0-only', category: 'strong-copyleft', decision: 'deny' }] }, lenient);
+    assert.strictEqual(denied.grade, 'F');
+    assert.strictEqual(denied.breakdown.failed_by, 'denied license GPL-3.0-only (readline)');
+
+    const light = { ...DEFAULT_MODEL, secrets: { types: { generic: 1 }, cap: 100 } };
+    assert.strictEqual(scoreRisk({ gitleaks: [{ RuleID: 'generic-api-key', File: '.env', StartLine: 1 }] }, light).grade, 'F');
+
+    // Everything else still grades by the custom threshold.
+    const vulns = { Results: [{ Vulnerabilities: Array.from({ length: 5 }, (_, i) => ({ VulnerabilityID: `CVE-${i}`, Severity: 'CRITICAL' })) }] };
+    const result = scoreRisk({ trivy: vulns }, lenient);
+    assert.strictEqual(result.score, 40);
+    assert.strictEqual(result.grade, 'D');
+    assert.strictEqual(result.breakdown.failed_by, null);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffScans, loadAllFindings } = require('../scanDiff');
+
+const vuln = (rule_id, pkg, file, extra = {}) => ({ type: 'vulnerability', rule_id, package: pkg, file, ...extra });
+const base = (findings, scan = {}) => ({ scan: { id: 'base', commit_hash: 'aaa', risk_grade: 'C', risk_score: 62, ...scan }, findings });
+const head = (findings, scan = {}) => ({ scan: { id: 'head', commit_hash: 'bbb', risk_grade: 'B', risk_score: 80, ...scan }, findings });
+const ids = (list) => list.map(f => f.rule_id);
+
+test('findings are new, fixed or unchanged by identity, not by line or version', () => {
+    const diff = diffScans(base([
+        vuln('CVE-1', 'lodash', 'package-lock.json', { line: 10, details: { installed_version: '4.17.20' } }),
+        vuln('CVE-2', 'minimist', 'package-lock.json'),
+        { type: 'misconfiguration', rule_id: 'DS002', file: 'Dockerfile', line: 3 },
+    ]), head([
+        vuln('CVE-1', 'lodash', 'package-lock.json', { line: 42, details: { installed_version: '4.17.21' } }),
+        vuln('CVE-1', 'lodash', 'web/package-lock.json'),
+        vuln('CVE-3', 'qs', 'package-lock.json'),
+        { type: 'misconfiguration', rule_id: 'DS002', file: 'Dockerfile', line: 9 },
+    ]));
+
+    assert.deepStrictEqual(diff.vulnerabilities.new.map(f => [f.rule_id, f.file]), [['CVE-1', 'web/package-lock.json'], ['CVE-3', 'package-lock.json']]);
+    assert.deepStrictEqual(ids(diff.vulnerabilities.fixed), ['CVE-2']);
+    assert.deepStrictEqual(diff.vulnerabilities.unchanged.map(f => f.line), [42], 'the newer finding is reported');
+    assert.deepStrictEqual(ids(diff.misconfigurations.unchanged), ['DS002']);
+    assert.deepStrictEqual(diff.summary, {
+        new_vulnerabilities: 2, fixed_vulnerabilities: 1, unchanged_vulnerabilities: 1,
+        new_misconfigurations: 0, fixed_misconfigurations: 0, new_licenses: 0, new_secrets: 0, removed_secrets: 0,
+    });
+});
+
+test('secrets are told apart by their masked value, licenses by package', () => {
+    const secret = (masked, line) => ({ type: 'secret', rule_id: 'generic-api-key', file: '.env', line, details: { masked_secret: masked } });
+    const license = (pkg, rule_id) => ({ type: 'license', rule_id, package: pkg, file: 'package-lock.json' });
+    const diff = diffScans(
+        base([secret('ghp_****1234', 1), license('readline', 'GPL-3.0-only')]),
+        head([secret('ghp_****1234', 7), secret('ghp_****9876', 8), license('readline', 'GPL-3.0-only'), license('left-pad', 'WTFPL')]),
+    );
+    assert.deepStrictEqual(diff.secrets.new.map(f => f.details.masked_secret), ['ghp_****9876']);
+    assert.deepStrictEqual(diff.secrets.removed, []);
+    assert.deepStrictEqual(diff.licenses.new.map(f => f.package), ['left-pad']);
+});
+
+test('suppressed findings are left out of both sides', () => {
+    const diff = diffScans(
+        base([vuln('CVE-1', 'lodash', 'package-lock.json')]),
+        head([vuln('CVE-1', 'lodash', 'package-lock.json', { suppressed: true }), vuln('CVE-2', 'qs', 'package-lock.json', { suppressed: true })]),
+    );
+    assert.deepStrictEqual(ids(diff.vulnerabilities.fixed), ['CVE-1']);
+    assert.deepStrictEqual(diff.vulnerabilities.new, []);
+});
+
+test('grade and score changes compare the two scans', () => {
+    const improved = diffScans(base([]), head([]));
+    assert.deepStrictEqual(improved.grade_change, { from: 'C', to: 'B', direction: 'improved' });
+    assert.strictEqual(improved.score_change, 18);
+    assert.deepStrictEqual(improved.base, { id: 'base', commit_hash: 'aaa', grade: 'C', risk_score: 62, completed_at: null });
+
+    assert.strictEqual(diffScans(base([]), head([], { risk_grade: 'F', risk_score: 10 })).grade_change.direction, 'regressed');
+    assert.strictEqual(diffScans(base([]), head([], { risk_grade: 'C' })).grade_change.direction, 'unchanged');
+    const unscored = diffScans(base([], { risk_grade: null, risk_score: null }), head([]));
+    assert.strictEqual(unscored.grade_change.direction, 'unknown');
+    assert.strictEqual(unscored.score_change, null);
+});
+
+test('every page of findings is loaded, from the scan a cache hit copied', async () => {
+    const stored = Array.from({ length: 2500 }, (_, i) => vuln(`CVE-${i}`, 'pkg', 'package-lock.json'));
+    const reads = [];
+    const scanStore = {
+        listFindings: async (scanId, { from, to }) => {
+            reads.push([scanId, from, to]);
+            return { findings: stored.slice(from, to + 1), total: stored.length };
+        },
+    };
+    const findings = await loadAllFindings(scanStore, { id: 'copy', cached_from: 'original' });
+    assert.strictEqual(findings.length, 2500);
+    assert.deepStrictEqual(reads, [['original', 0, 999], ['original', 1000, 1999], ['original', 2000, 2999]]);
+});
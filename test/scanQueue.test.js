@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, apiKeyMethods } = require('./helpers/server');
+
+// The helper's DATABASE_URL points at a closed port, so every attempt to queue a job fails:
+// these tests check that a scan whose job could not be queued does not keep a quota slot.
+const KEY = 'cpk_org_a_writer';
+const FAILED_SCAN = '33333333-3333-4333-8333-333333333333';
+
+let server;
+let rows;
+let batches;
+let failCreateAfter;
+const calls = [];
+
+test.before(async () => {
+    // The routes log as they fail; on Node 20 that output can land inside a test runner message and break it.
+    for (const method of ['log', 'error']) test.mock.method(console, method, () => {});
+    server = await startServer();
+    Object.assign(server.stores.scans, apiKeyMethods({
+        [KEY]: { org_id: 'org-a', user_id: 'user-a', scopes: ['scans:read', 'scans:write'] },
+    }), {
+        getOrganization: async () => null,
+        countScans: async ({ statuses }) => rows.filter(r => !statuses || statuses.includes(r.status)).length,
+        createScan: async (fields) => {
+            if (failCreateAfter !== null && rows.length >= failCreateAfter) throw new Error('connection reset');
+            const row = { id: `scan-${rows.length + 1}`, ...fields };
+            rows.push(row);
+            return row;
+        },
+        createBatch: async (fields) => { const batch = { id: `batch-${batches.length + 1}`, ...fields }; batches.push(batch); return batch; },
+        updateBatch: async (id, fields) => { Object.assign(batches.find(b => b.id === id), fields); },
+        deleteScans: async (ids) => { calls.push(['deleteScans', ids]); rows = rows.filter(r => !ids.includes(r.id)); },
+        // A copy, like a database row: the route must not see its own updates through it.
+        getScan: async (id) => { const row = rows.find(r => r.id === id); return row ? { ...row } : null; },
+        updateScan: async (id, fields) => { calls.push(['updateScan', id, fields]); Object.assign(rows.find(r => r.id === id), fields); },
+    });
+});
+
+test.beforeEach(() => { rows = []; batches = []; failCreateAfter = null; calls.length = 0; });
+test.after(() => server.close());
+
+const post = (path, body) => fetch(`${server.baseUrl}${path}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${KEY}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+});
+
+test('POST /scan deletes its scan when the job cannot be queued', async () => {
+    const res = await post('/scan', { repo: 'https://github.com/acme/app' });
+    assert.strictEqual(res.status, 500);
+    assert.strictEqual(rows.length, 0, 'no QUEUED scan is left holding a slot');
+    assert.strictEqual(calls.filter(c => c[0] === 'deleteScans').length, 1);
+});
+
+test('a retry that cannot be queued goes back to its previous status', async () => {
+    rows.push({ id: FAILED_SCAN, org_id: 'org-a', user_id: 'user-a', repo_url: 'https://github.com/acme/app', status: 'ERROR', last_error: 'clone failed', error_kind: 'transient', attempts: 3, completed_at: '2026-01-01T00:00:00Z' });
+    const res = await post(`/scan/${FAILED_SCAN}/retry`, {});
+    assert.strictEqual(res.status, 500);
+    assert.strictEqual(rows[0].status, 'ERROR');
+    assert.strictEqual(rows[0].last_error, 'clone failed');
+    assert.strictEqual(rows[0].attempts, 3);
+});
+
+const REPOS = ['https://github.com/acme/a', 'https://github.com/acme/b', 'https://github.com/acme/c'];
+
+test('a batch whose jobs cannot be queued deletes its scans and fails', async () => {
+    const res = await post('/scan/batch', { repos: REPOS });
+    assert.strictEqual(res.status, 500);
+    assert.strictEqual(rows.length, 0, 'no QUEUED scan is left holding a slot');
+    assert.strictEqual(batches[0].status, 'FAILED');
+});
+
+test('a batch that fails to create its scans deletes the ones it created', async () => {
+    failCreateAfter = 2;
+    const res = await post('/scan/batch', { repos: REPOS });
+    assert.strictEqual(res.status, 500);
+    assert.strictEqual(rows.length, 0);
+    assert.deepStrictEqual(calls.find(c => c[0] === 'deleteScans')[1], ['scan-1', 'scan-2']);
+    assert.strictEqual(batches[0].status, 'FAILED');
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, apiKeyMethods } = require('./helpers/server');
+
+const SCAN_A = '11111111-1111-4111-8111-111111111111';
+const SCAN_A_OLD = '22222222-2222-4222-8222-222222222222';
+const KEY_A = 'cpk_org_a_reader';
+const KEY_B = 'cpk_org_b_reader';
+
+const scans = {
+    [SCAN_A]: { id: SCAN_A, org_id: 'org-a', user_id: 'user-a', repo_url: 'https://github.com/acme/app', status: 'COMPLETED', commit_hash: 'bbb', callback_url: 'https://hooks.acme.test/cb', created_at: '2026-01-02T00:00:00Z' },
+    [SCAN_A_OLD]: { id: SCAN_A_OLD, org_id: 'org-a', user_id: 'user-a', repo_url: 'https://github.com/acme/app', status: 'COMPLETED', commit_hash: 'aaa', created_at: '2026-01-01T00:00:00Z' },
+};
+
+let server;
+const calls = [];
+
+test.before(async () => {
+    server = await startServer();
+    Object.assign(server.stores.scans, apiKeyMethods({
+        [KEY_A]: { org_id: 'org-a', user_id: 'user-a', scopes: ['scans:read'] },
+        [KEY_B]: { org_id: 'org-b', user_id: 'user-b', scopes: ['scans:read'] },
+    }), {
+        getScan: async (id) => scans[id] || null,
+        listFindings: async () => ({ findings: [{ type: 'secret', file: '.env', line: 3 }], total: 1 }),
+        listDeliveries: async () => [{ id: 1, status: 'delivered' }],
+        findPreviousScan: async (query) => { calls.push(['findPreviousScan', query]); return null; },
+        listScans: async (query) => {
+            calls.push(['listScans', query]);
+            const owned = Object.values(scans).filter(s => s.org_id === query.owner.orgId || s.user_id === query.owner.userId);
+            return { scans: owned, total: owned.length };
+        },
+    });
+});
+
+test.after(() => server.close());
+
+const get = (path, key) => fetch(`${server.baseUrl}${path}`, { headers: key ? { Authorization: `Bearer ${key}` } : {} });
+
+const READS = [`/scan/${SCAN_A}`, `/scan/${SCAN_A}/findings`, `/scan/${SCAN_A}/diff`, `/scan/${SCAN_A}/deliveries`, '/scans?repo=https://github.com/acme/app'];
+
+test('scan reads need credentials', async () => {
+    for (const path of READS) {
+        const res = await get(path);
+        assert.strictEqual(res.status, 401, path);
+    }
+});
+
+test('another organization cannot read a scan', async () => {
+    for (const path of READS.slice(0, 4)) {
+        const res = await get(path, KEY_B);
+        assert.ok([403, 404].includes(res.status), `${path} answered ${res.status}`);
+        const body = await res.json();
+        assert.ok(!JSON.stringify(body).includes('.env'), `${path} leaked findings`);
+        assert.ok(!JSON.stringify(body).includes('hooks.acme.test'), `${path} leaked the callback_url`);
+    }
+});
+
+test('another organization lists none of the scans of a repository', async () => {
+    const res = await get('/scans?repo=https://github.com/acme/app', KEY_B);
+    assert.strictEqual(res.status, 200);
+    const body = await res.json();
+    assert.strictEqual(body.total, 0);
+    assert.deepStrictEqual(calls.filter(c => c[0] === 'listScans').pop()[1].owner, { orgId: 'org-b', userId: 'user-b' });
+});
+
+test('the owning organization reads its scans', async () => {
+    const scan = await get(`/scan/${SCAN_A}`, KEY_A);
+    assert.strictEqual(scan.status, 200);
+    assert.strictEqual((await scan.json()).callback_url, 'https://hooks.acme.test/cb');
+
+    const findings = await get(`/scan/${SCAN_A}/findings`, KEY_A);
+    assert.strictEqual(findings.status, 200);
+    assert.strictEqual((await findings.json()).total, 1);
+
+    const listed = await get('/scans?repo=https://github.com/acme/app', KEY_A);
+    assert.strictEqual((await listed.json()).total, 2);
+});
+
+test('a diff never uses a base scan of another organization', async () => {
+    const explicit = await get(`/scan/${SCAN_A}/diff?base=${SCAN_A_OLD}`, KEY_B);
+    assert.ok([403, 404].includes(explicit.status));
+
+    await get(`/scan/${SCAN_A}/diff`, KEY_A);
+    assert.deepStrictEqual(calls.filter(c => c[0] === 'findPreviousScan').pop()[1].owner, { orgId: 'org-a', userId: 'user-a' });
+});
+
+test('artifact types that are Object.prototype keys are rejected as unknown', async () => {
+    for (const type of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+        const res = await get(`/scan/${SCAN_A}/artifacts/${type}`, KEY_A);
+        assert.strictEqual(res.status, 400, type);
+        assert.match((await res.json()).error, /^type must be one of pdf, /);
+    }
+    assert.strictEqual((await get(`/scan/${SCAN_A}/artifacts/pdf`, KEY_A)).status, 404);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getScanner, runScanners, IncompleteScanError } = require('../scanners');
+const { generateSbom } = require('../engine');
+
+// Recorded scanner output, trimmed to a few representative entries.
+const FIXTURES = path.join(__dirname, 'fixtures', 'scanners');
+const WORKSPACE = '/work/repo';
+const fixture = (name) => JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf8'));
+const quiet = () => {};
+
+test('trivy keeps its report targets as they are', () => {
+    const { results, secrets } = getScanner('trivy').parse(fixture('trivy'));
+    assert.deepStrictEqual(results.map(r => r.Target), ['package-lock.json', 'Node.js']);
+    assert.strictEqual(results[0].Vulnerabilities[0].VulnerabilityID, 'CVE-2021-23337');
+    assert.strictEqual(results[1].Licenses[0].Name, 'GPL-3.0-only');
+    assert.deepStrictEqual(secrets, []);
+});
+
+test('gitleaks findings become secrets', () => {
+    const { results, secrets } = getScanner('gitleaks').parse(fixture('gitleaks'));
+    assert.deepStrictEqual(results, []);
+    assert.strictEqual(secrets.length, 1);
+    assert.strictEqual(secrets[0].RuleID, 'aws-access-token');
+    assert.strictEqual(secrets[0].File, 'config/.env');
+});
+
+test('osv prefers CVE aliases, maps severities and drops clean lockfiles', () => {
+    const { results } = getScanner('osv').parse(fixture('osv'), { workspace: WORKSPACE });
+    assert.strictEqual(results.length, 1);
+    assert.strictEqual(results[0].Target, 'go.mod');
+    const [cve, ghsa] = results[0].Vulnerabilities;
+    assert.strictEqual(cve.VulnerabilityID, 'CVE-2022-41723');
+    assert.strictEqual(cve.Severity, 'HIGH');
+    assert.strictEqual(cve.FixedVersion, '0.7.0');
+    assert.strictEqual(cve.PrimaryURL, 'https://osv.dev/vulnerability/GO-2023-1571');
+    assert.strictEqual(ghsa.VulnerabilityID, 'GHSA-4374-p667-p6c8');
+    assert.strictEqual(ghsa.Severity, 'MEDIUM');
+});
+
+test('semgrep hits are grouped per file as code misconfigurations', () => {
+    const { results } = getScanner('semgrep').parse(fixture('semgrep'), { workspace: WORKSPACE });
+    assert.strictEqual(results.length, 1);
+    assert.strictEqual(results[0].Target, 'src/app.js');
+    assert.strictEqual(results[0].Class, 'code');
+    const [evalHit, xss] = results[0].Misconfigurations;
+    assert.strictEqual(evalHit.Title, 'Detected the use of eval(). eval() can be dangerous if used to evaluate dynamic content.');
+    assert.strictEqual(evalHit.Severity, 'MEDIUM');
+    assert.deepStrictEqual(evalHit.CauseMetadata, { StartLine: 12, EndLine: 12 });
+    assert.strictEqual(xss.Severity, 'HIGH');
+    assert.strictEqual(xss.PrimaryURL, 'https://owasp.org/Top10/A03_2021-Injection');
+});
+
+test('trivy-config keeps failed checks only', () => {
+    const { results } = getScanner('trivy-config').parse(fixture('trivy-config'));
+    assert.strictEqual(results.length, 1);
+    assert.strictEqual(results[0].Target, 'Dockerfile');
+    assert.deepStrictEqual(results[0].Misconfigurations.map(m => m.ID), ['DS002']);
+});
+
+test('runScanners merges recorded output from every selected scanner', async () => {
+    const { report, secrets, runs } = await runScanners(['gitleaks', 'osv', 'semgrep', 'trivy', 'trivy-config'], WORKSPACE, { fixturesDir: FIXTURES, log: quiet });
+    assert.deepStrictEqual(Object.values(runs).map(r => r.status), ['ok', 'ok', 'ok', 'ok', 'ok']);
+    assert.deepStrictEqual([...new Set(report.Results.map(r => r.Scanner))], ['trivy', 'osv', 'semgrep', 'trivy-config']);
+    assert.strictEqual(secrets[0].Scanner, 'gitleaks');
+});
+
+test('a selected scanner without output fails the run', async () => {
+    const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codepassport-test-fixtures-'));
+    try {
+        fs.copyFileSync(path.join(FIXTURES, 'trivy.json'), path.join(fixturesDir, 'trivy.json'));
+        await assert.rejects(runScanners(['gitleaks', 'trivy'], WORKSPACE, { fixturesDir, log: quiet }), (e) => {
+            assert.ok(e instanceof IncompleteScanError);
+            assert.strictEqual(e.runs.trivy.status, 'ok');
+            assert.strictEqual(e.runs.gitleaks.status, 'skipped');
+            assert.match(e.message, /gitleaks skipped/);
+            return true;
+        });
+    } finally {
+        fs.rmSync(fixturesDir, { recursive: true, force: true });
+    }
+});
+
+test('generateSbom never runs trivy in fixture mode', async () => {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codepassport-test-sbom-'));
+    try {
+        const sbomPath = path.join(workDir, 'sbom.cdx.json');
+        // No recorded SBOM and no Trivy report: without fixtures this would fall back to running trivy.
+        assert.strictEqual(await generateSbom({ workspace: WORKSPACE, workDir, sbomPath, fixturesDir: FIXTURES }), null);
+        assert.ok(!fs.existsSync(sbomPath));
+
+        const recorded = path.join(workDir, 'recorded');
+        fs.mkdirSync(recorded);
+        fs.writeFileSync(path.join(recorded, 'sbom.cdx.json'), JSON.stringify({ bomFormat: 'CycloneDX', specVersion: '1.5', components: [] }));
+        assert.strictEqual(await generateSbom({ workspace: WORKSPACE, workDir, sbomPath, fixturesDir: recorded }), sbomPath);
+        assert.strictEqual(JSON.parse(fs.readFileSync(sbomPath, 'utf8')).bomFormat, 'CycloneDX');
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+});
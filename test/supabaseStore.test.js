@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SupabaseScanStore } = require('../storage/supabase');
+
+// Stand-in for supabase-js: records every builder call and answers with respond(table, calls).
+function fakeClient(respond) {
+    const queries = [];
+    return {
+        queries,
+        from(table) {
+            const calls = [];
+            queries.push({ table, calls });
+            const builder = new Proxy({}, {
+                get(target, method) {
+                    if (method === 'then') {
+                        const result = Promise.resolve(respond(table, calls));
+                        return result.then.bind(result);
+                    }
+                    return (...args) => { calls.push([method, ...args]); return builder; };
+                },
+            });
+            return builder;
+        },
+    };
+}
+
+const SCAN_ID = '11111111-1111-4111-8111-111111111111';
+
+test('getScan treats a malformed id as not found', async () => {
+    const client = fakeClient(() => ({ data: null, error: { message: 'invalid input syntax for type uuid' } }));
+    const store = new SupabaseScanStore(client);
+    assert.strictEqual(await store.getScan('not-a-uuid'), null);
+    assert.strictEqual(await store.getScan("1' OR '1'='1"), null);
+    assert.strictEqual(client.queries.length, 0);
+});
+
+test('findCachedScan returns the most recently completed scan', async () => {
+    const client = fakeClient(() => ({ data: { id: SCAN_ID }, error: null }));
+    await new SupabaseScanStore(client).findCachedScan({ repoUrl: 'https://github.com/acme/app', commitHash: 'abc', policy: 'default', scanners: 'gitleaks,trivy' });
+    const calls = client.queries[0].calls;
+    assert.deepStrictEqual(calls.find(c => c[0] === 'order'), ['order', 'completed_at', { ascending: false, nullsFirst: false }]);
+    assert.ok(calls.findIndex(c => c[0] === 'order') < calls.findIndex(c => c[0] === 'limit'));
+});
+
+test('replaceFindings stops when the old findings could not be deleted', async () => {
+    const client = fakeClient((table, calls) => (calls.some(c => c[0] === 'delete') ? { error: { message: 'permission denied' } } : { error: null }));
+    await assert.rejects(new SupabaseScanStore(client).replaceFindings(SCAN_ID, [{ scan_id: SCAN_ID, type: 'secret' }]), /permission denied/);
+    assert.ok(!client.queries.some(q => q.calls.some(c => c[0] === 'insert')), 'nothing inserted on top of the old rows');
+});
+
+test('listMonitoredScans reads every page', async () => {
+    const total = 2500;
+    const rows = Array.from({ length: total }, (_, i) => ({ id: `scan-${i}`, repo_url: `https://github.com/acme/repo-${i}`, git_ref: 'HEAD' }));
+    const client = fakeClient((table, calls) => {
+        const [, from, to] = calls.find(c => c[0] === 'range');
+        return { data: rows.slice(from, to + 1), error: null };
+    });
+    const scans = await new SupabaseScanStore(client).listMonitoredScans();
+    assert.strictEqual(scans.length, total);
+    assert.strictEqual(client.queries.length, 3);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const dns = require('dns');
+const http = require('http');
+const webhooks = require('../webhooks');
+
+const SCAN = { id: 'scan-1', org_id: 'org-a', repo_url: 'https://github.com/acme/app', status: 'COMPLETED' };
+
+function fakeContext({ logDelivery } = {}) {
+    const logged = [];
+    const queued = [];
+    return {
+        logged,
+        queued,
+        ctx: {
+            scanStore: {
+                getScan: async () => SCAN,
+                logDelivery: logDelivery || (async (fields) => { logged.push(fields); }),
+            },
+            addJob: async (name, payload, options) => { queued.push({ name, payload, options }); },
+        },
+    };
+}
+
+const job = (url) => ({ deliveryId: 'delivery-1', scanId: SCAN.id, event: 'scan.completed', url, webhookId: null, secret: 'whsec_test', attempt: 1 });
+
+// Answers every lookup with `addresses`, as a DNS name under an attacker's control could.
+function resolveTo(t, addresses) {
+    const original = dns.lookup;
+    dns.lookup = (hostname, options, callback) => {
+        if (typeof options === 'function') callback = options;
+        callback(null, addresses);
+    };
+    t.after(() => { dns.lookup = original; });
+}
+
+test('private targets are refused by name when registered', () => {
+    for (const url of ['http://localhost:3000/hook', 'http://127.0.0.1/hook', 'http://[::1]/hook', 'http://10.0.0.5/hook', 'http://169.254.169.254/latest', 'http://2130706433/hook']) {
+        assert.strictEqual(webhooks.validateWebhookUrl(url), 'must not point to a private or local address', url);
+    }
+    assert.strictEqual(webhooks.validateWebhookUrl('https://hooks.example.com/cb'), null);
+});
+
+test('a public name that resolves to a private address is never contacted', async (t) => {
+    resolveTo(t, [{ address: '127.0.0.1', family: 4 }]);
+    const { ctx, logged, queued } = fakeContext();
+    await webhooks.deliverWebhook(job('http://hooks.example.com:1/cb'), ctx);
+    assert.strictEqual(logged.length, 1);
+    assert.strictEqual(logged[0].status, 'failed');
+    assert.match(logged[0].error, /resolves to a private or local address \(127\.0\.0\.1\)/);
+    assert.strictEqual(queued.length, 0, 'not retried');
+});
+
+test('every resolved address is checked, not only the first', async (t) => {
+    resolveTo(t, [{ address: '93.184.216.34', family: 4 }, { address: '10.1.2.3', family: 4 }]);
+    const { ctx, logged } = fakeContext();
+    await webhooks.deliverWebhook(job('http://hooks.example.com:1/cb'), ctx);
+    assert.match(logged[0].error, /private or local address \(10\.1\.2\.3\)/);
+});
+
+test('a delivery log failure does not stop the retries', async (t) => {
+    const server = http.createServer((req, res) => { res.statusCode = 503; res.end(); });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+    t.after(() => {
+        delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+        server.close();
+    });
+
+    const { ctx, queued } = fakeContext({ logDelivery: async () => { throw new Error('relation "webhook_deliveries" does not exist'); } });
+    await webhooks.deliverWebhook(job(`http://127.0.0.1:${server.address().port}/cb`), ctx);
+    assert.strictEqual(queued.length, 1);
+    assert.strictEqual(queued[0].payload.attempt, 2);
+});
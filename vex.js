@@ -0,0 +1,332 @@
+const fs = require('fs');
+const path = require('path');
+
+// --- 🧾 VEX (Vulnerability Exploitability eXchange) ---
+// A VEX statement says whether a vulnerability actually affects a product. `not_affected` and `fixed`
+// statements take the matching Trivy findings out of the grade (they are stored as suppressed);
+// `affected` / `under_investigation` change nothing. OpenVEX and CycloneDX VEX (a BOM with
+// `vulnerabilities[].analysis`) are both read, from the scanned repository and from the scan request.
+// When several statements match one finding the last one wins: repository files first (in the order
+// below), then attached documents, each in document order.
+//
+// Repository files: .vex.json, vex.json, .openvex.json, openvex.json, .vex/*.json (regular files only, never symlinks)
+// VEX_AUTHOR : author of the OpenVEX document emitted for each scan (default "CodePassport.io")
+
+const VEX_FILES = ['.vex.json', 'vex.json', '.openvex.json', 'openvex.json'];
+const VEX_DIR = '.vex';
+const OPENVEX_CONTEXT = 'https://openvex.dev/ns/v0.2.0';
+const STATUSES = ['not_affected', 'affected', 'fixed', 'under_investigation'];
+const SUPPRESSING_STATUSES = ['not_affected', 'fixed'];
+const MAX_ATTACHED = 10;
+
+// CycloneDX analysis vocabulary, translated to OpenVEX's.
+const CDX_STATES = {
+    not_affected: 'not_affected',
+    false_positive: 'not_affected',
+    resolved: 'fixed',
+    resolved_with_pedigree: 'fixed',
+    exploitable: 'affected',
+    in_triage: 'under_investigation',
+};
+const CDX_JUSTIFICATIONS = {
+    code_not_present: 'vulnerable_code_not_present',
+    code_not_reachable: 'vulnerable_code_not_in_execute_path',
+    requires_configuration: 'vulnerable_code_cannot_be_controlled_by_adversary',
+    requires_dependency: 'component_not_present',
+    requires_environment: 'vulnerable_code_cannot_be_controlled_by_adversary',
+    protected_by_compiler: 'inline_mitigations_already_exist',
+    protected_at_runtime: 'inline_mitigations_already_exist',
+    protected_at_perimeter: 'inline_mitigations_already_exist',
+    protected_by_mitigating_control: 'inline_mitigations_already_exist',
+};
+
+// --- 📥 PARSING ---
+function parsePurl(purl) {
+    const match = /^pkg:([^/]+)\/(.+?)(?:@([^?#]+))?(?:\?[^#]*)?(?:#.*)?$/.exec(String(purl || ''));
+    if (!match) return null;
+    const parts = match[2].split('/').map(p => decodeURIComponent(p));
+    const name = parts.pop();
+    return { type: match[1].toLowerCase(), namespace: parts.join('/'), name, version: match[3] ? decodeURIComponent(match[3]) : null };
+}
+
+// The name Trivy reports for a package (npm "@scope/name", Maven "group:artifact", Go "module/path").
+function packageName({ type, namespace, name }) {
+    if (!namespace) return name;
+    return type === 'maven' ? `${namespace}:${name}` : `${namespace}/${name}`;
+}
+
+const idOf = (item) => (typeof item === 'string' ? item : item && (item['@id'] || (item.identifiers && item.identifiers.purl)));
+
+// A product with subcomponents is the application; the subcomponents are the packages it talks about.
+function openvexComponents(statement) {
+    const components = [];
+    (statement.products || []).forEach(product => {
+        const subcomponents = (product && product.subcomponents) || [];
+        if (subcomponents.length) subcomponents.forEach(s => components.push(idOf(s)));
+        else components.push(idOf(product));
+    });
+    (statement.subcomponents || []).forEach(s => components.push(idOf(s)));
+    return components.filter(Boolean);
+}
+
+function parseOpenvex(doc, source) {
+    const statements = [];
+    const errors = [];
+    (doc.statements || []).forEach((raw, index) => {
+        const label = `${source} statement ${index + 1}`;
+        const vuln = raw && raw.vulnerability;
+        const name = typeof vuln === 'string' ? vuln : vuln && (vuln.name || vuln['@id']);
+        if (!name) return errors.push(`${label}: vulnerability is required`);
+        if (!STATUSES.includes(raw.status)) return errors.push(`${label}: status must be one of ${STATUSES.join(', ')}`);
+        if (raw.status === 'not_affected' && !raw.justification && !raw.impact_statement) {
+            return errors.push(`${label}: not_affected needs a justification or an impact_statement`);
+        }
+        statements.push({
+            ids: [name, ...((vuln && vuln.aliases) || [])].map(id => String(id).toUpperCase()),
+            components: openvexComponents(raw),
+            status: raw.status,
+            justification: raw.justification || null,
+            impact_statement: raw.impact_statement || null,
+            source,
+        });
+    });
+    return { format: 'openvex', statements, errors };
+}
+
+function parseCyclonedx(doc, source) {
+    // affects[].ref points at a bom-ref; resolve it to the component's purl when the BOM has one.
+    const purls = {};
+    const index = (components) => (components || []).forEach(c => {
+        if (c['bom-ref'] && c.purl) purls[c['bom-ref']] = c.purl;
+        index(c.components);
+    });
+    index(doc.components);
+    if (doc.metadata && doc.metadata.component) index([doc.metadata.component]);
+
+    const statements = [];
+    const errors = [];
+    (doc.vulnerabilities || []).forEach((raw, i) => {
+        const label = `${source} vulnerability ${i + 1}`;
+        const analysis = raw && raw.analysis;
+        if (!analysis) return; // A plain vulnerability listing, not a VEX statement.
+        if (!raw.id) return errors.push(`${label}: id is required`);
+        const status = CDX_STATES[analysis.state];
+        if (!status) return errors.push(`${label}: unknown analysis.state "${analysis.state}"`);
+        statements.push({
+            ids: [raw.id, ...(raw.references || []).map(r => r.id)].filter(Boolean).map(id => String(id).toUpperCase()),
+            components: (raw.affects || []).map(a => purls[a.ref] || a.ref).filter(Boolean),
+            status,
+            justification: CDX_JUSTIFICATIONS[analysis.justification] || null,
+            impact_statement: analysis.detail || (analysis.state === 'false_positive' ? 'False positive' : null),
+            source,
+        });
+    });
+    return { format: 'cyclonedx', statements, errors };
+}
+
+/**
+ * Reads the statements of one OpenVEX or CycloneDX VEX document
+ * @param {Object} doc - The parsed JSON document
+ * @param {string} source - Where it came from (shown next to every justification)
+ * @returns {Object} - { format, statements, errors }
+ * @throws {Error} - When the document is neither OpenVEX nor CycloneDX
+ */
+function parseVexDocument(doc, source) {
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) throw new Error(`${source}: must be a JSON object`);
+    if (String(doc['@context'] || '').includes('openvex') || Array.isArray(doc.statements)) return parseOpenvex(doc, source);
+    if (doc.bomFormat === 'CycloneDX') return parseCyclonedx(doc, source);
+    throw new Error(`${source}: not an OpenVEX or CycloneDX VEX document`);
+}
+
+/**
+ * Checks the VEX documents attached to a scan request
+ * @param {Object|Array<Object>} input - One document or a list of them
+ * @returns {string|null} - An error message, or null when every document is usable
+ */
+function validateVexDocuments(input) {
+    const docs = Array.isArray(input) ? input : [input];
+    if (docs.length > MAX_ATTACHED) return `vex accepts at most ${MAX_ATTACHED} documents`;
+    for (let i = 0; i < docs.length; i++) {
+        try {
+            const { errors } = parseVexDocument(docs[i], `vex[${i}]`);
+            if (errors.length) return errors[0];
+        } catch (e) {
+            return e.message;
+        }
+    }
+    return null;
+}
+
+// Repository files are untrusted: a symlink could point anywhere on the scanner host, so only regular
+// files are read. Returns the lstat entry, or null when there is nothing at that path.
+function lstatOrNull(file) {
+    try { return fs.lstatSync(file); } catch (e) { return null; }
+}
+
+/**
+ * Collects the VEX statements of a cloned repository plus the documents attached to the scan
+ * @param {string|null} repoDir - Root of the cloned repository
+ * @param {Array<Object>} [attached] - Documents from the scan request
+ * @returns {Object} - { documents: [{ source, format, statements }], statements, errors }
+ */
+function loadVex(repoDir, attached = []) {
+    const inputs = [];
+    const errors = [];
+    if (repoDir && fs.existsSync(repoDir)) {
+        const candidates = VEX_FILES.map(f => ({ source: f, file: path.join(repoDir, f) }));
+        const dir = path.join(repoDir, VEX_DIR);
+        const dirStat = lstatOrNull(dir);
+        if (dirStat && dirStat.isSymbolicLink()) errors.push(`${VEX_DIR}: symbolic links are not read`);
+        else if (dirStat && dirStat.isDirectory()) {
+            fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()
+                .forEach(f => candidates.push({ source: `${VEX_DIR}/${f}`, file: path.join(dir, f) }));
+        }
+        candidates.forEach(candidate => {
+            const stat = lstatOrNull(candidate.file);
+            if (!stat) return;
+            if (stat.isFile()) inputs.push(candidate);
+            else errors.push(`${candidate.source}: ${stat.isSymbolicLink() ? 'symbolic links are not read' : 'not a regular file'}`);
+        });
+    }
+    (attached || []).forEach((doc, i) => inputs.push({ source: `attached #${i + 1}`, doc }));
+
+    const documents = [];
+    const statements = [];
+    inputs.forEach(({ source, file, doc }) => {
+        try {
+            // Parser messages quote the file's content, so they never reach the stored summary.
+            if (!doc) {
+                let text;
+                try { text = fs.readFileSync(file, 'utf8'); } catch (e) { throw new Error(`${source}: could not be read`); }
+                try { doc = JSON.parse(text); } catch (e) { throw new Error(`${source}: invalid JSON`); }
+            }
+            const parsed = parseVexDocument(doc, source);
+            documents.push({ source, format: parsed.format, statements: parsed.statements.length });
+            statements.push(...parsed.statements);
+            errors.push(...parsed.errors);
+        } catch (e) {
+            errors.push(e.message);
+        }
+    });
+    return { documents, statements, errors };
+}
+
+// --- 🎯 MATCHING ---
+// A statement without components covers the vulnerability in every package.
+function componentMatches(component, vuln) {
+    const wanted = parsePurl(component);
+    if (!wanted) return component === vuln.PkgName || component === `${vuln.PkgName}@${vuln.InstalledVersion}`;
+    if (wanted.version && wanted.version !== vuln.InstalledVersion) return false;
+    const actual = parsePurl(vuln.PkgIdentifier && vuln.PkgIdentifier.PURL);
+    if (actual && wanted.type !== 'generic') return actual.type === wanted.type && actual.namespace === wanted.namespace && actual.name === wanted.name;
+    return packageName(wanted) === vuln.PkgName;
+}
+
+function statementFor(statements, vuln) {
+    const ids = [vuln.VulnerabilityID, ...(vuln.VendorIDs || [])].map(id => String(id).toUpperCase());
+    let found = null;
+    statements.forEach(s => {
+        if (!s.ids.some(id => ids.includes(id))) return;
+        if (s.components.length && !s.components.some(c => componentMatches(c, vuln))) return;
+        found = s;
+    });
+    return found;
+}
+
+/**
+ * Splits Trivy vulnerabilities into graded ones and ones a VEX statement marks not_affected / fixed
+ * @param {Array<Object>} statements - From loadVex()
+ * @param {Object} trivy - Trivy report ({ Results })
+ * @returns {Object} - { active, suppressed } Trivy reports; suppressed vulnerabilities carry a `Vex`
+ */
+function applyVex(statements, trivy = {}) {
+    const active = { ...trivy, Results: [] };
+    const suppressed = { Results: [] };
+    (trivy.Results || []).forEach(target => {
+        const keep = [];
+        const vexed = [];
+        (target.Vulnerabilities || []).forEach(vuln => {
+            const statement = statements.length ? statementFor(statements, vuln) : null;
+            if (statement && SUPPRESSING_STATUSES.includes(statement.status)) {
+                const { status, justification, impact_statement, source } = statement;
+                vexed.push({ ...vuln, Vex: { status, justification, impact_statement, source } });
+            } else {
+                keep.push(vuln);
+            }
+        });
+        active.Results.push({ ...target, Vulnerabilities: keep });
+        if (vexed.length) suppressed.Results.push({ Target: target.Target, Scanner: target.Scanner, Vulnerabilities: vexed });
+    });
+    return { active, suppressed };
+}
+
+/**
+ * Flattens VEX-suppressed vulnerabilities for the certificate
+ * @param {Object} suppressed - The `suppressed` report returned by applyVex()
+ * @returns {Array<Object>} - [{ id, package, version, severity, location, status, justification, impact_statement, source }]
+ */
+function listVexFindings(suppressed) {
+    const rows = [];
+    (suppressed.Results || []).forEach(target => (target.Vulnerabilities || []).forEach(v => rows.push({
+        id: v.VulnerabilityID,
+        package: v.PkgName,
+        version: v.InstalledVersion || null,
+        severity: v.Severity || 'UNKNOWN',
+        location: target.Target,
+        ...v.Vex,
+    })));
+    return rows;
+}
+
+// --- 📤 EMITTED DOCUMENT ---
+function productOf(vuln) {
+    const purl = vuln.PkgIdentifier && vuln.PkgIdentifier.PURL;
+    if (purl) return purl;
+    const version = vuln.InstalledVersion ? `@${encodeURIComponent(vuln.InstalledVersion)}` : '';
+    return `pkg:generic/${encodeURIComponent(vuln.PkgName)}${version}`;
+}
+
+function describeStatus(vuln) {
+    if (vuln.Vex) {
+        const { status, justification, impact_statement } = vuln.Vex;
+        return { status, ...(justification ? { justification } : {}), ...(impact_statement ? { impact_statement } : {}) };
+    }
+    // A waiver accepts the risk; the package is still affected.
+    if (vuln.Waiver) {
+        return { status: 'affected', action_statement: `Risk accepted until ${vuln.Waiver.expires} (owner: ${vuln.Waiver.owner}): ${vuln.Waiver.justification}` };
+    }
+    return { status: 'affected', action_statement: vuln.FixedVersion ? `Upgrade ${vuln.PkgName} to ${vuln.FixedVersion}` : 'No fixed version is available yet' };
+}
+
+/**
+ * Builds the OpenVEX document of a scan: one statement per vulnerability and package
+ * @param {Object} input - { scanId, repo, commitHash, trivy } where trivy holds every vulnerability (graded, waived and VEX-suppressed)
+ * @returns {Object} - OpenVEX v0.2.0 document
+ */
+function buildVexDocument({ scanId, repo, commitHash, trivy = {} }) {
+    const timestamp = new Date().toISOString();
+    const product = commitHash ? `${repo}@${commitHash}` : repo;
+    const seen = new Set();
+    const statements = [];
+    (trivy.Results || []).forEach(target => (target.Vulnerabilities || []).forEach(vuln => {
+        const component = productOf(vuln);
+        const key = `${vuln.VulnerabilityID}|${component}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        statements.push({
+            vulnerability: { name: vuln.VulnerabilityID },
+            products: [{ '@id': product, subcomponents: [{ '@id': component }] }],
+            ...describeStatus(vuln),
+        });
+    }));
+    return {
+        '@context': OPENVEX_CONTEXT,
+        '@id': `urn:codepassport:vex:${scanId}`,
+        author: process.env.VEX_AUTHOR || 'CodePassport.io',
+        timestamp,
+        version: 1,
+        statements,
+    };
+}
+
+module.exports = { parseVexDocument, validateVexDocuments, loadVex, applyVex, listVexFindings, buildVexDocument };
@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// --- 🛂 WAIVERS (.codepassport.yml) ---
+// waivers:
+//   - rule: generic-api-key          # Gitleaks RuleID or misconfiguration / Semgrep rule id
+//     path: "test/fixtures/**"       # file glob
+//     package: lodash                # package name
+//     cve: CVE-2021-23337            # vulnerability id
+//     license: GPL-3.0-only          # license name
+//     justification: "Fixture token, never valid"
+//     owner: security@example.com
+//     expires: 2026-12-31
+
+const WAIVER_FILES = ['.codepassport.yml', '.codepassport.yaml'];
+const SELECTORS = ['rule', 'path', 'package', 'cve', 'license'];
+
+function globToRegExp(glob) {
+    let re = '';
+    const pattern = String(glob).replace(/^\.\//, '');
+    for (let i = 0; i < pattern.length; i++) {
+        const ch = pattern[i];
+        if (ch === '*') {
+            if (pattern[i + 1] === '*') {
+                // "**/" matches zero or more directories, a trailing "**" matches everything
+                if (pattern[i + 2] === '/') { re += '(?:.*/)?'; i += 2; }
+                else { re += '.*'; i += 1; }
+            } else {
+                re += '[^/]*';
+            }
+        } else if (ch === '?') {
+            re += '[^/]';
+        } else {
+            re += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${re}$`);
+}
+
+function normalizePath(file, rootDir) {
+    let p = String(file || '').replace(/\\/g, '/');
+    if (rootDir) {
+        const root = rootDir.replace(/\\/g, '/').replace(/\/$/, '') + '/';
+        if (p.startsWith(root)) p = p.slice(root.length);
+    }
+    return p.replace(/^\.\//, '');
+}
+
+function parseExpiry(value) {
+    if (!value) return null;
+    const text = String(value).trim();
+    // A date-only expiry ("2026-12-31") is valid through the end of that day (UTC); one with a
+    // time, even midnight, ends exactly then.
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T23:59:59.999Z` : text);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Reads and validates the waiver file from a cloned repository
+ * @param {string} repoDir - Root of the cloned repository
+ * @returns {Object} - { file, waivers, errors }
+ */
+function loadWaivers(repoDir) {
+    // lstat, not exists/stat: a symlinked waiver file could point anywhere on the scanner host.
+    const found = WAIVER_FILES.map(f => {
+        try { return { file: f, stat: fs.lstatSync(path.join(repoDir, f)) }; } catch (e) { return null; }
+    }).find(Boolean);
+    if (!found) return { file: null, waivers: [], errors: [] };
+    const { file } = found;
+    if (!found.stat.isFile()) {
+        return { file, waivers: [], errors: [found.stat.isSymbolicLink() ? 'Symbolic links are not read' : 'Not a regular file'] };
+    }
+
+    let doc;
+    try {
+        // CORE_SCHEMA leaves timestamps as written, so parseExpiry can tell a date from a midnight time.
+        doc = yaml.load(fs.readFileSync(path.join(repoDir, file), 'utf8'), { schema: yaml.CORE_SCHEMA }) || {};
+    } catch (e) {
+        // js-yaml messages quote the offending lines; only the line number is kept.
+        return { file, waivers: [], errors: [e.mark ? `Invalid YAML at line ${e.mark.line + 1}` : 'Invalid YAML'] };
+    }
+
+    const waivers = [];
+    const errors = [];
+    (Array.isArray(doc.waivers) ? doc.waivers : []).forEach((raw, index) => {
+        const id = (raw && raw.id) || `waiver-${index + 1}`;
+        if (!raw || typeof raw !== 'object') return errors.push(`${id}: must be a mapping`);
+        if (!SELECTORS.some(s => raw[s])) return errors.push(`${id}: needs at least one of ${SELECTORS.join(', ')}`);
+        if (!raw.justification) return errors.push(`${id}: justification is required`);
+        if (!raw.owner) return errors.push(`${id}: owner is required`);
+        const expires = parseExpiry(raw.expires);
+        if (!expires) return errors.push(`${id}: expires must be a valid date`);
+
+        waivers.push({
+            id: String(id),
+            rule: raw.rule ? String(raw.rule) : null,
+            path: raw.path ? String(raw.path) : null,
+            pathRe: raw.path ? globToRegExp(raw.path) : null,
+            package: raw.package ? String(raw.package) : null,
+            cve: raw.cve ? String(raw.cve).toUpperCase() : null,
+            license: raw.license ? String(raw.license) : null,
+            justification: String(raw.justification),
+            owner: String(raw.owner),
+            expires,
+        });
+    });
+    return { file, waivers, errors };
+}
+
+// Every selector present on the waiver must match; absent selectors are wildcards.
+function matches(waiver, subject) {
+    if (waiver.rule && waiver.rule !== subject.rule) return false;
+    if (waiver.cve && waiver.cve !== String(subject.cve || '').toUpperCase()) return false;
+    if (waiver.package && waiver.package !== subject.package) return false;
+    if (waiver.license && waiver.license !== subject.license) return false;
+    if (waiver.pathRe && !waiver.pathRe.test(subject.path || '')) return false;
+    // A waiver scoped to one finding type must not leak onto another.
+    if (waiver.rule && subject.type !== 'secret' && subject.type !== 'misconfiguration') return false;
+    if (waiver.cve && subject.type !== 'vulnerability') return false;
+    if (waiver.license && subject.type !== 'license') return false;
+    return true;
+}
+
+function publicWaiver(waiver) {
+    return {
+        id: waiver.id,
+        justification: waiver.justification,
+        owner: waiver.owner,
+        expires: waiver.expires.toISOString().split('T')[0],
+    };
+}
+
+/**
+ * Splits findings into graded and accepted (waived) sets
+ * @param {Array<Object>} waivers - From loadWaivers()
+ * @param {Object} findings - { trivy, gitleaks, licenseDecisions }
+ * @param {Object} [options] - { repoDir, now }
+ * @returns {Object} - { active: {...}, accepted: {...}, expired: [...] } where accepted items carry a `Waiver`
+ */
+function applyWaivers(waivers, { trivy = {}, gitleaks = [], licenseDecisions = [] }, { repoDir = null, now = new Date() } = {}) {
+    const expired = [];
+    const valid = waivers.filter(w => w.expires >= now);
+    waivers.filter(w => w.expires < now).forEach(w => expired.push({ ...publicWaiver(w), matched: 0 }));
+
+    const check = (subject) => {
+        const waiver = valid.find(w => matches(w, subject));
+        if (waiver) return publicWaiver(waiver);
+        const lapsed = waivers.find(w => w.expires < now && matches(w, subject));
+        if (lapsed) expired.find(e => e.id === lapsed.id).matched++;
+        return null;
+    };
+
+    const active = { trivy: { ...trivy, Results: [] }, gitleaks: [], licenseDecisions: [] };
+    const accepted = { trivy: { Results: [] }, gitleaks: [], licenseDecisions: [] };
+
+    (trivy.Results || []).forEach(target => {
+        const targetPath = normalizePath(target.Target, repoDir);
+        const keep = [];
+        const waived = [];
+        (target.Vulnerabilities || []).forEach(vuln => {
+            const waiver = check({ type: 'vulnerability', cve: vuln.VulnerabilityID, package: vuln.PkgName, path: targetPath });
+            if (waiver) waived.push({ ...vuln, Waiver: waiver });
+            else keep.push(vuln);
+        });
+        const keepMisconfigs = [];
+        const waivedMisconfigs = [];
+        (target.Misconfigurations || []).forEach(m => {
+            const waiver = check({ type: 'misconfiguration', rule: m.ID, path: targetPath });
+            if (waiver) waivedMisconfigs.push({ ...m, Waiver: waiver });
+            else keepMisconfigs.push(m);
+        });
+        active.trivy.Results.push({ ...target, Vulnerabilities: keep, Misconfigurations: keepMisconfigs });
+        if (waived.length || waivedMisconfigs.length) {
+            accepted.trivy.Results.push({ Target: target.Target, Scanner: target.Scanner, Vulnerabilities: waived, Misconfigurations: waivedMisconfigs });
+        }
+    });
+
+    licenseDecisions.forEach(lic => {
+        const waiver = lic.decision === 'allow' ? null : check({ type: 'license', license: lic.license, package: lic.pkg, path: normalizePath(lic.file, repoDir) });
+        if (waiver) accepted.licenseDecisions.push({ ...lic, Waiver: waiver });
+        else active.licenseDecisions.push(lic);
+    });
+
+    (gitleaks || []).forEach(secret => {
+        const waiver = check({ type: 'secret', rule: secret.RuleID, path: normalizePath(secret.File, repoDir) });
+        if (waiver) accepted.gitleaks.push({ ...secret, Waiver: waiver });
+        else active.gitleaks.push(secret);
+    });
+
+    return { active, accepted, expired };
+}
+
+/**
+ * Flattens accepted findings into a list for the certificate's "Accepted Risks" section
+ * @param {Object} accepted - The `accepted` set returned by applyWaivers()
+ * @returns {Array<Object>} - [{ type, id, location, waiver }]
+ */
+function listAcceptedRisks(accepted) {
+    const risks = [];
+    (accepted.trivy.Results || []).forEach(target => {
+        (target.Vulnerabilities || []).forEach(v => risks.push({ type: 'vulnerability', id: `${v.PkgName} (${v.VulnerabilityID})`, location: target.Target, waiver: v.Waiver }));
+        (target.Misconfigurations || []).forEach(m => risks.push({ type: 'misconfiguration', id: `${m.ID}: ${m.Title}`, location: target.Target, waiver: m.Waiver }));
+    });
+    accepted.licenseDecisions.forEach(l => risks.push({ type: 'license', id: `${l.pkg} uses ${l.license}`, location: l.file || '', waiver: l.Waiver }));
+    accepted.gitleaks.forEach(s => risks.push({ type: 'secret', id: s.Description || s.RuleID, location: `${s.File}:${s.StartLine}`, waiver: s.Waiver }));
+    return risks;
+}
+
+module.exports = { loadWaivers, applyWaivers, listAcceptedRisks, globToRegExp };
@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const fetch = require('node-fetch');
+const { artifactLinks } = require('./artifacts');
+
+// --- 📣 OUTBOUND WEBHOOKS ---
+// Targets: the scan's own callback_url plus every org webhook subscribed to the event.
+// Each delivery is its own graphile-worker job (`deliver_webhook`); a failed attempt schedules
+// the next one with exponential backoff, and every attempt is written to the delivery log.
+//
+// Signature header (verify with verifySignature):
+//   X-CodePassport-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+//
+// WEBHOOK_SIGNING_SECRET      : secret for callback_url deliveries without their own callback_secret
+// WEBHOOK_MAX_ATTEMPTS        : default 6
+// WEBHOOK_RETRY_BASE_MS       : first retry delay, doubled each attempt (default 30000)
+// WEBHOOK_ALLOW_PRIVATE_URLS  : "true" to allow localhost / private network targets
+//
+// Targets are checked twice: by name when they are registered, and at delivery time, where every
+// address the host resolves to must be public and the socket connects to the address that was checked.
+
+const EVENTS = ['scan.completed', 'scan.failed', 'scan.stale', 'scan.cancelled'];
+const SIGNATURE_HEADER = 'X-CodePassport-Signature';
+const DELIVERY_TIMEOUT_MS = 10000;
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const maxAttempts = () => parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const retryBaseMs = () => parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30000;
+
+// --- ✍️ SIGNING ---
+function sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Builds the signature header value for a request body
+ * @param {string} secret
+ * @param {string} body - The exact bytes that are sent
+ * @param {number} [timestamp] - Unix seconds, defaults to now
+ * @returns {string}
+ */
+function signatureHeader(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    return `t=${timestamp},v1=${sign(secret, timestamp, body)}`;
+}
+
+/**
+ * Verifies a signature header (what a receiver runs on every request)
+ * @param {string} secret
+ * @param {string} header - X-CodePassport-Signature value
+ * @param {string} body - The raw request body
+ * @param {number} [toleranceSeconds] - Maximum age of the timestamp
+ * @returns {boolean}
+ */
+function verifySignature(secret, header, body, toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS) {
+    const parts = Object.fromEntries(String(header || '').split(',').map(p => p.split('=')));
+    const timestamp = parseInt(parts.t, 10);
+    if (!timestamp || !parts.v1) return false;
+    if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+    const expected = Buffer.from(sign(secret, timestamp, body), 'hex');
+    const actual = Buffer.from(parts.v1, 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+// --- 🧱 URL VALIDATION ---
+function isPrivateAddress(host) {
+    if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')) return true;
+    const ip = host.replace(/^\[|\]$/g, '');
+    if (net.isIPv4(ip)) {
+        const [a, b] = ip.split('.').map(Number);
+        return a === 10 || a === 127 || a === 0 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168)
+            || (a === 100 && b >= 64 && b <= 127) || a >= 224;
+    }
+    if (net.isIPv6(ip)) return ip === '::1' || ip === '::' || /^f[cd]/i.test(ip) || /^fe80/i.test(ip) || /^ff/i.test(ip) || /^::ffff:/i.test(ip);
+    return false;
+}
+
+const allowPrivate = () => process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+/**
+ * Checks that a webhook target is an absolute http(s) URL outside the private network
+ * @param {string} url
+ * @returns {string|null} - An error message, or null when the URL is acceptable
+ */
+function validateWebhookUrl(url) {
+    let parsed;
+    try { parsed = new URL(url); } catch (e) { return 'must be an absolute URL'; }
+    if (!['https:', 'http:'].includes(parsed.protocol)) return 'must use http or https';
+    if (parsed.username || parsed.password) return 'must not contain credentials';
+    if (!allowPrivate() && isPrivateAddress(parsed.hostname)) return 'must not point to a private or local address';
+    return null;
+}
+
+// dns.lookup replacement for the delivery sockets: a host name that resolves to any private address
+// is refused, and the socket connects to the addresses checked here (no second lookup to rebind).
+function publicLookup(hostname, options, callback) {
+    if (typeof options === 'function') { callback = options; options = {}; }
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        const blocked = addresses.find(a => isPrivateAddress(a.address));
+        if (blocked) {
+            const error = new Error(`${hostname} resolves to a private or local address (${blocked.address})`);
+            error.code = 'EPRIVATEADDRESS';
+            return callback(error);
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const deliveryAgents = {
+    'http:': new http.Agent({ lookup: publicLookup }),
+    'https:': new https.Agent({ lookup: publicLookup }),
+};
+const deliveryAgent = (parsedUrl) => (allowPrivate() ? undefined : deliveryAgents[parsedUrl.protocol]);
+
+// --- 📦 PAYLOAD ---
+function buildPayload(event, scan, deliveryId) {
+    return {
+        id: deliveryId,
+        event,
+        scan_id: scan.id,
+        repo_url: scan.repo_url,
+        commit_hash: scan.commit_hash || null,
+        status: scan.status,
+        grade: scan.risk_grade || null,
+        risk_score: scan.risk_score ?? null,
+        // Authenticated API links; they redirect to a short-lived signed download.
+        artifacts: artifactLinks(scan, process.env.PUBLIC_BASE_URL),
+        error: scan.status === 'ERROR' ? scan.last_error || null : null,
+        // scan.stale: what monitoring found, and the re-grade it queued (null for private repos).
+        stale: scan.stale_at ? { stale_at: scan.stale_at, ...scan.stale_findings } : null,
+        occurred_at: new Date().toISOString(),
+    };
+}
+
+// --- 🚚 SCHEDULING & DELIVERY ---
+/**
+ * Queues one `deliver_webhook` job per target of a scan event
+ * @param {Object} ctx - { scanStore, addJob } (addJob: graphile-worker helpers.addJob or quickAddJob wrapper)
+ * @param {Object} event - { scan, event, callbackSecret }
+ * @returns {Promise<number>} - Number of deliveries queued
+ */
+async function scheduleDeliveries({ scanStore, addJob }, { scan, event, callbackSecret }) {
+    const targets = [];
+    if (scan.callback_url) {
+        const secret = callbackSecret || process.env.WEBHOOK_SIGNING_SECRET;
+        if (secret) targets.push({ url: scan.callback_url, webhookId: null, secret });
+        else console.log(`   ⚠️ No signing secret for callback_url of scan ${scan.id}, not delivering.`);
+    }
+    if (scan.org_id) {
+        const hooks = await scanStore.listWebhooks({ orgId: scan.org_id });
+        hooks.filter(h => h.active !== false && (h.events || EVENTS).includes(event))
+            .forEach(h => targets.push({ url: h.url, webhookId: h.id, secret: null }));
+    }
+
+    for (const target of targets) {
+        await addJob('deliver_webhook', {
+            deliveryId: crypto.randomUUID(),
+            scanId: scan.id,
+            event,
+            url: target.url,
+            webhookId: target.webhookId,
+            // Org webhook secrets are looked up at delivery time so a rotated secret applies to retries.
+            secret: target.secret,
+            attempt: 1,
+        }, { maxAttempts: 1 });
+    }
+    return targets.length;
+}
+
+/**
+ * The `deliver_webhook` task: one POST, logged, rescheduled with backoff on failure
+ * @param {Object} job - Payload queued by scheduleDeliveries()
+ * @param {Object} ctx - { scanStore, addJob }
+ */
+async function deliverWebhook(job, { scanStore, addJob }) {
+    const { deliveryId, scanId, event, url, webhookId, attempt } = job;
+    const scan = await scanStore.getScan(scanId);
+    if (!scan) return;
+
+    let secret = job.secret;
+    if (webhookId) {
+        const hook = await scanStore.getWebhook(webhookId);
+        if (!hook || hook.active === false) return; // deleted or disabled since the event
+        secret = hook.secret;
+    }
+
+    const body = JSON.stringify(buildPayload(event, scan, deliveryId));
+    const started = Date.now();
+    let responseStatus = null;
+    let error = null;
+    // A target that is (or now resolves to) a private address is not retried.
+    let permanent = false;
+    const urlError = validateWebhookUrl(url);
+    if (urlError) {
+        error = `URL ${urlError}`;
+        permanent = true;
+    } else {
+        try {
+            const res = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'CodePassport-Webhooks/1.0',
+                    'X-CodePassport-Event': event,
+                    'X-CodePassport-Delivery': deliveryId,
+                    [SIGNATURE_HEADER]: signatureHeader(secret, body),
+                },
+                body,
+                redirect: 'manual',
+                timeout: DELIVERY_TIMEOUT_MS,
+                agent: deliveryAgent,
+            });
+            responseStatus = res.status;
+            if (!res.ok) error = `HTTP ${res.status}`;
+        } catch (e) {
+            error = e.message;
+            permanent = e.code === 'EPRIVATEADDRESS';
+        }
+    }
+
+    const delivered = !error;
+    const retry = !delivered && !permanent && attempt < maxAttempts();
+    try {
+        await scanStore.logDelivery({
+            delivery_id: deliveryId,
+            scan_id: scanId,
+            webhook_id: webhookId || null,
+            url,
+            event,
+            attempt,
+            status: delivered ? 'delivered' : retry ? 'retrying' : 'failed',
+            response_status: responseStatus,
+            error,
+            duration_ms: Date.now() - started,
+            created_at: new Date().toISOString(),
+        });
+    } catch (e) {
+        // The log is for humans; losing one entry must not cancel the remaining attempts.
+        console.error(`   ⚠️ Could not log webhook delivery ${deliveryId} attempt ${attempt}: ${e.message}`);
+    }
+
+    if (retry) {
+        const delayMs = retryBaseMs() * 2 ** (attempt - 1);
+        await addJob('deliver_webhook', { ...job, attempt: attempt + 1 }, { maxAttempts: 1, runAt: new Date(Date.now() + delayMs) });
+        console.log(`   📣 Webhook ${deliveryId} attempt ${attempt} failed (${error}), retrying in ${Math.round(delayMs / 1000)}s.`);
+    } else if (!delivered) {
+        console.log(`   📣 Webhook ${deliveryId} gave up after ${attempt} attempts (${error}).`);
+    }
+}
+
+module.exports = {
+    EVENTS,
+    SIGNATURE_HEADER,
+    signatureHeader,
+    verifySignature,
+    generateSecret,
+    validateWebhookUrl,
+    buildPayload,
+    scheduleDeliveries,
+    deliverWebhook,
+};